@@ -0,0 +1,312 @@
+/**
+ * Water Level Aggregation Module
+ * Downsamples reading series into min/mean/max buckets and summarizes periods
+ * (shared between the browser and the Node proxy server)
+ */
+
+class WaterLevelAggregation {
+  /**
+   * Supported resolutions and their bucket sizes in milliseconds
+   * (daily buckets follow local Europe/Berlin days instead of a fixed size)
+   * @returns {Object} Resolution definitions
+   */
+  static get RESOLUTIONS() {
+    return {
+      raw: 0,
+      '10min': 10 * 60 * 1000,
+      hour: 60 * 60 * 1000,
+      day: 24 * 60 * 60 * 1000
+    };
+  }
+
+  /**
+   * Statistics periods: today starts at local midnight, the others roll back from now
+   * @returns {Object} Period lengths in milliseconds (null for today)
+   */
+  static get PERIODS() {
+    return {
+      today: null,
+      '7d': 7 * 24 * 60 * 60 * 1000,
+      '30d': 30 * 24 * 60 * 60 * 1000
+    };
+  }
+
+  /**
+   * Longer gaps between readings are not counted towards the time spent in a level
+   * @returns {number} Gap in milliseconds
+   */
+  static get MAX_GAP() {
+    return 60 * 60 * 1000;
+  }
+
+  /**
+   * Normalize a resolution name, accepting common aliases
+   * @param {string} resolution - Resolution name (e.g. "hourly", "1h")
+   * @returns {string|null} Canonical resolution name or null if unknown
+   */
+  static normalizeResolution(resolution = 'raw') {
+    const aliases = {
+      raw: 'raw',
+      '10min': '10min',
+      '10m': '10min',
+      hour: 'hour',
+      hourly: 'hour',
+      '1h': 'hour',
+      day: 'day',
+      daily: 'day',
+      '1d': 'day'
+    };
+
+    return aliases[String(resolution).toLowerCase()] || null;
+  }
+
+  /**
+   * Normalize readings to plain {timestamp, waterLevel} points
+   * @param {Array} readings - Water level readings
+   * @returns {Array} Points sorted by timestamp (oldest first)
+   */
+  static normalize(readings) {
+    return readings
+      .filter(reading => Number.isFinite(reading.timestamp) && Number.isFinite(reading.waterLevel))
+      .map(reading => ({
+        timestamp: reading.timestamp,
+        waterLevel: reading.waterLevel
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Downsample readings to the given resolution
+   * @param {Array} readings - Water level readings
+   * @param {string} resolution - One of raw, 10min, hour, day
+   * @returns {Array} Points; aggregated points carry min, mean, max and count
+   */
+  static downsample(readings, resolution = 'raw') {
+    const canonical = WaterLevelAggregation.normalizeResolution(resolution);
+    if (!canonical) {
+      throw new Error(`Unknown resolution: ${resolution}`);
+    }
+
+    const points = WaterLevelAggregation.normalize(readings);
+    if (canonical === 'raw') {
+      return points;
+    }
+
+    const buckets = [];
+    let current = null;
+
+    points.forEach(point => {
+      const bucketStart = WaterLevelAggregation.getBucketStart(point.timestamp, canonical);
+
+      if (!current || current.timestamp !== bucketStart) {
+        current = { timestamp: bucketStart, min: Infinity, max: -Infinity, sum: 0, count: 0 };
+        buckets.push(current);
+      }
+
+      current.min = Math.min(current.min, point.waterLevel);
+      current.max = Math.max(current.max, point.waterLevel);
+      current.sum += point.waterLevel;
+      current.count++;
+    });
+
+    return buckets.map(bucket => {
+      const mean = Math.round((bucket.sum / bucket.count) * 10) / 10;
+      return {
+        timestamp: bucket.timestamp,
+        waterLevel: mean,
+        min: bucket.min,
+        mean,
+        max: bucket.max,
+        count: bucket.count
+      };
+    });
+  }
+
+  /**
+   * Summarize readings: extremes with their timestamps, mean, hours per alert level
+   * and the largest rise within 24 hours
+   * @param {Array} readings - Water level readings
+   * @param {Object} options - Summary options
+   * @param {Object} options.levels - Alert levels (default: the active ALERT_LEVELS)
+   * @param {number} options.maxGap - Longest gap counted towards the level hours
+   * @returns {Object|null} Summary or null without readings
+   */
+  static summarize(readings, { levels, maxGap = WaterLevelAggregation.MAX_GAP } = {}) {
+    const points = WaterLevelAggregation.normalize(readings);
+    if (points.length === 0) {
+      return null;
+    }
+
+    const levelList = Object.values(levels || WaterLevelAggregation.getAlertLevels())
+      .sort((a, b) => a.min - b.min);
+    const hours = {};
+    levelList.forEach(level => {
+      hours[level.key] = 0;
+    });
+
+    let min = points[0];
+    let max = points[0];
+    let sum = 0;
+
+    points.forEach((point, index) => {
+      if (point.waterLevel < min.waterLevel) min = point;
+      if (point.waterLevel > max.waterLevel) max = point;
+      sum += point.waterLevel;
+
+      // The time until the next reading counts towards the level of this one
+      const next = points[index + 1];
+      if (next && next.timestamp - point.timestamp <= maxGap) {
+        const level = WaterLevelAggregation.findLevel(levelList, point.waterLevel);
+        if (level) {
+          hours[level.key] += (next.timestamp - point.timestamp) / (60 * 60 * 1000);
+        }
+      }
+    });
+
+    Object.keys(hours).forEach(key => {
+      hours[key] = Math.round(hours[key] * 10) / 10;
+    });
+
+    return {
+      from: points[0].timestamp,
+      to: points[points.length - 1].timestamp,
+      count: points.length,
+      min: { ...min },
+      max: { ...max },
+      mean: Math.round((sum / points.length) * 10) / 10,
+      hoursInLevel: hours,
+      largestRise: WaterLevelAggregation.getLargestRise(points)
+    };
+  }
+
+  /**
+   * Summarize readings for today, the last 7 days and the last 30 days
+   * @param {Array} readings - Water level readings covering at least 30 days
+   * @param {number} now - Current timestamp
+   * @param {Object} options - Summary options (see summarize)
+   * @returns {Object} Summaries keyed by period name (null without readings)
+   */
+  static summarizePeriods(readings, now = Date.now(), options = {}) {
+    const summaries = {};
+
+    Object.keys(WaterLevelAggregation.PERIODS).forEach(period => {
+      const from = WaterLevelAggregation.getPeriodStart(period, now);
+      const inPeriod = readings.filter(reading => reading.timestamp >= from && reading.timestamp <= now);
+      summaries[period] = WaterLevelAggregation.summarize(inPeriod, options);
+    });
+
+    return summaries;
+  }
+
+  /**
+   * Get the start of a statistics period
+   * @param {string} period - Period name (today, 7d or 30d)
+   * @param {number} now - Current timestamp
+   * @returns {number} Period start timestamp
+   */
+  static getPeriodStart(period, now = Date.now()) {
+    if (!(period in WaterLevelAggregation.PERIODS)) {
+      throw new Error(`Unknown statistics period: ${period}`);
+    }
+
+    const length = WaterLevelAggregation.PERIODS[period];
+    return length === null ? WaterLevelAggregation.getBucketStart(now, 'day') : now - length;
+  }
+
+  /**
+   * Find the largest rise from an earlier to a later reading at most 24 hours apart
+   * @private
+   * @param {Array} points - Points sorted by timestamp
+   * @returns {Object|null} Rise with change and the start and end points, or null without a rise
+   */
+  static getLargestRise(points) {
+    const window = 24 * 60 * 60 * 1000;
+    // Indices of the window minimum candidates, lowest level first
+    const candidates = [];
+    let best = null;
+    let head = 0;
+
+    points.forEach((point, index) => {
+      while (head < candidates.length && points[candidates[head]].timestamp < point.timestamp - window) {
+        head++;
+      }
+
+      if (head < candidates.length) {
+        const low = points[candidates[head]];
+        const change = point.waterLevel - low.waterLevel;
+        if (change > 0 && (!best || change > best.change)) {
+          best = { change, from: { ...low }, to: { ...point } };
+        }
+      }
+
+      while (candidates.length > head && points[candidates[candidates.length - 1]].waterLevel >= point.waterLevel) {
+        candidates.pop();
+      }
+      candidates.push(index);
+    });
+
+    return best;
+  }
+
+  /**
+   * Find the alert level a water level falls into
+   * @private
+   * @param {Array} levels - Alert levels sorted by min
+   * @param {number} waterLevel - Water level in cm
+   * @returns {Object|null} Alert level
+   */
+  static findLevel(levels, waterLevel) {
+    for (let i = levels.length - 1; i >= 0; i--) {
+      if (waterLevel >= levels[i].min) {
+        return levels[i];
+      }
+    }
+    return levels[0] || null;
+  }
+
+  /**
+   * Get the start of the bucket a timestamp falls into
+   * @param {number} timestamp - Unix timestamp in milliseconds
+   * @param {string} resolution - Canonical resolution name
+   * @returns {number} Bucket start timestamp
+   */
+  static getBucketStart(timestamp, resolution) {
+    const size = WaterLevelAggregation.RESOLUTIONS[resolution];
+
+    if (resolution !== 'day') {
+      return Math.floor(timestamp / size) * size;
+    }
+
+    // Align daily buckets to local midnight in Cologne
+    const parser = WaterLevelAggregation.getParser();
+    const offset = parser.getTimeZoneOffset(timestamp, parser.TIME_ZONE);
+    const localMidnight = Math.floor((timestamp + offset) / size) * size;
+    const date = new Date(localMidnight);
+
+    return parser.zonedTimeToUtc(
+      date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 0, 0, parser.TIME_ZONE
+    );
+  }
+
+  /**
+   * Resolve the parser module in both the browser and Node
+   * @private
+   * @returns {PegelParser} Parser class
+   */
+  static getParser() {
+    return typeof PegelParser !== 'undefined' ? PegelParser : require('./pegel-parser');
+  }
+
+  /**
+   * Resolve the active alert levels in both the browser and Node
+   * @private
+   * @returns {Object} Alert levels
+   */
+  static getAlertLevels() {
+    return typeof ALERT_LEVELS !== 'undefined' ? ALERT_LEVELS : require('./alert-levels').ALERT_LEVELS;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WaterLevelAggregation;
+}
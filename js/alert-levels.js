@@ -0,0 +1,184 @@
+/**
+ * Alert Levels Module
+ * Alert level and flood mark definitions shared between the browser and the Node proxy server
+ */
+
+// Default threshold configuration (the server may override it and serves the result)
+const DEFAULT_THRESHOLD_CONFIG = {
+  levels: {
+    NORMAL: {
+      min: 0,
+      color: '#4CAF50',
+      bgColor: 'rgba(76, 175, 80, 0.1)',
+      label: 'Normal',
+      labelDE: 'Normal',
+      thresholdLabel: null,
+      thresholdLabelDE: null,
+      icon: '✓',
+      description: 'Der Wasserstand liegt im normalen Bereich.',
+      descriptionEN: 'The water level is within the normal range.'
+    },
+    WARNING: {
+      min: 400,
+      color: '#FF9800',
+      bgColor: 'rgba(255, 152, 0, 0.1)',
+      label: 'Warning',
+      labelDE: 'Warnung',
+      thresholdLabel: 'Warning level',
+      thresholdLabelDE: 'Warnstufe',
+      icon: '⚠',
+      description: 'Erhöhter Wasserstand - Vorsicht geboten.',
+      descriptionEN: 'Elevated water level - take care.'
+    },
+    DANGER: {
+      min: 800,
+      color: '#F44336',
+      bgColor: 'rgba(244, 67, 54, 0.1)',
+      label: 'Danger',
+      labelDE: 'Gefahr',
+      thresholdLabel: 'Danger level',
+      thresholdLabelDE: 'Gefahrstufe',
+      icon: '⚡',
+      description: 'Hochwassergefahr - Extreme Vorsicht!',
+      descriptionEN: 'Flood danger - extreme caution!'
+    }
+  },
+  // Additional official marks of the Köln gauge, shown on the chart and in the legend
+  marks: [
+    {
+      key: 'HWM_I',
+      waterLevel: 620,
+      color: '#9C27B0',
+      label: 'Flood mark I',
+      labelDE: 'Hochwassermarke I',
+      description: 'Schifffahrt eingeschränkt, Hochwasserschutztore werden geschlossen.',
+      descriptionEN: 'Shipping restricted, flood gates are being closed.'
+    },
+    {
+      key: 'HWM_II',
+      waterLevel: 830,
+      color: '#3F51B5',
+      label: 'Flood mark II',
+      labelDE: 'Hochwassermarke II',
+      description: 'Schifffahrt eingestellt.',
+      descriptionEN: 'Shipping suspended.'
+    }
+  ]
+};
+
+// Alert level configuration (filled from the threshold configuration)
+const ALERT_LEVELS = {};
+
+// Additional flood marks (filled from the threshold configuration)
+const ALERT_MARKS = [];
+
+/**
+ * Build alert levels and flood marks from a threshold configuration
+ * @param {Object} config - Threshold configuration
+ * @param {Object} config.levels - Level overrides keyed by NORMAL, WARNING, DANGER
+ * @param {Array} config.marks - Flood marks (replaces the default marks)
+ * @returns {Object} Alert levels keyed like ALERT_LEVELS, and sorted marks
+ */
+function createAlertLevels(config = {}) {
+  const overrides = config.levels || {};
+
+  const levels = Object.keys(DEFAULT_THRESHOLD_CONFIG.levels).map(key => ({
+    ...DEFAULT_THRESHOLD_CONFIG.levels[key],
+    ...(overrides[key] || {}),
+    key
+  }));
+
+  levels.forEach((level, index) => {
+    if (!Number.isFinite(level.min) || level.min < 0) {
+      throw new Error(`Invalid threshold for ${level.key}: ${level.min}`);
+    }
+    if (index > 0 && level.min <= levels[index - 1].min) {
+      throw new Error(`Threshold for ${level.key} must be above ${levels[index - 1].key}`);
+    }
+  });
+
+  const marks = (config.marks || DEFAULT_THRESHOLD_CONFIG.marks).map(mark => {
+    if (!mark.key || !Number.isFinite(mark.waterLevel)) {
+      throw new Error(`Invalid flood mark: ${JSON.stringify(mark)}`);
+    }
+    return { ...mark };
+  });
+
+  // Each level ends where the next one starts
+  const keyedLevels = {};
+  levels.forEach((level, index) => {
+    level.max = index < levels.length - 1 ? levels[index + 1].min : Infinity;
+    keyedLevels[level.key] = level;
+  });
+
+  return {
+    levels: keyedLevels,
+    marks: marks.sort((a, b) => a.waterLevel - b.waterLevel)
+  };
+}
+
+/**
+ * Apply a threshold configuration on top of the defaults
+ * (updates ALERT_LEVELS and ALERT_MARKS in place)
+ * @param {Object} config - Threshold configuration
+ */
+function applyThresholdConfig(config = {}) {
+  const { levels, marks } = createAlertLevels(config);
+
+  // Update existing objects so references held elsewhere stay valid
+  Object.values(levels).forEach(level => {
+    ALERT_LEVELS[level.key] = Object.assign(ALERT_LEVELS[level.key] || {}, level);
+  });
+
+  ALERT_MARKS.splice(0, ALERT_MARKS.length, ...marks);
+}
+
+/**
+ * Get a threshold configuration in serializable form
+ * @param {Object} levels - Alert levels (default: the active ALERT_LEVELS)
+ * @param {Array} marks - Flood marks (default: the active ALERT_MARKS)
+ * @returns {Object} Threshold configuration
+ */
+function getThresholdConfig(levels = ALERT_LEVELS, marks = ALERT_MARKS) {
+  const serializedLevels = {};
+  Object.values(levels).forEach(level => {
+    const { max, ...definition } = level;
+    serializedLevels[level.key] = definition;
+  });
+
+  return {
+    unit: 'cm',
+    levels: serializedLevels,
+    marks: marks.map(mark => ({ ...mark }))
+  };
+}
+
+/**
+ * Get alert level for water level
+ * @param {number} waterLevel - Water level in cm
+ * @param {Object} levels - Alert levels (default: the active ALERT_LEVELS)
+ * @returns {Object} Alert level configuration
+ */
+function getAlertLevel(waterLevel, levels = ALERT_LEVELS) {
+  if (waterLevel < levels.NORMAL.max) {
+    return levels.NORMAL;
+  } else if (waterLevel < levels.WARNING.max) {
+    return levels.WARNING;
+  } else {
+    return levels.DANGER;
+  }
+}
+
+applyThresholdConfig();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_THRESHOLD_CONFIG,
+    ALERT_LEVELS,
+    ALERT_MARKS,
+    createAlertLevels,
+    applyThresholdConfig,
+    getThresholdConfig,
+    getAlertLevel
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * Level Announcer Module
+ * Decides which readings are worth a screen reader announcement: alert level
+ * changes right away, water level changes only when large and not too frequent
+ */
+
+class LevelAnnouncer {
+  constructor() {
+    this.last = null; // last announced reading: waterLevel, levelKey, timestamp and announcedAt
+  }
+
+  /**
+   * Smallest water level change announced without an alert level change
+   * @returns {number} Change in cm
+   */
+  static get MIN_CHANGE() {
+    return 5;
+  }
+
+  /**
+   * Shortest time between two water level announcements
+   * @returns {number} Interval in milliseconds
+   */
+  static get MIN_INTERVAL() {
+    return 15 * 60 * 1000; // 15 minutes
+  }
+
+  /**
+   * Check whether a reading should be announced
+   * (the first reading only sets the baseline, it is already shown on the page)
+   * @param {Object} reading - Water level reading
+   * @param {string} levelKey - Alert level key of the reading
+   * @param {number} now - Current timestamp
+   * @returns {Object|null} type ("alert" or "level") and the previously announced reading, or null
+   */
+  check(reading, levelKey, now = Date.now()) {
+    const previous = this.last;
+    const current = {
+      waterLevel: reading.waterLevel,
+      levelKey,
+      timestamp: reading.timestamp,
+      announcedAt: now
+    };
+
+    if (!previous) {
+      this.last = current;
+      return null;
+    }
+
+    let type = null;
+    if (levelKey !== previous.levelKey) {
+      type = 'alert';
+    } else if (Math.abs(reading.waterLevel - previous.waterLevel) >= LevelAnnouncer.MIN_CHANGE &&
+        now - previous.announcedAt >= LevelAnnouncer.MIN_INTERVAL) {
+      type = 'level';
+    }
+
+    if (!type) {
+      return null;
+    }
+
+    this.last = current;
+    return { type, previous };
+  }
+
+  /**
+   * Forget the baseline (e.g. after switching to another gauge)
+   */
+  reset() {
+    this.last = null;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LevelAnnouncer;
+}
@@ -12,6 +12,24 @@ class RheinPegelAPI {
     this.retryDelay = 1000; // 1 second
     this.useCorsProxy = false;
     this.corsProxyUrl = 'https://cors-anywhere.herokuapp.com/';
+    this.defaultGaugeId = 'koeln';
+    this.gaugeId = this.defaultGaugeId;
+  }
+
+  /**
+   * Select the gauge to fetch readings for
+   * @param {string} gaugeId - Gauge id (e.g. "bonn")
+   */
+  setGauge(gaugeId) {
+    this.gaugeId = gaugeId || this.defaultGaugeId;
+  }
+
+  /**
+   * Check whether the selected gauge is the Köln gauge of the XML endpoint
+   * @returns {boolean} True for the default gauge
+   */
+  isDefaultGauge() {
+    return this.gaugeId === this.defaultGaugeId;
   }
 
   /**
@@ -19,20 +37,114 @@ class RheinPegelAPI {
    * @returns {string} API URL
    */
   getDefaultApiUrl() {
-    // Check if running on localhost
-    const isLocalhost = window.location.hostname === 'localhost' ||
-                       window.location.hostname === '127.0.0.1' ||
-                       window.location.hostname === '';
-    
-    if (isLocalhost && window.location.port) {
-      // Use local proxy server
-      return `http://localhost:${window.location.port}/api/pegel`;
+    // Pages served over HTTP(S) come from the proxy server, whatever its host or port
+    if (/^https?:$/.test(window.location.protocol)) {
+      return new URL('api/pegel', window.location.href).href;
     }
-    
-    // Try direct API (will likely fail due to CORS)
+
+    // Opened from disk: try the direct API (will likely fail due to CORS)
     return 'https://www.stadt-koeln.de/interne-dienste/hochwasser/pegel_ws.php';
   }
 
+  /**
+   * Get the URL of another route of the proxy server
+   * @param {string} route - Route below /api (e.g. "stream")
+   * @returns {string|null} Route URL, or null when not talking to the proxy
+   */
+  getServerUrl(route) {
+    if (!/\/api\/pegel$/.test(this.apiUrl)) {
+      return null;
+    }
+    return this.apiUrl.replace(/\/api\/pegel$/, `/api/${route}`);
+  }
+
+  /**
+   * Get the live update stream URL of the proxy server
+   * @returns {string|null} Stream URL, or null when not talking to the proxy
+   */
+  getStreamUrl() {
+    // The server only streams readings of the default gauge
+    return this.isDefaultGauge() ? this.getServerUrl('stream') : null;
+  }
+
+  /**
+   * Fetch the alert threshold configuration from the proxy server
+   * @returns {Promise<Object|null>} Threshold configuration, or null if unavailable
+   */
+  async fetchThresholds() {
+    return this.fetchServerJSON('thresholds');
+  }
+
+  /**
+   * Fetch the list of supported gauges from the proxy server
+   * @returns {Promise<Array|null>} Gauges, or null if unavailable
+   */
+  async fetchGauges() {
+    const body = await this.fetchServerJSON('gauges');
+    return body ? body.gauges : null;
+  }
+
+  /**
+   * Fetch recorded readings from the proxy server's history
+   * (the server only records the default gauge)
+   * @param {number} from - Range start timestamp
+   * @param {number} to - Range end timestamp
+   * @param {string} resolution - raw, 10min, hour or day
+   * @returns {Promise<Array|null>} Readings, or null if unavailable
+   */
+  async fetchHistory(from, to, resolution = 'raw') {
+    if (!this.isDefaultGauge()) {
+      return null;
+    }
+
+    const query = `from=${Math.round(from)}&to=${Math.round(to)}&resolution=${encodeURIComponent(resolution)}`;
+    const body = await this.fetchServerJSON(`history?${query}`);
+    return body ? body.data : null;
+  }
+
+  /**
+   * Fetch the summary of the server-side history (only for the default gauge)
+   * @param {number} from - Start timestamp
+   * @param {number} to - End timestamp
+   * @returns {Promise<Object|null>} Summary, or null without proxy or recorded readings
+   */
+  async fetchHistorySummary(from, to) {
+    if (!this.isDefaultGauge()) {
+      return null;
+    }
+
+    // Daily buckets keep the response small; the summary covers the raw readings
+    const body = await this.fetchServerJSON(`history?from=${Math.round(from)}&to=${Math.round(to)}&resolution=day`);
+    return body ? body.summary : null;
+  }
+
+  /**
+   * Fetch a JSON route of the proxy server
+   * @param {string} route - Route below /api
+   * @returns {Promise<Object|null>} Response body, or null when not talking to the proxy
+   */
+  async fetchServerJSON(route) {
+    const url = this.getServerUrl(route);
+    if (!url) {
+      return null;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
   /**
    * Fetch current water level from API
    * @returns {Promise<Object>} Water level data
@@ -45,7 +157,7 @@ class RheinPegelAPI {
       try {
         console.log(`Fetching water level data (attempt ${attempt}/${this.maxRetries})...`);
         
-        const url = this.useCorsProxy ? this.corsProxyUrl + this.apiUrl : this.apiUrl;
+        const url = this.getCurrentUrl();
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
@@ -62,8 +174,12 @@ class RheinPegelAPI {
           throw new Error(`HTTP error! status: ${response.status}`);
         }
 
-        const xmlText = await response.text();
-        const data = this.parseXMLResponse(xmlText);
+        const data = this.isDefaultGauge()
+          ? this.parseXMLResponse(await response.text())
+          : this.parseCurrentResponse(await response.json());
+
+        // The service worker answers from its cache while the network is down
+        data.offline = response.headers.get('X-Served-From') === 'service-worker-cache';
 
         console.log('Water level data fetched successfully:', data);
         return data;
@@ -90,49 +206,53 @@ class RheinPegelAPI {
   }
 
   /**
-   * Parse XML response from API
-   * @param {string} xmlString - XML response string
-   * @returns {Object} Parsed water level data
+   * Get the URL of the current reading of the selected gauge
+   * @returns {string} Request URL
    */
-  parseXMLResponse(xmlString) {
-    try {
-      const parser = new DOMParser();
-      const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
-
-      // Check for parsing errors
-      const parserError = xmlDoc.querySelector('parsererror');
-      if (parserError) {
-        throw new Error('XML parsing error: ' + parserError.textContent);
+  getCurrentUrl() {
+    if (!this.isDefaultGauge()) {
+      const url = this.getServerUrl(`gauges/${encodeURIComponent(this.gaugeId)}/current`);
+      if (!url) {
+        throw new Error(`Gauge ${this.gaugeId} requires the proxy server`);
       }
+      return url;
+    }
 
-      // Extract data from XML
-      const datum = xmlDoc.querySelector('Datum')?.textContent;
-      const uhrzeit = xmlDoc.querySelector('Uhrzeit')?.textContent;
-      const pegel = xmlDoc.querySelector('Pegel')?.textContent;
-      const grafik = xmlDoc.querySelector('Grafik')?.textContent;
-
-      // Validate required fields
-      if (!datum || !uhrzeit || !pegel) {
-        throw new Error('Missing required fields in XML response');
-      }
+    return this.useCorsProxy ? this.corsProxyUrl + this.apiUrl : this.apiUrl;
+  }
 
-      // Convert German decimal to centimeters
-      const waterLevel = this.convertGermanDecimal(pegel);
+  /**
+   * Parse a current reading from the proxy server's JSON format
+   * @param {Object} body - Response body of /api/gauges/:id/current
+   * @returns {Object} Parsed water level data
+   */
+  parseCurrentResponse(body) {
+    const timestamp = Date.parse(body.timestamp);
 
-      // Create timestamp from date and time
-      const timestamp = this.parseGermanDateTime(datum, uhrzeit);
+    if (!Number.isFinite(body.waterLevel) || !Number.isFinite(timestamp)) {
+      throw new Error('JSON parsing failed: missing water level or timestamp');
+    }
 
-      return {
-        waterLevel,
-        date: datum.trim(),
-        time: uhrzeit.trim(),
-        timestamp,
-        graphic: grafik?.trim() || null
-      };
+    return {
+      waterLevel: body.waterLevel,
+      date: body.date,
+      time: body.time,
+      timestamp,
+      graphic: body.graphic
+    };
+  }
 
+  /**
+   * Parse XML response from API
+   * @param {string} xmlString - XML response string
+   * @returns {Object} Parsed water level data
+   */
+  parseXMLResponse(xmlString) {
+    try {
+      return PegelParser.parseXML(xmlString);
     } catch (error) {
       console.error('Failed to parse XML:', error);
-      throw new Error(`XML parsing failed: ${error.message}`);
+      throw error;
     }
   }
 
@@ -142,28 +262,7 @@ class RheinPegelAPI {
    * @returns {number} Water level in centimeters
    */
   convertGermanDecimal(germanNumber) {
-    try {
-      // Replace comma with dot and parse as float
-      const meters = parseFloat(germanNumber.trim().replace(',', '.'));
-      
-      if (isNaN(meters)) {
-        throw new Error(`Invalid number format: ${germanNumber}`);
-      }
-
-      // Convert meters to centimeters and round
-      const centimeters = Math.round(meters * 100);
-
-      // Validate range (0-2000 cm is reasonable for Rhine)
-      if (centimeters < 0 || centimeters > 2000) {
-        console.warn(`Water level ${centimeters} cm seems out of normal range`);
-      }
-
-      return centimeters;
-
-    } catch (error) {
-      console.error('Failed to convert German decimal:', error);
-      throw new Error(`Number conversion failed: ${error.message}`);
-    }
+    return PegelParser.convertGermanDecimal(germanNumber);
   }
 
   /**
@@ -174,42 +273,7 @@ class RheinPegelAPI {
    */
   parseGermanDateTime(dateStr, timeStr) {
     try {
-      // German month names
-      const monthNames = {
-        'Januar': 0, 'Februar': 1, 'März': 2, 'April': 3,
-        'Mai': 4, 'Juni': 5, 'Juli': 6, 'August': 7,
-        'September': 8, 'Oktober': 9, 'November': 10, 'Dezember': 11
-      };
-
-      // Parse date: "27. Oktober 2025"
-      const dateMatch = dateStr.match(/(\d+)\.\s+(\w+)\s+(\d{4})/);
-      if (!dateMatch) {
-        throw new Error(`Invalid date format: ${dateStr}`);
-      }
-
-      const day = parseInt(dateMatch[1]);
-      const monthName = dateMatch[2];
-      const year = parseInt(dateMatch[3]);
-
-      const month = monthNames[monthName];
-      if (month === undefined) {
-        throw new Error(`Unknown month: ${monthName}`);
-      }
-
-      // Parse time: "15:25"
-      const timeMatch = timeStr.match(/(\d{1,2}):(\d{2})/);
-      if (!timeMatch) {
-        throw new Error(`Invalid time format: ${timeStr}`);
-      }
-
-      const hours = parseInt(timeMatch[1]);
-      const minutes = parseInt(timeMatch[2]);
-
-      // Create Date object
-      const date = new Date(year, month, day, hours, minutes);
-      
-      return date.getTime();
-
+      return PegelParser.parseGermanDateTime(dateStr, timeStr);
     } catch (error) {
       console.error('Failed to parse date/time:', error);
       // Return current time as fallback
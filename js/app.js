@@ -3,40 +3,6 @@
  * Coordinates all modules and manages application state
  */
 
-// Alert level configuration
-const ALERT_LEVELS = {
-  NORMAL: {
-    min: 0,
-    max: 400,
-    color: '#4CAF50',
-    bgColor: 'rgba(76, 175, 80, 0.1)',
-    label: 'Normal',
-    labelDE: 'Normal',
-    icon: '✓',
-    description: 'Der Wasserstand liegt im normalen Bereich.'
-  },
-  WARNING: {
-    min: 400,
-    max: 800,
-    color: '#FF9800',
-    bgColor: 'rgba(255, 152, 0, 0.1)',
-    label: 'Warning',
-    labelDE: 'Warnung',
-    icon: '⚠',
-    description: 'Erhöhter Wasserstand - Vorsicht geboten.'
-  },
-  DANGER: {
-    min: 800,
-    max: Infinity,
-    color: '#F44336',
-    bgColor: 'rgba(244, 67, 54, 0.1)',
-    label: 'Danger',
-    labelDE: 'Gefahr',
-    icon: '⚡',
-    description: 'Hochwassergefahr - Extreme Vorsicht!'
-  }
-};
-
 // Application state
 const AppState = {
   currentLevel: null,
@@ -44,9 +10,19 @@ const AppState = {
   isLoading: false,
   hasError: false,
   errorMessage: null,
+  isOffline: false,
   autoRefreshEnabled: true,
-  refreshInterval: 60000, // 60 seconds
-  refreshTimer: null
+  refreshInterval: 60000, // 60 seconds, chosen by the user and adapted by RefreshSchedule
+  refreshFailures: 0, // consecutive failed polls
+  pollingActive: false,
+  backfillMaxAge: 7 * 24 * 60 * 60 * 1000, // fetch at most 7 days of missed readings
+  refreshTimer: null,
+  streamConnected: false,
+  streamReconnectDelay: 10000, // 10 seconds
+  lastEventId: null,
+  trendWindow: '1h',
+  chartRange: { key: '24h', from: null, to: null },
+  tableSort: { key: 'timestamp', descending: true } // data table column, newest first
 };
 
 /**
@@ -55,8 +31,22 @@ const AppState = {
 class RheinPegelApp {
   constructor() {
     this.api = new RheinPegelAPI();
-    this.storage = new WaterLevelStorage();
+    this.storage = null; // Opened in initialize (IndexedDB or localStorage)
+    this.notifier = null;
     this.chart = null;
+    this.statusCard = null;
+    this.eventSource = null;
+    this.streamReconnectTimer = null;
+    this.gauges = [];
+    this.backfillPending = false;
+    this.statisticsPending = false;
+    this.displayedReading = null; // re-rendered when the language changes
+    this.offlineReading = null;
+    this.refreshSchedule = null;
+    this.announcer = new LevelAnnouncer();
+    this.shortcuts = new ShortcutRegistry();
+    this.shortcutCapture = null; // id of the shortcut waiting for its new key
+    this.shortcutReturnFocus = null; // focused before the shortcut help opened
     
     // DOM elements cache
     this.elements = {};
@@ -67,21 +57,76 @@ class RheinPegelApp {
    */
   async initialize() {
     console.log('Initializing Rhine Water Level Monitor...');
+
+    // Follow the system colour scheme until the saved theme is known
+    theme.apply();
+
+    // Cache the app shell for offline starts
+    this.registerServiceWorker();
+
+    // Open the reading history
+    this.storage = await openHistoryStorage();
+    this.notifier = new AlertNotifier(this.storage);
     
     // Cache DOM elements
     this.cacheElements();
+    this.statusCard = new StatusCard({
+      card: this.elements.statusCard,
+      icon: this.elements.statusIcon,
+      badge: this.elements.statusBadge,
+      level: this.elements.currentLevel,
+      description: this.elements.statusDescription,
+      lastUpdate: this.elements.lastUpdate
+    });
+
+    // Restore or detect the language
+    const language = this.storage.getSetting('language') ||
+      I18n.detect(navigator.languages || [navigator.language]);
+    i18n.setLanguage(language);
+    i18n.translatePage();
+
+    // Restore the theme and alert palette
+    theme.apply(this.storage.getSetting('theme', 'auto'), this.storage.getSetting('palette', 'standard'));
+    theme.onChange = () => this.applyTheme();
+    theme.watchSystem();
     
     // Setup event listeners
     this.setupEventListeners();
+
+    // Restore notification preferences
+    this.renderNotificationSettings();
+
+    // Load alert thresholds and gauges from the server and render the legend
+    await this.loadThresholds();
+    await this.loadGauges();
+    this.renderLegend();
     
+    // Restore the chart range
+    const savedRange = this.storage.getSetting('chartRange');
+    if (savedRange && (WaterLevelChart.RANGES[savedRange.key] || savedRange.key === 'custom')) {
+      AppState.chartRange = savedRange;
+    }
+    this.renderChartRange();
+
+    // Fill in readings recorded by the server while the app was closed
+    await this.backfillHistory();
+
     // Load historical data
-    const history = this.storage.getHistoricalData(24);
-    console.log('Loaded', history.length, 'historical readings from storage');
+    const bounds = this.getChartRangeBounds();
+    const history = await this.loadChartData(bounds);
+    console.log('Loaded', history.length, 'historical readings');
     
     // Initialize chart
     const canvas = document.getElementById('waterLevelChart');
     if (canvas) {
       this.chart = new WaterLevelChart(canvas);
+      this.chart.onZoomChange = (zoomed) => {
+        if (this.elements.resetZoomBtn) {
+          this.elements.resetZoomBtn.classList.toggle('hidden', !zoomed);
+        }
+      };
+      this.chart.onDataChange = () => this.updateChartAlternatives();
+      this.chart.setTimeWindow(bounds.from, bounds.to, bounds.resolution);
       this.chart.initialize(history);
     } else {
       console.error('Chart canvas not found');
@@ -90,8 +135,8 @@ class RheinPegelApp {
     // Fetch current data
     await this.fetchAndUpdate();
     
-    // Start auto-refresh
-    this.startAutoRefresh();
+    // Start live updates (falls back to auto-refresh polling)
+    this.startLiveUpdates();
     
     console.log('Application initialized successfully');
   }
@@ -106,14 +151,61 @@ class RheinPegelApp {
       statusBadge: document.getElementById('statusBadge'),
       currentLevel: document.getElementById('currentLevel'),
       statusDescription: document.getElementById('statusDescription'),
+      trendIndicator: document.getElementById('trendIndicator'),
+      trendArrow: document.getElementById('trendArrow'),
+      trendRate: document.getElementById('trendRate'),
+      trendChange: document.getElementById('trendChange'),
+      trendWindow: document.getElementById('trendWindow'),
+      forecastHint: document.getElementById('forecastHint'),
+      chartRangeLabel: document.getElementById('chartRangeLabel'),
+      chartRangeHint: document.getElementById('chartRangeHint'),
+      rangeButtons: document.querySelectorAll('.range-btn[data-range]'),
+      customRange: document.getElementById('customRange'),
+      rangeFrom: document.getElementById('rangeFrom'),
+      rangeTo: document.getElementById('rangeTo'),
+      resetZoomBtn: document.getElementById('resetZoomBtn'),
+      chartCanvas: document.getElementById('waterLevelChart'),
+      tableToggleBtn: document.getElementById('tableToggleBtn'),
+      dataTable: document.getElementById('dataTable'),
+      levelAnnouncement: document.getElementById('levelAnnouncement'),
+      shortcutHelpBtn: document.getElementById('shortcutHelpBtn'),
+      shortcutHelp: document.getElementById('shortcutHelp'),
+      shortcutHelpClose: document.getElementById('shortcutHelpClose'),
+      shortcutList: document.getElementById('shortcutList'),
+      shortcutStatus: document.getElementById('shortcutStatus'),
+      shortcutResetBtn: document.getElementById('shortcutResetBtn'),
+      exportMenu: document.getElementById('exportMenu'),
+      exportButtons: document.querySelectorAll('[data-export]'),
+      legendItems: document.getElementById('legendItems'),
+      statisticsTable: document.getElementById('statisticsTable'),
+      statisticsHint: document.getElementById('statisticsHint'),
+      gaugeName: document.getElementById('gaugeName'),
+      gaugeSelector: document.getElementById('gaugeSelector'),
+      gaugeSelect: document.getElementById('gaugeSelect'),
+      languageSelect: document.getElementById('languageSelect'),
+      themeSelect: document.getElementById('themeSelect'),
+      paletteSelect: document.getElementById('paletteSelect'),
       lastUpdate: document.getElementById('lastUpdate'),
       refreshBtn: document.getElementById('refreshBtn'),
       autoRefreshToggle: document.getElementById('autoRefreshToggle'),
+      refreshIntervalSelect: document.getElementById('refreshInterval'),
+      refreshStatus: document.getElementById('refreshStatus'),
       loadingOverlay: document.getElementById('loadingOverlay'),
       errorToast: document.getElementById('errorToast'),
       errorMessage: document.getElementById('errorMessage'),
       successToast: document.getElementById('successToast'),
-      successMessage: document.getElementById('successMessage')
+      successMessage: document.getElementById('successMessage'),
+      notificationsToggle: document.getElementById('notificationsToggle'),
+      notificationStatus: document.getElementById('notificationStatus'),
+      notificationOptions: document.getElementById('notificationOptions'),
+      notificationTransitions: document.querySelectorAll('input[name="notificationTransition"]'),
+      customThreshold: document.getElementById('customThreshold'),
+      backupBtn: document.getElementById('backupBtn'),
+      importFile: document.getElementById('importFile'),
+      importResult: document.getElementById('importResult'),
+      offlineBanner: document.getElementById('offlineBanner'),
+      offlineMessage: document.getElementById('offlineMessage'),
+      offlineRetryBtn: document.getElementById('offlineRetryBtn')
     };
   }
 
@@ -128,17 +220,247 @@ class RheinPegelApp {
       });
     }
 
+    // Catch up on readings missed while the tab was hidden or the computer slept
+    document.addEventListener('visibilitychange', async () => {
+      if (document.visibilityState !== 'visible') {
+        // Slow down or pause polling in the background
+        this.scheduleRefresh();
+        return;
+      }
+
+      const added = await this.backfillHistory();
+      if (added > 0) {
+        await this.refreshChartData();
+        await Promise.all([this.updateTrend(), this.updateForecast()]);
+        this.updateStatistics();
+      }
+
+      // Resume right away instead of waiting for the slowed-down timer
+      if (AppState.pollingActive && AppState.autoRefreshEnabled) {
+        await this.fetchAndUpdate();
+        this.scheduleRefresh();
+      }
+    });
+
+    // Offline mode
+    window.addEventListener('online', async () => {
+      console.log('Connection restored');
+      await this.fetchAndUpdate();
+      this.scheduleRefresh();
+    });
+
+    window.addEventListener('offline', async () => {
+      console.log('Connection lost');
+      const latestReading = await this.storage.getLatestReading();
+      if (latestReading) {
+        this.enterOfflineMode(latestReading);
+      }
+    });
+
+    if (this.elements.offlineRetryBtn) {
+      this.elements.offlineRetryBtn.addEventListener('click', () => {
+        this.handleManualRefresh();
+      });
+    }
+
+    // Language
+    if (this.elements.languageSelect) {
+      this.elements.languageSelect.value = i18n.language;
+      this.elements.languageSelect.addEventListener('change', (e) => {
+        if (i18n.setLanguage(e.target.value)) {
+          this.storage.saveSetting('language', i18n.language);
+          this.applyLanguage();
+        }
+      });
+    }
+
+    // Theme and alert palette
+    if (this.elements.themeSelect) {
+      this.elements.themeSelect.value = theme.theme;
+      this.elements.themeSelect.addEventListener('change', (e) => {
+        theme.apply(e.target.value, theme.palette);
+        this.storage.saveSetting('theme', theme.theme);
+      });
+    }
+
+    if (this.elements.paletteSelect) {
+      this.elements.paletteSelect.value = theme.palette;
+      this.elements.paletteSelect.addEventListener('change', (e) => {
+        theme.apply(theme.theme, e.target.value);
+        this.storage.saveSetting('palette', theme.palette);
+      });
+    }
+
     // Auto-refresh toggle
     if (this.elements.autoRefreshToggle) {
       this.elements.autoRefreshToggle.addEventListener('change', (e) => {
         AppState.autoRefreshEnabled = e.target.checked;
         if (AppState.autoRefreshEnabled) {
-          this.showSuccessToast('Auto-Aktualisierung aktiviert');
-          this.startAutoRefresh();
+          this.showSuccessToast(i18n.t('controls.autoRefreshOn'));
+          this.startLiveUpdates();
+        } else {
+          this.showSuccessToast(i18n.t('controls.autoRefreshOff'));
+          this.stopLiveUpdates();
+        }
+        this.renderRefreshStatus();
+      });
+    }
+
+    // Refresh interval
+    if (this.elements.refreshIntervalSelect) {
+      const intervals = RefreshSchedule.INTERVALS;
+      const saved = this.storage.getSetting('refreshInterval', AppState.refreshInterval);
+      AppState.refreshInterval = Object.values(intervals).includes(saved) ? saved : AppState.refreshInterval;
+      this.elements.refreshIntervalSelect.value = Object.keys(intervals)
+        .find(key => intervals[key] === AppState.refreshInterval);
+
+      this.elements.refreshIntervalSelect.addEventListener('change', (e) => {
+        AppState.refreshInterval = intervals[e.target.value];
+        this.storage.saveSetting('refreshInterval', AppState.refreshInterval);
+        this.scheduleRefresh();
+      });
+    }
+
+    // Chart range buttons
+    this.elements.rangeButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        if (button.dataset.range === 'custom') {
+          this.showCustomRangeForm();
+        } else {
+          this.setChartRange(button.dataset.range);
+        }
+      });
+    });
+
+    // Custom chart range
+    if (this.elements.customRange) {
+      this.elements.customRange.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const from = new Date(this.elements.rangeFrom.value).getTime();
+        const to = new Date(this.elements.rangeTo.value).getTime();
+
+        if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+          this.showErrorToast(i18n.t('range.invalid'));
+          return;
+        }
+        this.setChartRange('custom', from, to);
+      });
+    }
+
+    // Reset chart zoom
+    if (this.elements.resetZoomBtn) {
+      this.elements.resetZoomBtn.addEventListener('click', () => {
+        if (this.chart) {
+          this.chart.resetZoom();
+        }
+      });
+    }
+
+    // Data table of the chart readings
+    if (this.elements.tableToggleBtn && this.elements.dataTable) {
+      this.elements.tableToggleBtn.addEventListener('click', () => {
+        const show = this.elements.dataTable.classList.contains('hidden');
+        this.elements.dataTable.classList.toggle('hidden', !show);
+        this.elements.tableToggleBtn.setAttribute('aria-expanded', String(show));
+        this.renderDataTable();
+      });
+
+      this.elements.dataTable.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-sort]');
+        if (!button) return;
+
+        // Clicking the sorted column again reverses the order
+        const { key, descending } = AppState.tableSort;
+        AppState.tableSort = {
+          key: button.dataset.sort,
+          descending: button.dataset.sort === key ? !descending : true
+        };
+        this.renderDataTable();
+
+        // The header buttons were rendered again
+        this.elements.dataTable.querySelector(`[data-sort="${AppState.tableSort.key}"]`).focus();
+      });
+    }
+
+    // Backup and import of the stored history
+    if (this.elements.backupBtn) {
+      this.elements.backupBtn.addEventListener('click', () => this.downloadBackup());
+    }
+
+    if (this.elements.importFile) {
+      this.elements.importFile.addEventListener('change', async () => {
+        const [file] = this.elements.importFile.files;
+        if (file) {
+          await this.importHistory(file);
+        }
+        // Allow importing the same file again
+        this.elements.importFile.value = '';
+      });
+    }
+
+    // Export menu
+    this.elements.exportButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        if (this.elements.exportMenu) {
+          this.elements.exportMenu.open = false;
+        }
+        this.exportRange(button.dataset.export);
+      });
+    });
+
+    // Trend window
+    if (this.elements.trendWindow) {
+      AppState.trendWindow = this.storage.getSetting('trendWindow', AppState.trendWindow);
+      this.elements.trendWindow.value = AppState.trendWindow;
+      this.elements.trendWindow.addEventListener('change', (e) => {
+        AppState.trendWindow = e.target.value;
+        this.storage.saveSetting('trendWindow', AppState.trendWindow);
+        this.updateTrend();
+      });
+    }
+
+    // Gauge selector
+    if (this.elements.gaugeSelect) {
+      this.elements.gaugeSelect.addEventListener('change', (e) => {
+        this.switchGauge(e.target.value);
+      });
+    }
+
+    // Notification toggle
+    if (this.elements.notificationsToggle) {
+      this.elements.notificationsToggle.addEventListener('change', async (e) => {
+        if (e.target.checked) {
+          const enabled = await this.notifier.enable();
+          if (enabled) {
+            this.showSuccessToast(i18n.t('notifications.enabled'));
+          } else {
+            this.showErrorToast(i18n.t('notifications.notAllowed'));
+          }
         } else {
-          this.showSuccessToast('Auto-Aktualisierung deaktiviert');
-          this.stopAutoRefresh();
+          this.notifier.disable();
+          this.showSuccessToast(i18n.t('notifications.disabled'));
         }
+        this.renderNotificationSettings();
+      });
+    }
+
+    // Notification transitions
+    this.elements.notificationTransitions.forEach(input => {
+      input.addEventListener('change', () => {
+        const transitions = Array.from(this.elements.notificationTransitions)
+          .filter(checkbox => checkbox.checked)
+          .map(checkbox => checkbox.value);
+        this.notifier.savePreferences({ transitions });
+      });
+    });
+
+    // Custom notification threshold
+    if (this.elements.customThreshold) {
+      this.elements.customThreshold.addEventListener('change', (e) => {
+        const value = parseInt(e.target.value, 10);
+        this.notifier.savePreferences({
+          customThreshold: Number.isFinite(value) && value >= 0 ? value : null
+        });
       });
     }
 
@@ -149,16 +471,102 @@ class RheinPegelApp {
       });
     });
 
-    // Keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-      // R key for refresh
-      if (e.key === 'r' || e.key === 'R') {
-        if (!e.ctrlKey && !e.metaKey) {
-          e.preventDefault();
-          this.handleManualRefresh();
+    // Keyboard shortcuts and their help
+    this.registerShortcuts();
+    this.shortcuts.load(this.storage.getSetting('shortcuts', {}));
+
+    if (this.elements.shortcutHelpBtn) {
+      this.elements.shortcutHelpBtn.addEventListener('click', () => this.openShortcutHelp());
+    }
+
+    if (this.elements.shortcutHelp) {
+      this.elements.shortcutHelpClose.addEventListener('click', () => this.closeShortcutHelp());
+
+      // Clicking the backdrop closes the help
+      this.elements.shortcutHelp.addEventListener('click', (e) => {
+        if (e.target === this.elements.shortcutHelp) {
+          this.closeShortcutHelp();
+        }
+      });
+
+      this.elements.shortcutList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-shortcut]');
+        if (button) {
+          this.startShortcutCapture(button.dataset.shortcut);
         }
+      });
+
+      this.elements.shortcutResetBtn.addEventListener('click', () => {
+        this.shortcuts.reset();
+        this.storage.saveSetting('shortcuts', this.shortcuts.getBindings());
+        this.shortcutCapture = null;
+        this.renderShortcutHelp(i18n.t('shortcuts.resetDone'));
+      });
+    }
+
+    document.addEventListener('keydown', (e) => {
+      if (this.isShortcutHelpOpen()) {
+        this.handleShortcutHelpKeydown(e);
+        return;
+      }
+
+      // Close the export menu and return to its button
+      if (e.key === 'Escape' && this.elements.exportMenu && this.elements.exportMenu.open) {
+        this.elements.exportMenu.open = false;
+        this.elements.exportMenu.querySelector('summary').focus();
+        return;
+      }
+
+      this.shortcuts.handle(e);
+    });
+  }
+
+  /**
+   * Register the keyboard shortcuts with their default keys
+   */
+  registerShortcuts() {
+    this.shortcuts.register('refresh', 'r', () => this.handleManualRefresh());
+
+    this.shortcuts.register('autoRefresh', 'a', () => {
+      const toggle = this.elements.autoRefreshToggle;
+      if (toggle) {
+        toggle.checked = !toggle.checked;
+        toggle.dispatchEvent(new Event('change'));
+      }
+    });
+
+    Object.keys(WaterLevelChart.RANGES).forEach((key, index) => {
+      this.shortcuts.register(`range-${key}`, String(index + 1), () => this.setChartRange(key));
+    });
+    this.shortcuts.register('customRange', 'c', () => {
+      this.showCustomRangeForm();
+      if (this.elements.rangeFrom) {
+        this.elements.rangeFrom.focus();
+      }
+    });
+
+    this.shortcuts.register('export', 'e', () => {
+      const menu = this.elements.exportMenu;
+      if (menu) {
+        menu.open = true;
+        menu.querySelector('[data-export]').focus();
       }
     });
+
+    this.shortcuts.register('theme', 't', () => this.selectNextOption(this.elements.themeSelect));
+    this.shortcuts.register('language', 'l', () => this.selectNextOption(this.elements.languageSelect));
+    this.shortcuts.register('help', '?', () => this.openShortcutHelp());
+  }
+
+  /**
+   * Select the next option of a settings dropdown (wrapping around) as if the user picked it
+   * @param {HTMLSelectElement} select - Dropdown
+   */
+  selectNextOption(select) {
+    if (!select || select.options.length === 0) return;
+
+    select.selectedIndex = (select.selectedIndex + 1) % select.options.length;
+    select.dispatchEvent(new Event('change'));
   }
 
   /**
@@ -172,24 +580,17 @@ class RheinPegelApp {
       const data = await this.api.fetchCurrentLevel();
       
       // Save to storage
-      this.storage.saveReading(data);
-      
-      // Update UI
-      this.updateDisplay(data);
-      
-      // Update chart
-      if (this.chart) {
-        this.chart.updateChart(data);
-        this.chart.highlightAlertZone(data.waterLevel);
-      }
+      await this.storage.saveReading(data);
       
-      // Update state
-      AppState.currentLevel = data.waterLevel;
-      AppState.lastUpdate = data.timestamp;
-      AppState.hasError = false;
+      // Update UI and chart
+      await this.applyReading(data);
+
+      // Cached answers while offline count as failures for the backoff
+      AppState.refreshFailures = data.offline ? AppState.refreshFailures + 1 : 0;
       
     } catch (error) {
       console.error('Failed to fetch and update:', error);
+      AppState.refreshFailures++;
       this.handleError(error);
     } finally {
       this.setLoading(false);
@@ -197,189 +598,1478 @@ class RheinPegelApp {
   }
 
   /**
-   * Update display with water level data
+   * Show a new reading in the status card and chart
    * @param {Object} data - Water level data
    */
-  updateDisplay(data) {
-    // Update water level
-    if (this.elements.currentLevel) {
-      this.elements.currentLevel.textContent = data.waterLevel;
-    }
+  async applyReading(data) {
+    // Notify about alert level changes
+    this.notifier.check(AppState.currentLevel, data);
+
+    // Update UI
+    this.updateDisplay(data);
+    this.announceReading(data);
 
-    // Update timestamp
-    if (this.elements.lastUpdate) {
-      this.elements.lastUpdate.textContent = `${data.date} ${data.time}`;
+    // Update chart
+    if (this.chart) {
+      this.chart.updateChart(data);
+      this.chart.highlightAlertZone(data.waterLevel);
     }
 
-    // Get alert level
-    const alertLevel = this.getAlertLevel(data.waterLevel);
-    
-    // Update alert status
-    this.updateAlertStatus(alertLevel);
+    // Update state
+    AppState.currentLevel = data.waterLevel;
+    AppState.lastUpdate = data.timestamp;
+    AppState.hasError = false;
 
-    console.log('Display updated:', data.waterLevel, 'cm -', alertLevel.labelDE);
+    // Readings from the service worker cache keep the app in offline mode
+    if (data.offline) {
+      this.enterOfflineMode(data);
+    } else {
+      this.exitOfflineMode();
+    }
+
+    // Figures derived from the stored history
+    await Promise.all([this.updateTrend(), this.updateForecast()]);
+    this.updateStatistics();
   }
 
   /**
-   * Update alert status display
-   * @param {Object} alertLevel - Alert level configuration
+   * Handle a reading pushed by the live stream
+   * @param {Object} reading - Water level reading
    */
-  updateAlertStatus(alertLevel) {
-    if (!this.elements.statusCard) return;
-
-    // Update status card background
-    this.elements.statusCard.style.backgroundColor = alertLevel.bgColor;
-    this.elements.statusCard.style.borderColor = alertLevel.color;
-    
-    // Update status badge
-    if (this.elements.statusBadge) {
-      this.elements.statusBadge.style.backgroundColor = alertLevel.color;
-      this.elements.statusBadge.textContent = alertLevel.labelDE;
+  async handleStreamReading(reading) {
+    // Skip readings we already have (e.g. from the initial fetch)
+    if (await this.storage.hasReading(reading.timestamp)) {
+      return;
     }
 
-    // Update status icon
-    if (this.elements.statusIcon) {
-      this.elements.statusIcon.textContent = alertLevel.icon;
-    }
+    await this.storage.saveReading(reading);
 
-    // Update level number color
-    if (this.elements.currentLevel) {
-      this.elements.currentLevel.style.color = alertLevel.color;
+    if (AppState.lastUpdate === null || reading.timestamp > AppState.lastUpdate) {
+      await this.applyReading(reading);
+    } else if (this.chart) {
+      // Replayed reading from while we were disconnected: redraw in order
+      this.refreshChartData();
     }
+  }
+
+  /**
+   * Store the server readings recorded since the latest stored reading
+   * (the server only records the default gauge)
+   * @returns {Promise<number>} Number of added readings
+   */
+  async backfillHistory() {
+    if (this.backfillPending) return 0;
+    this.backfillPending = true;
 
-    // Update description
-    if (this.elements.statusDescription) {
-      this.elements.statusDescription.textContent = alertLevel.description;
+    try {
+      const now = Date.now();
+      const latest = await this.storage.getLatestReading();
+      if (latest && now - latest.timestamp <= AppState.refreshInterval) {
+        return 0;
+      }
+
+      const maxAge = Math.min(this.storage.maxAge, AppState.backfillMaxAge);
+      const from = Math.max(latest ? latest.timestamp + 1 : 0, now - maxAge);
+      const server = await this.api.fetchHistory(from, now);
+      if (!server || server.length === 0) {
+        return 0;
+      }
+
+      // Server history points only carry timestamp and level
+      const readings = server.map(reading => ({
+        waterLevel: reading.waterLevel,
+        ...PegelParser.formatGermanDateTime(reading.timestamp),
+        timestamp: reading.timestamp
+      }));
+      const { added } = await this.storage.importReadings(readings);
+
+      console.log('Backfilled', added, 'readings since', new Date(from));
+      return added;
+    } catch (error) {
+      console.warn('History backfill failed:', error.message);
+      return 0;
+    } finally {
+      this.backfillPending = false;
     }
   }
 
   /**
-   * Get alert level for water level
-   * @param {number} waterLevel - Water level in cm
-   * @returns {Object} Alert level configuration
+   * Update display with water level data
+   * @param {Object} data - Water level data
    */
-  getAlertLevel(waterLevel) {
-    if (waterLevel < ALERT_LEVELS.NORMAL.max) {
-      return ALERT_LEVELS.NORMAL;
-    } else if (waterLevel < ALERT_LEVELS.WARNING.max) {
-      return ALERT_LEVELS.WARNING;
-    } else {
-      return ALERT_LEVELS.DANGER;
-    }
+  updateDisplay(data) {
+    this.displayedReading = data;
+
+    // Update level, timestamp and alert status
+    const alertLevel = this.getAlertLevel(data.waterLevel);
+    this.statusCard.render(data, alertLevel);
+
+    console.log('Display updated:', data.waterLevel, 'cm -', alertLevel.labelDE);
   }
 
   /**
-   * Handle manual refresh button click
+   * Get the title of a shortcut in the selected language
+   * @param {string} id - Shortcut id
+   * @returns {string} Title
    */
-  async handleManualRefresh() {
-    console.log('Manual refresh triggered');
-    
-    // Disable button temporarily
-    if (this.elements.refreshBtn) {
-      this.elements.refreshBtn.disabled = true;
+  getShortcutLabel(id) {
+    if (id.startsWith('range-')) {
+      return i18n.t('shortcuts.range', { range: i18n.t(`range.${id.slice('range-'.length)}`) });
     }
+    return i18n.t(`shortcuts.${id}`);
+  }
 
-    await this.fetchAndUpdate();
+  /**
+   * Format a key for display
+   * @param {string} key - Normalized key
+   * @returns {string} Key name (letters in upper case)
+   */
+  formatShortcutKey(key) {
+    return key.length === 1 ? key.toUpperCase() : key;
+  }
 
-    // Re-enable button
-    if (this.elements.refreshBtn) {
-      setTimeout(() => {
-        this.elements.refreshBtn.disabled = false;
-      }, 1000);
-    }
+  /**
+   * Check whether the shortcut help is shown
+   * @returns {boolean} True if open
+   */
+  isShortcutHelpOpen() {
+    return Boolean(this.elements.shortcutHelp && !this.elements.shortcutHelp.classList.contains('hidden'));
   }
 
   /**
-   * Start auto-refresh timer
+   * Show the shortcut help and move the focus into it
    */
-  startAutoRefresh() {
-    // Clear existing timer
-    this.stopAutoRefresh();
+  openShortcutHelp() {
+    if (!this.elements.shortcutHelp || this.isShortcutHelpOpen()) return;
 
-    // Set new timer
-    AppState.refreshTimer = setInterval(() => {
-      if (AppState.autoRefreshEnabled) {
-        console.log('Auto-refresh triggered');
-        this.fetchAndUpdate();
-      }
-    }, AppState.refreshInterval);
+    this.shortcutReturnFocus = document.activeElement;
+    this.renderShortcutHelp();
+    this.elements.shortcutHelp.classList.remove('hidden');
+    this.elements.shortcutHelpClose.focus();
+  }
 
-    console.log('Auto-refresh started (interval:', AppState.refreshInterval, 'ms)');
+  /**
+   * Hide the shortcut help and return the focus to where it was
+   */
+  closeShortcutHelp() {
+    if (!this.isShortcutHelpOpen()) return;
+
+    this.shortcutCapture = null;
+    this.elements.shortcutHelp.classList.add('hidden');
+
+    if (this.shortcutReturnFocus && this.shortcutReturnFocus.focus) {
+      this.shortcutReturnFocus.focus();
+    }
+    this.shortcutReturnFocus = null;
   }
 
   /**
-   * Stop auto-refresh timer
+   * Wait for the new key of a shortcut
+   * @param {string} id - Shortcut id
    */
-  stopAutoRefresh() {
-    if (AppState.refreshTimer) {
-      clearInterval(AppState.refreshTimer);
-      AppState.refreshTimer = null;
-      console.log('Auto-refresh stopped');
+  startShortcutCapture(id) {
+    this.shortcutCapture = id;
+    this.renderShortcutHelp(i18n.t('shortcuts.press', { action: this.getShortcutLabel(id) }));
+    this.elements.shortcutList.querySelector(`[data-shortcut="${id}"]`).focus();
+  }
+
+  /**
+   * Handle keys while the shortcut help is open: Escape closes it (or cancels a rebinding),
+   * Tab stays inside it and other shortcuts are suspended
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleShortcutHelpKeydown(e) {
+    if (this.shortcutCapture) {
+      this.captureShortcutKey(e);
+      return;
+    }
+
+    if (e.key === 'Escape' || (this.shortcuts.findByKey(e.key) === 'help' && !ShortcutRegistry.isEditable(e.target))) {
+      e.preventDefault();
+      this.closeShortcutHelp();
+      return;
+    }
+
+    if (e.key === 'Tab') {
+      const focusable = [...this.elements.shortcutHelp.querySelectorAll('button')];
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
     }
   }
 
   /**
-   * Set loading state
-   * @param {boolean} isLoading - Loading state
+   * Bind the pressed key to the shortcut waiting for it and save the bindings
+   * @param {KeyboardEvent} e - Keydown event
    */
-  setLoading(isLoading) {
-    AppState.isLoading = isLoading;
+  captureShortcutKey(e) {
+    // Wait for the key pressed together with a modifier (Shift gives e.g. "?")
+    if (['Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'CapsLock'].includes(e.key)) return;
 
-    if (this.elements.loadingOverlay) {
-      if (isLoading) {
-        this.elements.loadingOverlay.classList.remove('hidden');
+    e.preventDefault();
+    const id = this.shortcutCapture;
+    this.shortcutCapture = null;
+    const key = this.formatShortcutKey(ShortcutRegistry.normalizeKey(e.key));
+
+    let message;
+    if (e.key === 'Escape') {
+      message = i18n.t('shortcuts.cancelled');
+    } else if (e.ctrlKey || e.altKey || e.metaKey || !ShortcutRegistry.isBindable(e.key)) {
+      message = i18n.t('shortcuts.reserved', { key });
+    } else {
+      const conflict = this.shortcuts.rebind(id, e.key);
+      if (conflict) {
+        message = i18n.t('shortcuts.conflict', { key, action: this.getShortcutLabel(conflict) });
       } else {
-        this.elements.loadingOverlay.classList.add('hidden');
+        this.storage.saveSetting('shortcuts', this.shortcuts.getBindings());
+        message = i18n.t('shortcuts.saved', { action: this.getShortcutLabel(id), key });
       }
     }
 
-    // Disable refresh button while loading
-    if (this.elements.refreshBtn) {
-      this.elements.refreshBtn.disabled = isLoading;
-    }
+    this.renderShortcutHelp(message);
+    this.elements.shortcutList.querySelector(`[data-shortcut="${id}"]`).focus();
   }
 
   /**
-   * Handle errors
-   * @param {Error} error - Error object
+   * Render the shortcut list with a button per shortcut to change its key
+   * @param {string} message - Status shown below the list
    */
-  handleError(error) {
-    AppState.hasError = true;
-    AppState.errorMessage = error.message;
+  renderShortcutHelp(message = '') {
+    if (!this.elements.shortcutList) return;
 
-    console.error('Application error:', error);
+    this.elements.shortcutList.innerHTML = '';
+    this.shortcuts.list().forEach(({ id, key, defaultKey }) => {
+      const tr = this.elements.shortcutList.insertRow();
+      const label = this.getShortcutLabel(id);
+
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = label;
+      tr.appendChild(th);
 
-    // Show error toast
-    this.showErrorToast(error.message);
+      const kbd = document.createElement('kbd');
+      kbd.textContent = this.formatShortcutKey(key);
+      const keyCell = tr.insertCell();
+      keyCell.appendChild(kbd);
+      if (key !== defaultKey) {
+        keyCell.classList.add('shortcut-changed');
+      }
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'range-btn';
+      button.dataset.shortcut = id;
+      const capturing = this.shortcutCapture === id;
+      button.textContent = i18n.t(capturing ? 'shortcuts.pressButton' : 'shortcuts.change');
+      button.setAttribute('aria-label', i18n.t('shortcuts.changeLabel', { action: label }));
+      button.setAttribute('aria-pressed', String(capturing));
+      tr.insertCell().appendChild(button);
+    });
 
-    // Try to show cached data
-    const latestReading = this.storage.getLatestReading();
-    if (latestReading) {
-      console.log('Showing cached data from:', new Date(latestReading.timestamp));
-      this.updateDisplay(latestReading);
-      this.showSuccessToast('Zeige zwischengespeicherte Daten');
+    if (this.elements.shortcutStatus) {
+      this.elements.shortcutStatus.textContent = message;
     }
   }
 
   /**
-   * Show error toast
-   * @param {string} message - Error message
+   * Announce alert level changes and larger water level changes to screen readers
+   * (throttled by LevelAnnouncer so regular updates stay quiet)
+   * @param {Object} data - Water level data
    */
-  showErrorToast(message) {
-    if (this.elements.errorToast && this.elements.errorMessage) {
-      this.elements.errorMessage.textContent = message;
-      this.elements.errorToast.classList.remove('hidden');
+  announceReading(data) {
+    if (!this.elements.levelAnnouncement) return;
 
-      // Auto-hide after 5 seconds
-      setTimeout(() => {
-        this.elements.errorToast.classList.add('hidden');
-      }, 5000);
-    }
+    const alertLevel = this.getAlertLevel(data.waterLevel);
+    const announcement = this.announcer.check(data, alertLevel.key);
+    if (!announcement) return;
+
+    const change = data.waterLevel - announcement.previous.waterLevel;
+    this.elements.levelAnnouncement.textContent = i18n.t(`announce.${announcement.type}`, {
+      level: i18n.getLabel(alertLevel),
+      value: data.waterLevel,
+      description: i18n.getDescription(alertLevel),
+      change: change > 0 ? `+${change}` : String(change),
+      time: i18n.formatTime(announcement.previous.timestamp)
+    });
   }
 
   /**
-   * Show success toast
-   * @param {string} message - Success message
+   * Update the text alternatives of the chart after its readings changed
+   */
+  updateChartAlternatives() {
+    this.describeChart();
+    this.renderDataTable();
+  }
+
+  /**
+   * Summarise the shown readings in the accessible name of the chart canvas
+   */
+  describeChart() {
+    if (!this.elements.chartCanvas || !this.chart) return;
+
+    const readings = this.chart.getReadings();
+    const range = this.elements.chartRangeLabel ? this.elements.chartRangeLabel.textContent : '';
+
+    if (readings.length === 0) {
+      this.elements.chartCanvas.setAttribute('aria-label', i18n.t('chart.empty', { range }));
+      return;
+    }
+
+    const levels = readings.map(reading => reading.waterLevel);
+    this.elements.chartCanvas.setAttribute('aria-label', i18n.t('chart.summary', {
+      range,
+      min: this.formatLevel(Math.min(...levels)),
+      max: this.formatLevel(Math.max(...levels)),
+      latest: this.formatLevel(levels[levels.length - 1])
+    }));
+  }
+
+  /**
+   * Render the readings shown in the chart as a sortable table (only while it is open)
+   */
+  renderDataTable() {
+    const container = this.elements.dataTable;
+    if (!container || container.classList.contains('hidden') || !this.chart) return;
+
+    const { key, descending } = AppState.tableSort;
+    const readings = this.chart.getReadings()
+      .sort((a, b) => (descending ? b[key] - a[key] : a[key] - b[key]));
+
+    const columns = [
+      { key: 'timestamp', label: i18n.t('table.time') },
+      { key: 'waterLevel', label: i18n.t('table.level') },
+      { key: null, label: i18n.t('table.alertLevel') }
+    ];
+
+    const table = document.createElement('table');
+    table.className = 'statistics-table data-table';
+
+    const caption = table.createCaption();
+    caption.id = 'dataTableCaption';
+    caption.textContent = i18n.t('table.caption', {
+      range: this.elements.chartRangeLabel ? this.elements.chartRangeLabel.textContent : ''
+    });
+
+    const head = table.createTHead().insertRow();
+    columns.forEach(column => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+
+      if (column.key) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'sort-btn';
+        button.dataset.sort = column.key;
+        button.textContent = column.label;
+        th.appendChild(button);
+
+        const order = descending ? 'descending' : 'ascending';
+        th.setAttribute('aria-sort', column.key === key ? order : 'none');
+      } else {
+        th.textContent = column.label;
+      }
+      head.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    readings.forEach(reading => {
+      const tr = body.insertRow();
+      tr.insertCell().textContent = i18n.formatDateTime(reading.timestamp);
+      tr.insertCell().textContent = this.formatLevel(reading.waterLevel);
+      tr.insertCell().textContent = i18n.getLabel(this.getAlertLevel(reading.waterLevel));
+    });
+
+    if (readings.length === 0) {
+      const td = body.insertRow().insertCell();
+      td.colSpan = columns.length;
+      td.textContent = i18n.t('table.empty');
+    }
+
+    container.innerHTML = '';
+    container.appendChild(table);
+  }
+
+  /**
+   * Format a water level without thousands separators (averaged levels keep one decimal)
+   * @param {number} waterLevel - Water level in cm
+   * @returns {string} Formatted level
+   */
+  formatLevel(waterLevel) {
+    return i18n.formatNumber(waterLevel, { useGrouping: false, maximumFractionDigits: 1 });
+  }
+
+  /**
+   * Get the time span of the selected chart range
+   * @returns {Object} from, to (null while following live data) and server history resolution
+   */
+  getChartRangeBounds() {
+    const hour = 60 * 60 * 1000;
+    const { key, from, to } = AppState.chartRange;
+
+    if (key === 'custom' && Number.isFinite(from) && Number.isFinite(to)) {
+      const span = to - from;
+      let resolution = 'day';
+      if (span <= 48 * hour) {
+        resolution = 'raw';
+      } else if (span <= 14 * 24 * hour) {
+        resolution = '10min';
+      } else if (span <= 60 * 24 * hour) {
+        resolution = 'hour';
+      }
+      return { from, to, resolution };
+    }
+
+    const range = WaterLevelChart.RANGES[key] || WaterLevelChart.RANGES['24h'];
+    return { from: Date.now() - range.hours * hour, to: null, resolution: range.resolution };
+  }
+
+  /**
+   * Load the readings of a chart range from local storage and the server history
+   * @param {Object} bounds - Result of getChartRangeBounds
+   * @returns {Promise<Array>} Readings (oldest first)
+   */
+  async loadChartData({ from, to, resolution }) {
+    const end = to ?? Date.now();
+    const local = await this.storage.getRange(from, end);
+    let readings = WaterLevelAggregation.downsample(local, resolution);
+    let fromServer = false;
+
+    try {
+      const server = await this.api.fetchHistory(from, end, resolution);
+      if (server && server.length > 0) {
+        fromServer = true;
+
+        // Raw server readings are completed with the more frequent local ones
+        if (resolution === 'raw') {
+          const byTimestamp = new Map();
+          [...server, ...local].forEach(reading => byTimestamp.set(reading.timestamp, reading));
+          readings = [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp);
+        } else {
+          readings = server;
+        }
+      }
+    } catch (error) {
+      console.warn('Server history unavailable:', error.message);
+    }
+
+    if (this.elements.chartRangeHint) {
+      const limited = !fromServer && Date.now() - from > this.storage.maxAge;
+      this.elements.chartRangeHint.textContent = limited
+        ? i18n.t('chart.limitedHint', { retention: this.formatRetention() })
+        : '';
+      this.elements.chartRangeHint.classList.toggle('hidden', !limited);
+    }
+
+    return readings;
+  }
+
+  /**
+   * Reload the chart for the selected range
+   */
+  async refreshChartData() {
+    if (!this.chart) return;
+
+    const bounds = this.getChartRangeBounds();
+    const readings = await this.loadChartData(bounds);
+
+    this.chart.setTimeWindow(bounds.from, bounds.to, bounds.resolution);
+    this.chart.refreshChart(readings);
+  }
+
+  /**
+   * Download the selected chart range
+   * @param {string} format - csv-de, csv, json, png or svg
+   */
+  async exportRange(format) {
+    const bounds = this.getChartRangeBounds();
+    const to = bounds.to ?? Date.now();
+
+    try {
+      const readings = await this.loadChartData(bounds);
+      if (readings.length === 0) {
+        this.showErrorToast(i18n.t('export.empty'));
+        return;
+      }
+
+      // Without the server history the stored raw readings are exported
+      const resolution = readings.some(reading => Number.isFinite(reading.count)) ? bounds.resolution : 'raw';
+      const metadata = WaterLevelExport.getMetadata({ gauge: this.getExportGauge(), from: bounds.from, to, resolution });
+      let filename;
+
+      if (format === 'png') {
+        const range = `${i18n.formatDateTime(bounds.from)} – ${i18n.formatDateTime(to)}`;
+        const image = this.chart ? this.chart.exportAsImage([
+          i18n.t('export.caption', { gauge: metadata.gauge, unit: metadata.unit, range }),
+          `${metadata.attribution} (${metadata.sourceUrl})`
+        ]) : null;
+        if (!image) return;
+
+        filename = WaterLevelExport.getFilename(metadata, 'png');
+        this.downloadURL(image, filename);
+      } else {
+        const files = {
+          'csv-de': () => [WaterLevelExport.toCSV(readings, metadata, 'de'), 'csv', 'text/csv;charset=utf-8'],
+          csv: () => [WaterLevelExport.toCSV(readings, metadata, 'en'), 'csv', 'text/csv;charset=utf-8'],
+          json: () => [WaterLevelExport.toJSON(readings, metadata), 'json', 'application/json'],
+          svg: () => [
+            WaterLevelExport.toSVG(readings, metadata, { lines: this.chart ? this.chart.getThresholdLines() : [] }),
+            'svg',
+            'image/svg+xml'
+          ]
+        };
+        if (!files[format]) {
+          throw new Error(`Unknown export format: ${format}`);
+        }
+
+        const [content, extension, type] = files[format]();
+        filename = WaterLevelExport.getFilename(metadata, extension);
+
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        this.downloadURL(url, filename);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+      }
+
+      this.showSuccessToast(i18n.t('export.saved', { filename }));
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.showErrorToast(i18n.t('export.failed'));
+    }
+  }
+
+  /**
+   * Start a file download
+   * @param {string} url - Object or data URL
+   * @param {string} filename - Suggested filename
+   */
+  downloadURL(url, filename) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  }
+
+  /**
+   * Download the stored history of the selected gauge as a JSON backup
+   */
+  async downloadBackup() {
+    const content = await this.storage.exportData();
+    if (!content) {
+      this.showErrorToast(i18n.t('data.backupFailed'));
+      return;
+    }
+
+    const date = WaterLevelExport.formatLocalTime(Date.now()).slice(0, 10);
+    const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+    this.downloadURL(url, `rheinpegel-${this.api.gaugeId}-${i18n.t('data.backupFilename')}-${date}.json`);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Import a backup or export file and merge its readings into the stored history
+   * @param {File} file - Selected JSON or CSV file
+   */
+  async importHistory(file) {
+    let message;
+
+    try {
+      const result = WaterLevelImport.parse(await file.text(), file.name);
+      if (result.gaugeId && result.gaugeId !== this.api.gaugeId) {
+        const gauge = this.getGauge(result.gaugeId);
+        throw new Error(i18n.t('data.wrongGauge', { gauge: gauge ? gauge.name : result.gaugeId }));
+      }
+
+      const { added, skipped, expired } = await this.storage.importReadings(result.readings);
+      message = i18n.t('data.importResult', {
+        added,
+        skipped,
+        expired: expired > 0 ? i18n.t('data.importExpired', { count: expired, retention: this.formatRetention() }) : '',
+        invalid: result.invalid
+      });
+      console.log('Imported history:', result.format, { added, skipped, expired, invalid: result.invalid });
+
+      if (added > 0) {
+        await this.refreshChartData();
+        await Promise.all([this.updateTrend(), this.updateForecast()]);
+        this.updateStatistics();
+      }
+      this.showSuccessToast(i18n.t('data.importDone', { added }));
+    } catch (error) {
+      console.error('Import failed:', error);
+      message = i18n.t('data.importFailedDetail', { message: error.message });
+      this.showErrorToast(i18n.t('data.importFailed'));
+    }
+
+    if (this.elements.importResult) {
+      this.elements.importResult.textContent = message;
+      this.elements.importResult.classList.remove('hidden');
+    }
+  }
+
+  /**
+   * Describe how long the browser keeps readings (e.g. "24 Stunden", "365 days")
+   * @returns {string} Retention period
+   */
+  formatRetention() {
+    const hours = Math.round(this.storage.maxAge / (60 * 60 * 1000));
+    return hours >= 48
+      ? i18n.t('data.retentionDays', { count: Math.round(hours / 24) })
+      : i18n.t('data.retentionHours', { count: hours });
+  }
+
+  /**
+   * Get the selected gauge for export metadata
+   * (without the proxy only Köln is available and the gauge list is empty)
+   * @returns {Object} Gauge with id, name, riverKm and source type
+   */
+  getExportGauge() {
+    return this.getGauge(this.api.gaugeId) || { id: this.api.gaugeId, name: 'Köln', riverKm: 688.0, source: 'koeln-xml' };
+  }
+
+  /**
+   * Select and persist a chart range
+   * @param {string} key - Range key (6h, 24h, 7d, 30d or custom)
+   * @param {number|null} from - Start of a custom range
+   * @param {number|null} to - End of a custom range
+   */
+  async setChartRange(key, from = null, to = null) {
+    AppState.chartRange = { key, from, to };
+    this.storage.saveSetting('chartRange', AppState.chartRange);
+    this.renderChartRange();
+
+    await this.refreshChartData();
+  }
+
+  /**
+   * Show the selected chart range in the title and range buttons
+   */
+  renderChartRange() {
+    const { key, from, to } = AppState.chartRange;
+    const isCustom = key === 'custom' && Number.isFinite(from) && Number.isFinite(to);
+
+    this.elements.rangeButtons.forEach(button => {
+      const active = button.dataset.range === (isCustom ? 'custom' : key);
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+    });
+
+    if (this.elements.chartRangeLabel) {
+      const range = WaterLevelChart.RANGES[key] ? key : '24h';
+      this.elements.chartRangeLabel.textContent = isCustom
+        ? `${i18n.formatDateTime(from)} – ${i18n.formatDateTime(to)}`
+        : i18n.t(`range.${range}`);
+    }
+
+    if (this.elements.customRange) {
+      this.elements.customRange.classList.toggle('hidden', !isCustom);
+    }
+  }
+
+  /**
+   * Show the custom range form, prefilled with the visible range
+   */
+  showCustomRangeForm() {
+    if (!this.elements.customRange) return;
+
+    const bounds = this.getChartRangeBounds();
+    const toInputValue = timestamp => {
+      const date = new Date(timestamp);
+      return new Date(timestamp - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    };
+
+    this.elements.rangeFrom.value = toInputValue(bounds.from);
+    this.elements.rangeTo.value = toInputValue(bounds.to ?? Date.now());
+    this.elements.customRange.classList.remove('hidden');
+    this.elements.rangeFrom.focus();
+  }
+
+  /**
+   * Show the rate of change over the selected window from the stored history
+   */
+  async updateTrend() {
+    if (!this.elements.trendIndicator) return;
+
+    const trend = WaterLevelTrend.compute(await this.storage.getHistoricalData(24), AppState.trendWindow);
+    const indicator = this.elements.trendIndicator;
+
+    indicator.classList.remove('hidden', 'trend-rising', 'trend-falling', 'trend-steady');
+
+    if (!trend) {
+      this.elements.trendArrow.textContent = '–';
+      this.elements.trendRate.textContent = i18n.t('trend.unavailable');
+      this.elements.trendChange.textContent = '';
+      indicator.title = i18n.t('trend.needsReadings');
+      return;
+    }
+
+    const arrows = { rising: '↑', falling: '↓', steady: '→' };
+    const sign = trend.change > 0 ? '+' : '';
+    const hours = i18n.formatNumber(Math.round((trend.to - trend.from) / (60 * 60 * 1000) * 10) / 10);
+
+    indicator.classList.add(`trend-${trend.direction}`);
+    this.elements.trendArrow.textContent = arrows[trend.direction];
+    this.elements.trendRate.textContent = WaterLevelTrend.formatRate(trend.ratePerHour, i18n.getLocale());
+    this.elements.trendChange.textContent = i18n.t('trend.change', { change: `${sign}${trend.change}`, hours });
+    indicator.title = trend.partial
+      ? i18n.t('trend.partial', { hours })
+      : i18n.t('trend.basedOn', { count: trend.count });
+  }
+
+  /**
+   * Project the level from the stored history and show the next threshold crossing
+   */
+  async updateForecast() {
+    const forecast = WaterLevelForecast.forecast(await this.storage.getHistoricalData(24));
+
+    if (this.chart) {
+      this.chart.setForecast(forecast);
+    }
+
+    if (!this.elements.forecastHint) return;
+
+    const crossing = forecast ? forecast.crossings[0] : null;
+    if (!crossing) {
+      this.elements.forecastHint.classList.add('hidden');
+      return;
+    }
+
+    const eta = crossing.hours < 1 ? '< 1 h' : `~${Math.round(crossing.hours)} h`;
+    const level = ALERT_LEVELS[crossing.key] ? i18n.getThresholdLabel(ALERT_LEVELS[crossing.key]) : crossing.labelDE;
+    this.elements.forecastHint.textContent = i18n.t(crossing.direction === 'up' ? 'forecast.up' : 'forecast.down', { level, eta });
+    this.elements.forecastHint.classList.remove('hidden');
+  }
+
+  /**
+   * Update the statistics panel from the server history, or the stored readings without it
+   */
+  async updateStatistics() {
+    if (!this.elements.statisticsTable || this.statisticsPending) return;
+
+    this.statisticsPending = true;
+    const now = Date.now();
+    const periods = Object.keys(WaterLevelAggregation.PERIODS);
+    let fromServer = false;
+
+    try {
+      const local = await this.storage.getRange(WaterLevelAggregation.getPeriodStart('30d', now), now);
+
+      const summaries = await Promise.all(periods.map(async period => {
+        const from = WaterLevelAggregation.getPeriodStart(period, now);
+
+        try {
+          const summary = await this.api.fetchHistorySummary(from, now);
+          if (summary) {
+            fromServer = true;
+            return summary;
+          }
+        } catch (error) {
+          console.warn('Server statistics unavailable:', error.message);
+        }
+
+        return WaterLevelAggregation.summarize(local.filter(reading => reading.timestamp >= from));
+      }));
+
+      this.renderStatistics(periods, summaries, now);
+
+      if (this.elements.statisticsHint) {
+        const limited = !fromServer && this.storage.maxAge < WaterLevelAggregation.PERIODS['30d'];
+        this.elements.statisticsHint.textContent = limited
+          ? i18n.t('statistics.limitedHint', { retention: this.formatRetention() })
+          : '';
+        this.elements.statisticsHint.classList.toggle('hidden', !limited);
+      }
+    } catch (error) {
+      console.error('Statistics update failed:', error);
+
+      if (this.elements.statisticsHint) {
+        this.elements.statisticsHint.textContent = i18n.t('statistics.error');
+        this.elements.statisticsHint.classList.remove('hidden');
+      }
+    } finally {
+      this.statisticsPending = false;
+    }
+  }
+
+  /**
+   * Render the statistics table with one column per period
+   * @param {Array<string>} periods - Period names
+   * @param {Array<Object|null>} summaries - Summary per period
+   * @param {number} now - Timestamp the periods end at
+   */
+  renderStatistics(periods, summaries, now) {
+    const format = timestamp => i18n.formatDateTime(timestamp);
+    const formatHours = hours => `${i18n.formatNumber(hours, { maximumFractionDigits: 1 })} h`;
+    const extreme = point => [`${point.waterLevel} cm`, format(point.timestamp)];
+
+    const levels = Object.values(ALERT_LEVELS).sort((a, b) => a.min - b.min);
+    const rows = [
+      { label: i18n.t('statistics.min'), value: summary => extreme(summary.min) },
+      { label: i18n.t('statistics.max'), value: summary => extreme(summary.max) },
+      { label: i18n.t('statistics.mean'), value: summary => [`${i18n.formatNumber(summary.mean)} cm`] },
+      ...levels.map(level => ({
+        label: i18n.t('statistics.hoursIn', { level: i18n.getLabel(level) }),
+        value: summary => [formatHours(summary.hoursInLevel[level.key] || 0)]
+      })),
+      {
+        label: i18n.t('statistics.largestRise'),
+        value: summary => summary.largestRise
+          ? [`+${summary.largestRise.change} cm`,
+            `${format(summary.largestRise.from.timestamp)} – ${format(summary.largestRise.to.timestamp)}`]
+          : ['–']
+      }
+    ];
+
+    const table = document.createElement('table');
+    table.className = 'statistics-table';
+
+    const head = table.createTHead().insertRow();
+    head.appendChild(document.createElement('th'));
+    periods.forEach((period, index) => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = i18n.t(`statistics.${period}`);
+
+      // Mark periods the recorded readings only partly cover
+      const summary = summaries[index];
+      const start = WaterLevelAggregation.getPeriodStart(period, now);
+      if (summary && summary.from - start > WaterLevelAggregation.MAX_GAP) {
+        const since = document.createElement('small');
+        since.textContent = i18n.t('statistics.since', { time: format(summary.from) });
+        th.append(document.createElement('br'), since);
+      }
+      head.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    rows.forEach(row => {
+      const tr = body.insertRow();
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = row.label;
+      tr.appendChild(th);
+
+      summaries.forEach(summary => {
+        const td = tr.insertCell();
+        const [value, detail] = summary ? row.value(summary) : ['–'];
+        td.textContent = value;
+
+        if (detail) {
+          const small = document.createElement('small');
+          small.textContent = detail;
+          td.append(document.createElement('br'), small);
+        }
+      });
+    });
+
+    this.elements.statisticsTable.innerHTML = '';
+    this.elements.statisticsTable.appendChild(table);
+  }
+
+  /**
+   * Get alert level for water level
+   * @param {number} waterLevel - Water level in cm
+   * @returns {Object} Alert level configuration
+   */
+  getAlertLevel(waterLevel) {
+    return getAlertLevel(waterLevel);
+  }
+
+  /**
+   * Load the threshold configuration served by the proxy (keeps the defaults on failure)
+   */
+  async loadThresholds() {
+    try {
+      const thresholds = await this.api.fetchThresholds();
+      if (thresholds) {
+        applyThresholdConfig(thresholds);
+        console.log('Loaded threshold configuration from server');
+      }
+    } catch (error) {
+      console.warn('Using default thresholds:', error.message);
+    }
+  }
+
+  /**
+   * Load the gauges served by the proxy and restore the selected gauge
+   * (the selector stays hidden without the proxy)
+   */
+  async loadGauges() {
+    try {
+      const gauges = await this.api.fetchGauges();
+      if (!gauges || gauges.length < 2) return;
+
+      this.gauges = gauges;
+      this.renderGaugeSelector();
+
+      const savedGauge = this.storage.getSetting('gauge');
+      if (savedGauge && savedGauge !== this.api.gaugeId && this.getGauge(savedGauge)) {
+        this.selectGauge(savedGauge);
+      }
+    } catch (error) {
+      console.warn('Gauge list unavailable:', error.message);
+    }
+  }
+
+  /**
+   * Get a loaded gauge by id
+   * @param {string} gaugeId - Gauge id
+   * @returns {Object|null} Gauge or null if unknown
+   */
+  getGauge(gaugeId) {
+    return this.gauges.find(gauge => gauge.id === gaugeId) || null;
+  }
+
+  /**
+   * Fill the gauge selector
+   */
+  renderGaugeSelector() {
+    if (!this.elements.gaugeSelect) return;
+
+    this.elements.gaugeSelect.innerHTML = '';
+    this.gauges.forEach(gauge => {
+      const option = document.createElement('option');
+      option.value = gauge.id;
+      option.textContent = Number.isFinite(gauge.riverKm)
+        ? i18n.t('gauge.option', { name: gauge.name, km: i18n.formatNumber(gauge.riverKm, { minimumFractionDigits: 1 }) })
+        : gauge.name;
+      this.elements.gaugeSelect.appendChild(option);
+    });
+
+    this.elements.gaugeSelect.value = this.api.gaugeId;
+    if (this.elements.gaugeSelector) {
+      this.elements.gaugeSelector.classList.remove('hidden');
+    }
+  }
+
+  /**
+   * Point API, storage, thresholds and header at a gauge
+   * @param {string} gaugeId - Gauge id
+   */
+  selectGauge(gaugeId) {
+    const gauge = this.getGauge(gaugeId);
+    if (!gauge) return;
+
+    this.api.setGauge(gauge.id);
+    this.storage.setGauge(gauge.id);
+    this.notifier.gaugeName = gauge.name;
+    applyThresholdConfig(gauge.thresholds);
+
+    if (this.elements.gaugeName) {
+      this.elements.gaugeName.textContent = gauge.name;
+    }
+    if (this.elements.gaugeSelect) {
+      this.elements.gaugeSelect.value = gauge.id;
+    }
+  }
+
+  /**
+   * Switch to another gauge and load its readings
+   * @param {string} gaugeId - Gauge id
+   */
+  async switchGauge(gaugeId) {
+    if (!this.getGauge(gaugeId) || gaugeId === this.api.gaugeId) return;
+
+    console.log('Switching to gauge', gaugeId);
+    this.stopLiveUpdates();
+
+    this.selectGauge(gaugeId);
+    this.storage.saveSetting('gauge', gaugeId);
+
+    // Readings of the previous gauge must not count as a level change
+    AppState.currentLevel = null;
+    AppState.lastUpdate = null;
+    AppState.lastEventId = null;
+    this.announcer.reset();
+
+    this.renderLegend();
+    await this.backfillHistory();
+    await this.refreshChartData();
+    await this.updateForecast();
+
+    await this.fetchAndUpdate();
+
+    if (AppState.autoRefreshEnabled) {
+      this.startLiveUpdates();
+    }
+  }
+
+  /**
+   * Render the legend from the alert levels and flood marks
+   */
+  renderLegend() {
+    if (!this.elements.legendItems) return;
+
+    const levels = Object.values(ALERT_LEVELS).sort((a, b) => a.min - b.min);
+    const items = levels.map((level, index) => {
+      let range;
+      if (index === 0) {
+        range = `< ${level.max} cm`;
+      } else if (!Number.isFinite(level.max)) {
+        range = `≥ ${level.min} cm`;
+      } else {
+        range = `${level.min} - ${level.max} cm`;
+      }
+      return {
+        label: i18n.getLabel(level),
+        range,
+        color: theme.getLevelColors(level).color,
+        level: level.key,
+        icon: level.icon,
+        isMark: false
+      };
+    });
+
+    ALERT_MARKS.forEach(mark => {
+      items.push({ label: i18n.getLabel(mark), range: `${mark.waterLevel} cm`, color: mark.color, isMark: true });
+    });
+
+    this.elements.legendItems.innerHTML = '';
+    items.forEach(item => {
+      const element = document.createElement('div');
+      element.className = 'legend-item';
+
+      const color = document.createElement('span');
+      color.className = item.isMark ? 'legend-color legend-mark' : 'legend-color';
+      color.style.backgroundColor = item.color;
+      if (item.level) {
+        // Pattern and icon of the color-blind safe palette
+        color.dataset.level = item.level;
+        const icon = document.createElement('span');
+        icon.className = 'legend-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = item.icon;
+        color.appendChild(icon);
+      }
+
+      const text = document.createElement('div');
+      text.className = 'legend-text';
+
+      const label = document.createElement('strong');
+      label.textContent = item.label;
+
+      const range = document.createElement('span');
+      range.className = 'legend-range';
+      range.textContent = item.range;
+
+      text.append(label, range);
+      element.append(color, text);
+      this.elements.legendItems.appendChild(element);
+    });
+  }
+
+  /**
+   * Show the persisted notification preferences and permission state
+   */
+  renderNotificationSettings() {
+    const preferences = this.notifier.getPreferences();
+    const permission = this.notifier.getPermission();
+    const enabled = preferences.enabled && permission === 'granted';
+
+    if (this.elements.notificationsToggle) {
+      this.elements.notificationsToggle.checked = enabled;
+      this.elements.notificationsToggle.disabled = permission === 'unsupported' || permission === 'denied';
+    }
+
+    if (this.elements.notificationStatus) {
+      this.elements.notificationStatus.textContent = i18n.t(`notifications.permission.${permission}`);
+    }
+
+    if (this.elements.notificationOptions) {
+      this.elements.notificationOptions.disabled = !enabled;
+    }
+
+    this.elements.notificationTransitions.forEach(input => {
+      input.checked = preferences.transitions.includes(input.value);
+    });
+
+    if (this.elements.customThreshold) {
+      this.elements.customThreshold.value = preferences.customThreshold ?? '';
+    }
+  }
+
+  /**
+   * Handle manual refresh button click
+   */
+  async handleManualRefresh() {
+    console.log('Manual refresh triggered');
+    
+    // Disable button temporarily
+    if (this.elements.refreshBtn) {
+      this.elements.refreshBtn.disabled = true;
+    }
+
+    await this.fetchAndUpdate();
+
+    // Count the next poll from now (and drop a failure backoff after a success)
+    this.scheduleRefresh();
+
+    // Re-enable button
+    if (this.elements.refreshBtn) {
+      setTimeout(() => {
+        this.elements.refreshBtn.disabled = false;
+      }, 1000);
+    }
+  }
+
+  /**
+   * Start live updates from the server stream, or poll if it is unavailable
+   */
+  startLiveUpdates() {
+    const streamUrl = this.api.getStreamUrl();
+
+    if (!streamUrl || typeof EventSource === 'undefined') {
+      console.log('Live stream unavailable, falling back to polling');
+      this.startAutoRefresh();
+      return;
+    }
+
+    this.connectStream(streamUrl);
+  }
+
+  /**
+   * Stop live updates and polling
+   */
+  stopLiveUpdates() {
+    this.disconnectStream();
+    this.stopAutoRefresh();
+  }
+
+  /**
+   * Connect to the server event stream
+   * @param {string} streamUrl - Stream URL
+   */
+  connectStream(streamUrl) {
+    this.disconnectStream();
+
+    // The browser sends Last-Event-ID on its own reconnects; a new connection needs the query parameter
+    const url = AppState.lastEventId
+      ? `${streamUrl}?lastEventId=${encodeURIComponent(AppState.lastEventId)}`
+      : streamUrl;
+    const eventSource = new EventSource(url);
+    this.eventSource = eventSource;
+
+    eventSource.addEventListener('open', () => {
+      console.log('Live stream connected');
+      AppState.streamConnected = true;
+      this.stopAutoRefresh();
+      this.renderRefreshStatus();
+    });
+
+    eventSource.addEventListener('reading', (e) => {
+      AppState.lastEventId = e.lastEventId;
+
+      const handleFailure = (error) => {
+        console.error('Failed to handle live reading:', error);
+        this.handleError(error);
+      };
+
+      try {
+        this.handleStreamReading(JSON.parse(e.data)).catch(handleFailure);
+      } catch (error) {
+        handleFailure(error);
+      }
+    });
+
+    eventSource.addEventListener('error', () => {
+      console.warn('Live stream interrupted');
+      AppState.streamConnected = false;
+
+      // Keep data flowing by polling while the stream is down
+      if (!AppState.pollingActive) {
+        this.startAutoRefresh();
+      }
+
+      // The browser only retries by itself while the connection is not closed for good
+      if (eventSource.readyState === EventSource.CLOSED) {
+        this.streamReconnectTimer = setTimeout(() => {
+          this.connectStream(streamUrl);
+        }, AppState.streamReconnectDelay);
+      }
+    });
+  }
+
+  /**
+   * Close the server event stream
+   */
+  disconnectStream() {
+    if (this.streamReconnectTimer) {
+      clearTimeout(this.streamReconnectTimer);
+      this.streamReconnectTimer = null;
+    }
+
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+      AppState.streamConnected = false;
+      console.log('Live stream closed');
+    }
+  }
+
+  /**
+   * Start polling on the adaptive schedule
+   */
+  startAutoRefresh() {
+    AppState.pollingActive = true;
+    console.log('Auto-refresh started (interval:', AppState.refreshInterval, 'ms)');
+    this.scheduleRefresh();
+  }
+
+  /**
+   * Stop polling
+   */
+  stopAutoRefresh() {
+    if (AppState.refreshTimer) {
+      clearTimeout(AppState.refreshTimer);
+      AppState.refreshTimer = null;
+    }
+
+    if (AppState.pollingActive) {
+      AppState.pollingActive = false;
+      console.log('Auto-refresh stopped');
+    }
+  }
+
+  /**
+   * Schedule the next poll from the chosen interval and the current conditions
+   * (replaces a pending poll)
+   */
+  async scheduleRefresh() {
+    if (AppState.refreshTimer) {
+      clearTimeout(AppState.refreshTimer);
+      AppState.refreshTimer = null;
+    }
+
+    if (!AppState.pollingActive || !AppState.autoRefreshEnabled) {
+      this.renderRefreshStatus();
+      return;
+    }
+
+    const trend = WaterLevelTrend.compute(await this.storage.getHistoricalData(1), '1h');
+    const preferences = this.notifier.getPreferences();
+    const { delay, reason } = RefreshSchedule.getDelay({
+      interval: AppState.refreshInterval,
+      hidden: document.hidden,
+      // Notifications need readings while the page is in the background
+      pollWhileHidden: preferences.enabled && preferences.permission === 'granted',
+      elevated: AppState.currentLevel !== null && this.getAlertLevel(AppState.currentLevel).min > 0,
+      ratePerHour: trend ? trend.ratePerHour : null,
+      failures: AppState.refreshFailures
+    });
+
+    // Another call may have scheduled a poll while the history was read
+    if (AppState.refreshTimer) {
+      clearTimeout(AppState.refreshTimer);
+      AppState.refreshTimer = null;
+    }
+    if (!AppState.pollingActive) return;
+
+    this.refreshSchedule = { delay, reason };
+    this.renderRefreshStatus(this.refreshSchedule);
+
+    if (delay === null) {
+      console.log('Auto-refresh paused while the page is hidden');
+      return;
+    }
+
+    AppState.refreshTimer = setTimeout(async () => {
+      AppState.refreshTimer = null;
+      console.log('Auto-refresh triggered');
+      await this.fetchAndUpdate();
+      this.scheduleRefresh();
+    }, delay);
+  }
+
+  /**
+   * Describe how the app is updated next to the auto-refresh toggle
+   * @param {Object} schedule - Result of RefreshSchedule.getDelay while polling
+   */
+  renderRefreshStatus(schedule = null) {
+    if (!this.elements.refreshStatus) return;
+
+    let text = '';
+    if (AppState.autoRefreshEnabled && AppState.streamConnected) {
+      text = i18n.t('refresh.live');
+    } else if (AppState.autoRefreshEnabled && schedule) {
+      const interval = RefreshSchedule.formatDelay(schedule.delay ?? 0, i18n.getLocale());
+      text = i18n.t(`refresh.${schedule.reason}`, { interval });
+    }
+
+    this.elements.refreshStatus.textContent = text;
+  }
+
+  /**
+   * Set loading state
+   * @param {boolean} isLoading - Loading state
+   */
+  setLoading(isLoading) {
+    AppState.isLoading = isLoading;
+
+    if (this.elements.loadingOverlay) {
+      if (isLoading) {
+        this.elements.loadingOverlay.classList.remove('hidden');
+      } else {
+        this.elements.loadingOverlay.classList.add('hidden');
+      }
+    }
+
+    // Disable refresh button while loading
+    if (this.elements.refreshBtn) {
+      this.elements.refreshBtn.disabled = isLoading;
+    }
+  }
+
+  /**
+   * Handle errors: fall back to the stored readings in offline mode, or show the error
+   * @param {Error} error - Error object
+   */
+  async handleError(error) {
+    AppState.hasError = true;
+    AppState.errorMessage = error.message;
+
+    console.error('Application error:', error);
+
+    const latestReading = await this.storage.getLatestReading();
+    if (!latestReading) {
+      this.showErrorToast(error.message);
+      return;
+    }
+
+    console.log('Showing cached data from:', new Date(latestReading.timestamp));
+    this.updateDisplay(latestReading);
+    this.enterOfflineMode(latestReading);
+
+    // While the browser is online, the failure is worth reporting as well
+    if (navigator.onLine !== false) {
+      this.showErrorToast(error.message);
+    }
+  }
+
+  /**
+   * Show the offline banner with the time of the displayed reading
+   * @param {Object} reading - Displayed (cached) reading
+   */
+  enterOfflineMode(reading) {
+    AppState.isOffline = true;
+    this.offlineReading = reading;
+    document.body.classList.add('offline-mode');
+
+    if (!this.elements.offlineBanner) return;
+
+    const date = i18n.formatDate(reading.timestamp);
+    const time = date === i18n.formatDate(Date.now())
+      ? i18n.formatTime(reading.timestamp)
+      : `${date} ${i18n.formatTime(reading.timestamp)}`;
+
+    this.elements.offlineMessage.textContent = i18n.t('offline.message', { time });
+    this.elements.offlineBanner.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the offline banner once live data arrives again
+   */
+  exitOfflineMode() {
+    if (!AppState.isOffline) return;
+
+    AppState.isOffline = false;
+    document.body.classList.remove('offline-mode');
+
+    if (this.elements.offlineBanner) {
+      this.elements.offlineBanner.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Show the page, status card, charts and panels in the selected language
+   */
+  async applyLanguage() {
+    i18n.translatePage();
+    if (this.elements.languageSelect) {
+      this.elements.languageSelect.value = i18n.language;
+    }
+
+    this.renderChartRange();
+    this.renderLegend();
+    this.renderNotificationSettings();
+    if (this.isShortcutHelpOpen()) {
+      this.renderShortcutHelp();
+    }
+    this.renderRefreshStatus(this.refreshSchedule);
+    if (this.gauges.length > 0) {
+      this.renderGaugeSelector();
+    }
+
+    if (this.displayedReading) {
+      this.updateDisplay(this.displayedReading);
+    }
+    if (AppState.isOffline && this.offlineReading) {
+      this.enterOfflineMode(this.offlineReading);
+    }
+
+    if (this.chart) {
+      this.chart.applyLanguage();
+    }
+    await this.refreshChartData();
+    await Promise.all([this.updateTrend(), this.updateForecast()]);
+    this.updateStatistics();
+  }
+
+  /**
+   * Redraw the status card, legend and chart in the colours of the applied theme
+   */
+  applyTheme() {
+    const waterLevel = this.displayedReading ? this.displayedReading.waterLevel : null;
+    if (waterLevel !== null) {
+      this.statusCard.renderAlertLevel(this.getAlertLevel(waterLevel));
+    }
+    this.renderLegend();
+
+    if (this.chart) {
+      this.chart.applyTheme(waterLevel);
+    }
+  }
+
+  /**
+   * Register the service worker (only over HTTP(S), not for pages opened from disk)
+   */
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+      return;
+    }
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+      console.log('Service worker registered:', registration.scope);
+    }).catch(error => {
+      console.warn('Service worker registration failed:', error);
+    });
+  }
+
+  /**
+   * Show error toast
+   * @param {string} message - Error message
+   */
+  showErrorToast(message) {
+    if (this.elements.errorToast && this.elements.errorMessage) {
+      this.elements.errorMessage.textContent = message;
+      this.elements.errorToast.classList.remove('hidden');
+
+      // Auto-hide after 5 seconds
+      setTimeout(() => {
+        this.elements.errorToast.classList.add('hidden');
+      }, 5000);
+    }
+  }
+
+  /**
+   * Show success toast
+   * @param {string} message - Success message
    */
   showSuccessToast(message) {
     if (this.elements.successToast && this.elements.successMessage) {
@@ -397,7 +2087,7 @@ class RheinPegelApp {
    * Cleanup on app destroy
    */
   destroy() {
-    this.stopAutoRefresh();
+    this.stopLiveUpdates();
     if (this.chart) {
       this.chart.destroy();
     }
@@ -7,7 +7,46 @@ class WaterLevelChart {
   constructor(canvasElement) {
     this.canvas = canvasElement;
     this.chart = null;
-    this.maxDataPoints = 144; // 24 hours with 10-minute intervals
+    this.windowMs = 24 * 60 * 60 * 1000; // span of the visible time range
+    this.windowEnd = null; // fixed end of a custom range, null while following live data
+    this.resolution = 'raw'; // resolution of the shown readings, decides which gaps break the line
+    this.historyLength = 0; // labels after this index belong to the forecast
+    this.forecast = null;
+    this.onZoomChange = null; // called with true/false when the user zooms or resets
+    this.onDataChange = null; // called after the shown readings changed
+  }
+
+  /**
+   * Selectable time ranges
+   * @returns {Object} Ranges with duration and server history resolution
+   *   (titles are the range.<key> messages)
+   */
+  static get RANGES() {
+    return {
+      '6h': { hours: 6, resolution: 'raw' },
+      '24h': { hours: 24, resolution: 'raw' },
+      '7d': { hours: 7 * 24, resolution: '10min' },
+      '30d': { hours: 30 * 24, resolution: 'hour' }
+    };
+  }
+
+  /**
+   * Chart colours used where the theme does not set the --chart-* CSS properties
+   * @returns {Object} Colours keyed by property name
+   */
+  static get DEFAULT_COLORS() {
+    return {
+      'chart-line': '#2196F3',
+      'chart-fill': 'rgba(33, 150, 243, 0.1)',
+      'chart-point-border': '#FFFFFF',
+      'chart-text': '#666666',
+      'chart-grid': 'rgba(0, 0, 0, 0.1)',
+      'chart-grid-minor': 'rgba(0, 0, 0, 0.05)',
+      'chart-tooltip': 'rgba(0, 0, 0, 0.8)',
+      'chart-forecast': '#757575',
+      'chart-band': 'rgba(120, 120, 120, 0.15)',
+      'color-surface': '#FFFFFF'
+    };
   }
 
   /**
@@ -32,42 +71,23 @@ class WaterLevelChart {
         labels: chartData.labels,
         datasets: [
           {
-            label: 'Wasserstand (cm)',
+            label: i18n.t('chart.waterLevel'),
             data: chartData.values,
-            borderColor: '#2196F3',
-            backgroundColor: 'rgba(33, 150, 243, 0.1)',
+            ...this.getLineColors(),
             borderWidth: 2,
             tension: 0.4,
             fill: true,
-            pointRadius: 3,
+            pointRadius: this.getPointRadius(chartData.values.length),
             pointHoverRadius: 6,
-            pointBackgroundColor: '#2196F3',
-            pointBorderColor: '#fff',
             pointBorderWidth: 2
           },
-          {
-            label: 'Warnstufe (400 cm)',
-            data: chartData.warningLine,
-            borderColor: '#FF9800',
-            borderDash: [10, 5],
-            borderWidth: 2,
-            pointRadius: 0,
-            fill: false,
-            tension: 0
-          },
-          {
-            label: 'Gefahrstufe (800 cm)',
-            data: chartData.dangerLine,
-            borderColor: '#F44336',
-            borderDash: [10, 5],
-            borderWidth: 2,
-            pointRadius: 0,
-            fill: false,
-            tension: 0
-          }
+          ...this.buildForecastDatasets(),
+          ...this.buildThresholdDatasets(chartData.thresholdLines)
         ]
       },
       options: {
+        locale: i18n.getLocale(),
+        color: this.getColor('chart-text'),
         responsive: true,
         maintainAspectRatio: false,
         interaction: {
@@ -83,14 +103,32 @@ class WaterLevelChart {
               padding: 15,
               font: {
                 size: 12
-              }
+              },
+              // The lower band edge only exists to fill the band
+              filter: item => item.text !== ''
+            }
+          },
+          zoom: {
+            pan: {
+              enabled: true,
+              mode: 'x',
+              onPanComplete: () => this.handleZoom()
+            },
+            zoom: {
+              wheel: { enabled: true },
+              pinch: { enabled: true },
+              mode: 'x',
+              onZoomComplete: () => this.handleZoom()
+            },
+            limits: {
+              x: { minRange: 30 * 60 * 1000 } // 30 minutes
             }
           },
           tooltip: {
             enabled: true,
             mode: 'index',
             intersect: false,
-            backgroundColor: 'rgba(0, 0, 0, 0.8)',
+            backgroundColor: this.getColor('chart-tooltip'),
             titleFont: {
               size: 14,
               weight: 'bold'
@@ -101,6 +139,7 @@ class WaterLevelChart {
             padding: 12,
             cornerRadius: 8,
             displayColors: true,
+            filter: item => item.dataset.forecastRole !== 'lower' && !this.isGap(item.dataIndex),
             callbacks: {
               label: function(context) {
                 let label = context.dataset.label || '';
@@ -108,7 +147,7 @@ class WaterLevelChart {
                   label += ': ';
                 }
                 if (context.parsed.y !== null) {
-                  label += context.parsed.y + ' cm';
+                  label += i18n.formatNumber(context.parsed.y) + ' cm';
                 }
                 return label;
               }
@@ -118,17 +157,20 @@ class WaterLevelChart {
         scales: {
           x: {
             type: 'time',
+            ...this.getScaleBounds(chartData.labels),
             time: {
-              unit: 'hour',
+              unit: this.getTimeUnit(this.windowMs),
               displayFormats: {
+                minute: 'HH:mm',
                 hour: 'HH:mm',
-                day: 'dd.MM'
+                day: i18n.t('chart.format.day')
               },
-              tooltipFormat: 'dd.MM.yyyy HH:mm'
+              tooltipFormat: i18n.t('chart.format.tooltip')
             },
             title: {
               display: true,
-              text: 'Zeit',
+              text: i18n.t('chart.time'),
+              color: this.getColor('chart-text'),
               font: {
                 size: 14,
                 weight: 'bold'
@@ -136,9 +178,10 @@ class WaterLevelChart {
             },
             grid: {
               display: true,
-              color: 'rgba(0, 0, 0, 0.05)'
+              color: this.getColor('chart-grid-minor')
             },
             ticks: {
+              color: this.getColor('chart-text'),
               maxRotation: 45,
               minRotation: 0
             }
@@ -147,7 +190,8 @@ class WaterLevelChart {
             beginAtZero: true,
             title: {
               display: true,
-              text: 'Wasserstand (cm)',
+              text: i18n.t('chart.waterLevel'),
+              color: this.getColor('chart-text'),
               font: {
                 size: 14,
                 weight: 'bold'
@@ -155,11 +199,12 @@ class WaterLevelChart {
             },
             grid: {
               display: true,
-              color: 'rgba(0, 0, 0, 0.1)'
+              color: this.getColor('chart-grid')
             },
             ticks: {
+              color: this.getColor('chart-text'),
               callback: function(value) {
-                return value + ' cm';
+                return i18n.formatNumber(value) + ' cm';
               }
             }
           }
@@ -171,6 +216,14 @@ class WaterLevelChart {
       }
     });
 
+    this.historyLength = chartData.labels.length;
+    this.applyForecast();
+
+    // Zoom and pan with the keyboard once the chart has focus
+    this.canvas.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    this.notifyDataChange();
+
     console.log('Chart initialized with', historicalData.length, 'data points');
   }
 
@@ -184,28 +237,55 @@ class WaterLevelChart {
       return;
     }
 
+    // A custom range only takes readings that fall inside it
+    if (this.windowEnd !== null &&
+        (newData.timestamp > this.windowEnd || newData.timestamp < this.windowEnd - this.windowMs)) {
+      return;
+    }
+
+    const labels = this.chart.data.labels;
     const dataset = this.chart.data.datasets[0];
+
+    // Drop the projection, it is appended again after the new point
+    labels.splice(this.historyLength);
+    dataset.data.splice(this.historyLength);
+
+    // Break the line if readings are missing since the last one
+    const last = labels.length > 0 ? labels[labels.length - 1].getTime() : null;
+    if (last !== null && newData.timestamp - last > this.getMaxGap()) {
+      labels.push(new Date((last + newData.timestamp) / 2));
+      dataset.data.push(null);
+    }
     
     // Add new data point
-    this.chart.data.labels.push(new Date(newData.timestamp));
+    labels.push(new Date(newData.timestamp));
     dataset.data.push(newData.waterLevel);
 
-    // Update threshold lines to match new length
-    const dataLength = this.chart.data.labels.length;
-    this.chart.data.datasets[1].data = Array(dataLength).fill(400);
-    this.chart.data.datasets[2].data = Array(dataLength).fill(800);
-
-    // Remove old data points if exceeding max
-    if (this.chart.data.labels.length > this.maxDataPoints) {
-      const removeCount = this.chart.data.labels.length - this.maxDataPoints;
-      this.chart.data.labels.splice(0, removeCount);
+    // Remove data points that left the rolling time range
+    if (this.windowEnd === null) {
+      const cutoff = newData.timestamp - this.windowMs;
+      let removeCount = labels.findIndex(label => label.getTime() >= cutoff);
+      // A gap marker at the start has nothing left to separate
+      while (dataset.data[removeCount] === null) {
+        removeCount++;
+      }
+      labels.splice(0, removeCount);
       dataset.data.splice(0, removeCount);
-      this.chart.data.datasets[1].data.splice(0, removeCount);
-      this.chart.data.datasets[2].data.splice(0, removeCount);
+    }
+
+    this.historyLength = labels.length;
+
+    // Re-append the projection and resize the threshold lines
+    this.applyForecast();
+
+    // Keep the rolling range aligned with the newest reading unless the user zoomed in
+    if (!this.isZoomed()) {
+      Object.assign(this.chart.options.scales.x, this.getScaleBounds(labels.slice(0, this.historyLength)));
     }
 
     // Update chart
     this.chart.update('none'); // Update without animation for smooth real-time updates
+    this.notifyDataChange();
 
     console.log('Chart updated with new data point:', newData.waterLevel, 'cm');
   }
@@ -224,14 +304,211 @@ class WaterLevelChart {
     
     this.chart.data.labels = chartData.labels;
     this.chart.data.datasets[0].data = chartData.values;
-    this.chart.data.datasets[1].data = chartData.warningLine;
-    this.chart.data.datasets[2].data = chartData.dangerLine;
+    this.chart.data.datasets[0].pointRadius = this.getPointRadius(chartData.values.length);
+    this.chart.data.datasets.splice(
+      1,
+      Infinity,
+      ...this.buildForecastDatasets(),
+      ...this.buildThresholdDatasets(chartData.thresholdLines)
+    );
+    this.historyLength = chartData.labels.length;
+    this.applyForecast();
+
+    this.resetZoom(false);
+    Object.assign(this.chart.options.scales.x, this.getScaleBounds(chartData.labels));
+    this.chart.options.scales.x.time.unit = this.getTimeUnit(this.windowMs);
     
     this.chart.update();
+    this.notifyDataChange();
 
     console.log('Chart refreshed with', historicalData.length, 'data points');
   }
 
+  /**
+   * Set the visible time range (takes effect with the next refreshChart)
+   * @param {number} from - Range start timestamp
+   * @param {number|null} to - Range end timestamp, or null to follow live data
+   * @param {string} resolution - Resolution of the readings (raw, 10min, hour or day)
+   */
+  setTimeWindow(from, to = null, resolution = 'raw') {
+    this.windowMs = (to ?? Date.now()) - from;
+    this.windowEnd = to;
+    this.resolution = resolution;
+  }
+
+  /**
+   * Get the longest distance between two readings that is still drawn as a line
+   * @private
+   * @returns {number} Gap in milliseconds
+   */
+  getMaxGap() {
+    const bucket = WaterLevelAggregation.RESOLUTIONS[this.resolution] || 0;
+    return Math.max(WaterLevelAggregation.MAX_GAP, 2 * bucket);
+  }
+
+  /**
+   * Check whether a label index is a break in the measured line
+   * @private
+   * @param {number} index - Label index
+   * @returns {boolean} True for a gap marker
+   */
+  isGap(index) {
+    return index < this.historyLength && this.chart.data.datasets[0].data[index] === null;
+  }
+
+  /**
+   * Get the x axis bounds for the current time range
+   * @private
+   * @param {Array<Date>} labels - Labels of the measured readings
+   * @returns {Object} Scale min and max (max undefined while following live data)
+   */
+  getScaleBounds(labels) {
+    if (this.windowEnd !== null) {
+      return { min: this.windowEnd - this.windowMs, max: this.windowEnd };
+    }
+
+    const latest = labels.length > 0 ? labels[labels.length - 1].getTime() : Date.now();
+    return { min: latest - this.windowMs, max: undefined };
+  }
+
+  /**
+   * Pick the time axis unit for a visible span
+   * @param {number} span - Visible span in milliseconds
+   * @returns {string} Chart.js time unit
+   */
+  getTimeUnit(span) {
+    const hour = 60 * 60 * 1000;
+
+    if (span <= 3 * hour) {
+      return 'minute';
+    }
+    return span <= 48 * hour ? 'hour' : 'day';
+  }
+
+  /**
+   * Hide point markers when there are too many to tell apart
+   * @private
+   * @param {number} count - Number of data points
+   * @returns {number} Point radius
+   */
+  getPointRadius(count) {
+    return count > 200 ? 0 : 3;
+  }
+
+  /**
+   * Adapt the axis unit after the user zoomed or panned
+   * @private
+   */
+  handleZoom() {
+    const scale = this.chart.scales.x;
+    this.chart.options.scales.x.time.unit = this.getTimeUnit(scale.max - scale.min);
+    this.chart.update('none');
+
+    if (this.onZoomChange) {
+      this.onZoomChange(this.isZoomed());
+    }
+  }
+
+  /**
+   * Check whether the user zoomed or panned the chart
+   * @returns {boolean} True if zoomed or panned
+   */
+  isZoomed() {
+    return Boolean(this.chart && this.chart.isZoomedOrPanned && this.chart.isZoomedOrPanned());
+  }
+
+  /**
+   * Return to the selected time range after zooming or panning
+   * @param {boolean} redraw - Update the chart right away
+   */
+  resetZoom(redraw = true) {
+    if (!this.chart || !this.isZoomed()) return;
+
+    this.chart.resetZoom('none');
+    this.chart.options.scales.x.time.unit = this.getTimeUnit(this.windowMs);
+
+    if (redraw) {
+      this.chart.update('none');
+    }
+
+    if (this.onZoomChange) {
+      this.onZoomChange(false);
+    }
+  }
+
+  /**
+   * Zoom the time axis around its centre
+   * @param {number} factor - Above 1 zooms in, below 1 zooms out
+   */
+  zoomBy(factor) {
+    if (!this.chart || typeof this.chart.zoom !== 'function') return;
+
+    this.chart.zoom({ x: factor }, 'none');
+    this.handleZoom();
+  }
+
+  /**
+   * Move the visible time span
+   * @param {number} fraction - Share of the visible span; positive moves back in time
+   */
+  panBy(fraction) {
+    if (!this.chart || typeof this.chart.pan !== 'function') return;
+
+    const scale = this.chart.scales.x;
+    this.chart.pan({ x: (scale.right - scale.left) * fraction }, undefined, 'none');
+    this.handleZoom();
+  }
+
+  /**
+   * Zoom and pan with the keyboard: + and - zoom, the arrow keys pan,
+   * 0 and Escape return to the selected range
+   * @private
+   * @param {KeyboardEvent} e - Keydown event on the canvas
+   */
+  handleKeydown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const actions = {
+      '+': () => this.zoomBy(1.5),
+      '=': () => this.zoomBy(1.5),
+      '-': () => this.zoomBy(1 / 1.5),
+      ArrowLeft: () => this.panBy(0.25),
+      ArrowRight: () => this.panBy(-0.25),
+      '0': () => this.resetZoom(),
+      Escape: () => this.resetZoom()
+    };
+    const action = actions[e.key];
+
+    // Escape is left to other handlers when there is nothing to reset
+    if (!action || (e.key === 'Escape' && !this.isZoomed())) return;
+
+    e.preventDefault();
+    action();
+  }
+
+  /**
+   * Get the shown readings without gap markers and forecast
+   * @returns {Array} Readings with timestamp and waterLevel (oldest first)
+   */
+  getReadings() {
+    if (!this.chart) return [];
+
+    const values = this.chart.data.datasets[0].data;
+    return this.chart.data.labels.slice(0, this.historyLength)
+      .map((label, index) => ({ timestamp: label.getTime(), waterLevel: values[index] }))
+      .filter(reading => reading.waterLevel !== null);
+  }
+
+  /**
+   * Tell the app that the shown readings changed
+   * @private
+   */
+  notifyDataChange() {
+    if (this.onDataChange) {
+      this.onDataChange();
+    }
+  }
+
   /**
    * Prepare data for chart
    * @param {Array} historicalData - Raw historical data
@@ -243,23 +520,288 @@ class WaterLevelChart {
     
     // Sort by timestamp (oldest first)
     const sortedData = [...historicalData].sort((a, b) => a.timestamp - b.timestamp);
+    const maxGap = this.getMaxGap();
     
     // Extract labels and values
-    sortedData.forEach(reading => {
+    sortedData.forEach((reading, index) => {
+      // Missing readings break the line instead of being interpolated
+      const previous = index > 0 ? sortedData[index - 1].timestamp : null;
+      if (previous !== null && reading.timestamp - previous > maxGap) {
+        labels.push(new Date((previous + reading.timestamp) / 2));
+        values.push(null);
+      }
+
       labels.push(new Date(reading.timestamp));
       values.push(reading.waterLevel);
     });
 
     // Create threshold lines matching data length
-    const dataLength = labels.length;
-    const warningLine = Array(dataLength).fill(400);
-    const dangerLine = Array(dataLength).fill(800);
+    const thresholdLines = this.getThresholdLines().map(line => ({
+      ...line,
+      data: Array(labels.length).fill(line.value)
+    }));
 
     return {
       labels,
       values,
-      warningLine,
-      dangerLine
+      thresholdLines
+    };
+  }
+
+  /**
+   * Get the horizontal lines for the alert thresholds and flood marks
+   * @returns {Array} Lines with label, value, color and dash pattern
+   */
+  getThresholdLines() {
+    const levelLines = Object.values(ALERT_LEVELS)
+      .filter(level => level.min > 0)
+      .map(level => ({
+        label: i18n.t('chart.threshold', { label: i18n.getThresholdLabel(level), value: level.min }),
+        value: level.min,
+        color: theme.getLevelColors(level).color,
+        dash: theme.getLevelDash(level)
+      }));
+
+    const markLines = ALERT_MARKS.map(mark => ({
+      label: i18n.t('chart.threshold', { label: i18n.getLabel(mark), value: mark.waterLevel }),
+      value: mark.waterLevel,
+      color: mark.color,
+      dash: [2, 4]
+    }));
+
+    return [...levelLines, ...markLines].sort((a, b) => a.value - b.value);
+  }
+
+  /**
+   * Build Chart.js datasets for threshold lines
+   * @param {Array} thresholdLines - Lines from prepareChartData
+   * @returns {Array} Chart.js datasets
+   */
+  buildThresholdDatasets(thresholdLines) {
+    return thresholdLines.map(line => ({
+      label: line.label,
+      data: line.data,
+      thresholdValue: line.value,
+      borderColor: line.color,
+      borderDash: line.dash,
+      borderWidth: 2,
+      pointRadius: 0,
+      fill: false,
+      tension: 0
+    }));
+  }
+
+  /**
+   * Resize threshold lines to the number of data points
+   * @param {number} dataLength - Number of data points
+   */
+  updateThresholdData(dataLength) {
+    this.chart.data.datasets
+      .filter(dataset => dataset.thresholdValue !== undefined)
+      .forEach(dataset => {
+        dataset.data = Array(dataLength).fill(dataset.thresholdValue);
+      });
+  }
+
+  /**
+   * Build Chart.js datasets for the forecast (filled until a forecast is set)
+   * @returns {Array} Upper band edge, lower band edge and projection datasets
+   */
+  buildForecastDatasets() {
+    return [
+      {
+        label: i18n.t('chart.band'),
+        forecastRole: 'upper',
+        data: [],
+        borderColor: 'transparent',
+        backgroundColor: this.getColor('chart-band'),
+        pointRadius: 0,
+        fill: '+1',
+        tension: 0
+      },
+      {
+        label: '',
+        forecastRole: 'lower',
+        data: [],
+        borderColor: 'transparent',
+        pointRadius: 0,
+        fill: false,
+        tension: 0
+      },
+      {
+        label: i18n.t('chart.forecast'),
+        forecastRole: 'projection',
+        data: [],
+        borderColor: this.getColor('chart-forecast'),
+        borderDash: [6, 6],
+        borderWidth: 2,
+        pointRadius: 0,
+        fill: false,
+        tension: 0
+      }
+    ];
+  }
+
+  /**
+   * Show a forecast after the last reading
+   * @param {Object|null} forecast - Result of WaterLevelForecast.forecast, or null to hide it
+   */
+  setForecast(forecast) {
+    this.forecast = forecast;
+    if (!this.chart) return;
+
+    this.applyForecast();
+    this.chart.update('none');
+  }
+
+  /**
+   * Append the forecast labels and fill the forecast datasets
+   * @private
+   */
+  applyForecast() {
+    const labels = this.chart.data.labels;
+    const history = this.chart.data.datasets[0].data;
+
+    labels.splice(this.historyLength);
+    history.splice(this.historyLength);
+
+    const lastTimestamp = this.historyLength > 0 ? labels[this.historyLength - 1].getTime() : null;
+
+    // Only live ranges show the forecast, and only if it is not older than the latest reading
+    const points = this.forecast && this.windowEnd === null &&
+      lastTimestamp !== null && this.forecast.issuedAt >= lastTimestamp
+      ? this.forecast.points
+      : [];
+
+    points.forEach(point => {
+      labels.push(new Date(point.timestamp));
+      history.push(null);
+    });
+
+    // Start at the last reading so the projection connects to the measured line
+    const lead = points.length > 0
+      ? [...Array(this.historyLength - 1).fill(null), history[this.historyLength - 1]]
+      : [];
+    const values = {
+      upper: points.map(point => point.upper),
+      lower: points.map(point => point.lower),
+      projection: points.map(point => point.waterLevel)
+    };
+
+    this.chart.data.datasets
+      .filter(dataset => dataset.forecastRole)
+      .forEach(dataset => {
+        dataset.data = [...lead, ...values[dataset.forecastRole]];
+      });
+
+    this.updateThresholdData(labels.length);
+  }
+
+  /**
+   * Redraw labels, axis titles and date formats in the selected language
+   */
+  applyLanguage() {
+    if (!this.chart) return;
+
+    const { data, options } = this.chart;
+    const forecastLabels = { upper: i18n.t('chart.band'), lower: '', projection: i18n.t('chart.forecast') };
+
+    data.datasets[0].label = i18n.t('chart.waterLevel');
+    data.datasets
+      .filter(dataset => dataset.forecastRole)
+      .forEach(dataset => {
+        dataset.label = forecastLabels[dataset.forecastRole];
+      });
+    this.rebuildThresholdDatasets();
+
+    options.locale = i18n.getLocale();
+    options.scales.x.time.displayFormats.day = i18n.t('chart.format.day');
+    options.scales.x.time.tooltipFormat = i18n.t('chart.format.tooltip');
+    options.scales.x.title.text = i18n.t('chart.time');
+    options.scales.y.title.text = i18n.t('chart.waterLevel');
+
+    this.chart.update('none');
+  }
+
+  /**
+   * Redraw the chart in the colours of the applied theme and palette
+   * @param {number|null} currentLevel - Current water level for the line colour
+   */
+  applyTheme(currentLevel = null) {
+    if (!this.chart) return;
+
+    const { data, options } = this.chart;
+    const text = this.getColor('chart-text');
+
+    Object.assign(data.datasets[0], this.getLineColors(currentLevel));
+    data.datasets
+      .filter(dataset => dataset.forecastRole)
+      .forEach(dataset => {
+        if (dataset.forecastRole === 'upper') {
+          dataset.backgroundColor = this.getColor('chart-band');
+        } else if (dataset.forecastRole === 'projection') {
+          dataset.borderColor = this.getColor('chart-forecast');
+        }
+      });
+    this.rebuildThresholdDatasets();
+
+    options.color = text;
+    options.plugins.tooltip.backgroundColor = this.getColor('chart-tooltip');
+    options.scales.x.title.color = text;
+    options.scales.x.ticks.color = text;
+    options.scales.x.grid.color = this.getColor('chart-grid-minor');
+    options.scales.y.title.color = text;
+    options.scales.y.ticks.color = text;
+    options.scales.y.grid.color = this.getColor('chart-grid');
+
+    this.chart.update('none');
+  }
+
+  /**
+   * Replace the threshold datasets, e.g. after the labels or colours changed
+   * @private
+   */
+  rebuildThresholdDatasets() {
+    const data = this.chart.data;
+    const thresholdLines = this.getThresholdLines().map(line => ({
+      ...line,
+      data: Array(data.labels.length).fill(line.value)
+    }));
+
+    data.datasets = [
+      ...data.datasets.filter(dataset => dataset.thresholdValue === undefined),
+      ...this.buildThresholdDatasets(thresholdLines)
+    ];
+  }
+
+  /**
+   * Read a chart colour of the applied theme
+   * @private
+   * @param {string} name - CSS property name without the leading dashes
+   * @returns {string} Colour value
+   */
+  getColor(name) {
+    return theme.getColor(name, WaterLevelChart.DEFAULT_COLORS[name]);
+  }
+
+  /**
+   * Get the colours of the measured line: the theme's line colour at normal levels,
+   * the alert colour above
+   * @private
+   * @param {number|null} currentLevel - Current water level in cm
+   * @returns {Object} Chart.js dataset colour options
+   */
+  getLineColors(currentLevel = null) {
+    const alertLevel = currentLevel !== null ? getAlertLevel(currentLevel) : null;
+    const { color, bgColor } = alertLevel && alertLevel.key !== 'NORMAL'
+      ? theme.getLevelColors(alertLevel)
+      : { color: this.getColor('chart-line'), bgColor: this.getColor('chart-fill') };
+
+    return {
+      borderColor: color,
+      backgroundColor: bgColor,
+      pointBackgroundColor: color,
+      pointBorderColor: this.getColor('chart-point-border')
     };
   }
 
@@ -270,19 +812,8 @@ class WaterLevelChart {
   highlightAlertZone(currentLevel) {
     if (!this.chart) return;
 
-    const dataset = this.chart.data.datasets[0];
-    
     // Change line color based on current level
-    if (currentLevel >= 800) {
-      dataset.borderColor = '#F44336';
-      dataset.backgroundColor = 'rgba(244, 67, 54, 0.1)';
-    } else if (currentLevel >= 400) {
-      dataset.borderColor = '#FF9800';
-      dataset.backgroundColor = 'rgba(255, 152, 0, 0.1)';
-    } else {
-      dataset.borderColor = '#2196F3';
-      dataset.backgroundColor = 'rgba(33, 150, 243, 0.1)';
-    }
+    Object.assign(this.chart.data.datasets[0], this.getLineColors(currentLevel));
 
     this.chart.update('none');
   }
@@ -308,10 +839,30 @@ class WaterLevelChart {
 
   /**
    * Export chart as image
-   * @returns {string} Base64 encoded image
+   * @param {Array<string>} caption - Lines printed below the chart (e.g. the source attribution)
+   * @returns {string} Base64 encoded PNG on the theme's surface colour
    */
-  exportAsImage() {
+  exportAsImage(caption = []) {
     if (!this.chart) return null;
-    return this.canvas.toDataURL('image/png');
+
+    const ratio = this.chart.currentDevicePixelRatio || 1;
+    const lineHeight = 16 * ratio;
+    const image = document.createElement('canvas');
+    image.width = this.canvas.width;
+    image.height = this.canvas.height + (caption.length > 0 ? (caption.length + 0.5) * lineHeight : 0);
+
+    const context = image.getContext('2d');
+    context.fillStyle = this.getColor('color-surface');
+    context.fillRect(0, 0, image.width, image.height);
+    context.drawImage(this.canvas, 0, 0);
+
+    context.fillStyle = this.getColor('chart-text');
+    context.font = `${12 * ratio}px sans-serif`;
+    context.textBaseline = 'top';
+    caption.forEach((line, index) => {
+      context.fillText(line, 8 * ratio, this.canvas.height + index * lineHeight + 4 * ratio);
+    });
+
+    return image.toDataURL('image/png');
   }
 }
\ No newline at end of file
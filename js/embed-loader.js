@@ -0,0 +1,83 @@
+/**
+ * Embed Loader
+ * Mounts the water level widget (the /embed page in an iframe) into every element
+ * with a data-rhein-pegel attribute. Served as /embed.js for other sites:
+ *
+ *   <div data-rhein-pegel data-lang="en" data-size="small"></div>
+ *   <script src="https://example.org/embed.js" async></script>
+ */
+
+class RheinPegelEmbed {
+  /**
+   * Default iframe dimensions per widget size
+   * @returns {Object} width and height in pixels keyed by size
+   */
+  static get SIZES() {
+    return {
+      small: { width: 240, height: 96 },
+      medium: { width: 320, height: 200 },
+      large: { width: 420, height: 280 }
+    };
+  }
+
+  /**
+   * Options passed on to the widget page
+   * @returns {Array<string>} Query parameter names
+   */
+  static get OPTIONS() {
+    return ['lang', 'theme', 'palette', 'gauge'];
+  }
+
+  /**
+   * Mount the widget into an element
+   * @param {HTMLElement} element - Container (its content is replaced)
+   * @param {Object} options - lang, theme, palette, gauge, size, width and height
+   *   (default: the element's data attributes)
+   * @returns {HTMLIFrameElement} Widget frame
+   */
+  static mount(element, options = {}) {
+    const settings = { ...element.dataset, ...options };
+    const size = RheinPegelEmbed.SIZES[settings.size] ? settings.size : 'medium';
+    const dimensions = RheinPegelEmbed.SIZES[size];
+
+    const url = new URL('embed', RheinPegelEmbed.baseUrl);
+    RheinPegelEmbed.OPTIONS.forEach(name => {
+      if (settings[name]) {
+        url.searchParams.set(name, settings[name]);
+      }
+    });
+    url.searchParams.set('size', size);
+
+    const iframe = document.createElement('iframe');
+    iframe.src = url.href;
+    iframe.title = settings.lang === 'en' ? 'Rhine water level' : 'Rhein-Wasserstand';
+    iframe.width = settings.width || dimensions.width;
+    iframe.height = settings.height || dimensions.height;
+    iframe.loading = 'lazy';
+    iframe.style.border = '0';
+    iframe.style.maxWidth = '100%';
+
+    element.replaceChildren(iframe);
+    element.dataset.rheinPegelMounted = 'true';
+    return iframe;
+  }
+
+  /**
+   * Mount the widget into all marked elements that do not have one yet
+   * @param {ParentNode} root - Where to look for elements
+   */
+  static mountAll(root = document) {
+    root.querySelectorAll('[data-rhein-pegel]:not([data-rhein-pegel-mounted])').forEach(element => {
+      RheinPegelEmbed.mount(element);
+    });
+  }
+}
+
+// Widget pages are loaded from the server that served this script
+RheinPegelEmbed.baseUrl = document.currentScript ? document.currentScript.src : window.location.href;
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => RheinPegelEmbed.mountAll());
+} else {
+  RheinPegelEmbed.mountAll();
+}
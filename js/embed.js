@@ -0,0 +1,127 @@
+/**
+ * Embeddable Widget
+ * Compact status card of the /embed page, configured through the query string
+ * (lang, theme, palette, size and gauge)
+ */
+
+class EmbedWidget {
+  constructor(params = new URLSearchParams(window.location.search)) {
+    this.params = params;
+    // The widget page is always served by the proxy server
+    this.api = new RheinPegelAPI(new URL('api/pegel', window.location.href).href);
+    this.statusCard = null;
+    this.reading = null;
+    this.refreshTimer = null;
+
+    // DOM elements cache
+    this.elements = {};
+  }
+
+  /**
+   * Widget sizes (set as data-size on <body>)
+   * @returns {Array<string>} Size names
+   */
+  static get SIZES() {
+    return ['small', 'medium', 'large'];
+  }
+
+  /**
+   * Time between two readings; embedded widgets poll less often than the app
+   * @returns {number} Interval in milliseconds
+   */
+  static get REFRESH_INTERVAL() {
+    return 5 * 60 * 1000; // 5 minutes
+  }
+
+  /**
+   * Apply the options, load the gauge and show the current reading
+   */
+  async initialize() {
+    const lang = this.params.get('lang');
+    i18n.setLanguage(I18n.LANGUAGES[lang] ? lang : I18n.detect(navigator.languages || [navigator.language]));
+    theme.apply(this.params.get('theme') || 'auto', this.params.get('palette') || 'standard');
+    theme.watchSystem();
+
+    const size = this.params.get('size');
+    document.body.dataset.size = EmbedWidget.SIZES.includes(size) ? size : 'medium';
+
+    this.elements = {
+      statusCard: document.getElementById('statusCard'),
+      statusIcon: document.getElementById('statusIcon'),
+      statusBadge: document.getElementById('statusBadge'),
+      currentLevel: document.getElementById('currentLevel'),
+      statusDescription: document.getElementById('statusDescription'),
+      lastUpdate: document.getElementById('lastUpdate'),
+      gaugeName: document.getElementById('gaugeName')
+    };
+    this.statusCard = new StatusCard({
+      card: this.elements.statusCard,
+      icon: this.elements.statusIcon,
+      badge: this.elements.statusBadge,
+      level: this.elements.currentLevel,
+      description: this.elements.statusDescription,
+      lastUpdate: this.elements.lastUpdate
+    });
+
+    // Follow system colour scheme changes of the "auto" theme
+    theme.onChange = () => {
+      if (this.reading) {
+        this.statusCard.renderAlertLevel(getAlertLevel(this.reading.waterLevel));
+      }
+    };
+
+    i18n.translatePage();
+    await this.loadGauge();
+    document.title = `🌊 ${i18n.t('embed.title')} ${this.elements.gaugeName.textContent}`;
+
+    await this.refresh();
+    this.refreshTimer = setInterval(() => this.refresh(), EmbedWidget.REFRESH_INTERVAL);
+  }
+
+  /**
+   * Select the requested gauge and its alert levels (the default gauge if unknown)
+   */
+  async loadGauge() {
+    try {
+      const gauges = await this.api.fetchGauges();
+      if (!gauges) return;
+
+      const gauge = gauges.find(item => item.id === this.params.get('gauge')) ||
+        gauges.find(item => item.default);
+      if (!gauge) return;
+
+      this.api.setGauge(gauge.id);
+      applyThresholdConfig(gauge.thresholds);
+      this.elements.gaugeName.textContent = gauge.name;
+    } catch (error) {
+      console.warn('Gauge list unavailable:', error.message);
+    }
+  }
+
+  /**
+   * Fetch and show the current reading (the last one stays on failure)
+   */
+  async refresh() {
+    try {
+      this.reading = await this.api.fetchCurrentLevel();
+      this.statusCard.render(this.reading, getAlertLevel(this.reading.waterLevel));
+    } catch (error) {
+      console.error('Failed to fetch the water level:', error.message);
+
+      if (!this.reading) {
+        this.elements.statusBadge.textContent = i18n.t('embed.unavailable');
+        this.elements.statusDescription.textContent = i18n.t('embed.unavailableHint');
+      }
+    }
+  }
+
+  /**
+   * Stop refreshing
+   */
+  destroy() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+}
@@ -0,0 +1,305 @@
+/**
+ * Water Level Export Module
+ * Formats reading series as CSV, JSON and SVG with source metadata
+ * (shared between the browser and the Node proxy server)
+ */
+
+class WaterLevelExport {
+  /**
+   * Data sources by adapter type, used for the attribution
+   * @returns {Object} Source definitions
+   */
+  static get SOURCES() {
+    return {
+      'koeln-xml': {
+        name: 'Stadt Köln, Hochwasserschutzzentrale',
+        url: 'https://www.stadt-koeln.de',
+        attribution: 'Datenquelle: Stadt Köln'
+      },
+      pegelonline: {
+        name: 'Wasserstraßen- und Schifffahrtsverwaltung des Bundes (PEGELONLINE)',
+        url: 'https://www.pegelonline.wsv.de',
+        attribution: 'Datenquelle: WSV, PEGELONLINE'
+      }
+    };
+  }
+
+  /**
+   * CSV dialects: international (comma, decimal point) and German Excel
+   * (semicolon, decimal comma, byte order mark so Excel reads UTF-8)
+   * @returns {Object} Dialect definitions
+   */
+  static get CSV_LOCALES() {
+    return {
+      en: { separator: ',', decimal: '.', bom: '' },
+      de: { separator: ';', decimal: ',', bom: '\uFEFF' }
+    };
+  }
+
+  /**
+   * Build the metadata that accompanies every export
+   * @param {Object} options - Export description
+   * @param {Object} options.gauge - Gauge with id, name, riverKm and source type
+   * @param {number} options.from - Start of the range
+   * @param {number} options.to - End of the range
+   * @param {string} options.resolution - Resolution of the data
+   * @param {number} options.exportedAt - Export time (default: now)
+   * @returns {Object} Metadata
+   */
+  static getMetadata({ gauge, from, to, resolution = 'raw', exportedAt = Date.now() }) {
+    const source = WaterLevelExport.SOURCES[gauge.source] || WaterLevelExport.SOURCES['koeln-xml'];
+
+    return {
+      gauge: gauge.name,
+      gaugeId: gauge.id,
+      riverKm: gauge.riverKm ?? null,
+      unit: 'cm',
+      resolution,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      timeZone: WaterLevelExport.getParser().TIME_ZONE,
+      source: source.name,
+      sourceUrl: source.url,
+      attribution: source.attribution,
+      exportedAt: new Date(exportedAt).toISOString()
+    };
+  }
+
+  /**
+   * Build a download filename, e.g. "rheinpegel-koeln-2025-10-01_2025-10-27.csv"
+   * @param {Object} metadata - Metadata from getMetadata
+   * @param {string} extension - File extension without the dot
+   * @returns {string} Filename
+   */
+  static getFilename(metadata, extension) {
+    const day = iso => WaterLevelExport.formatLocalTime(Date.parse(iso)).slice(0, 10);
+    const from = day(metadata.from);
+    const to = day(metadata.to);
+    const range = from === to ? from : `${from}_${to}`;
+
+    return `rheinpegel-${metadata.gaugeId}-${range}.${extension}`;
+  }
+
+  /**
+   * Format readings as CSV with commented metadata lines at the top
+   * @param {Array} readings - Water level readings (raw or aggregated)
+   * @param {Object} metadata - Metadata from getMetadata
+   * @param {string} locale - CSV dialect: en (default) or de
+   * @returns {string} CSV text
+   */
+  static toCSV(readings, metadata, locale = 'en') {
+    const dialect = WaterLevelExport.CSV_LOCALES[locale];
+    if (!dialect) {
+      throw new Error(`Unknown CSV locale: ${locale}`);
+    }
+
+    const points = WaterLevelExport.getAggregation().normalize(readings);
+    const aggregated = readings.some(reading => Number.isFinite(reading.count));
+    const byTimestamp = new Map(readings.map(reading => [reading.timestamp, reading]));
+
+    const cell = value => {
+      if (typeof value === 'number') {
+        return String(value).replace('.', dialect.decimal);
+      }
+      const text = String(value ?? '');
+      return /["\r\n]/.test(text) || text.includes(dialect.separator)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+    };
+    const row = values => values.map(cell).join(dialect.separator);
+
+    const lines = Object.entries(metadata)
+      .filter(([, value]) => value !== null)
+      .map(([key, value]) => row([`# ${key}: ${value}`]));
+
+    const header = ['timestamp', 'local_time', 'water_level_cm'];
+    if (aggregated) {
+      header.push('min_cm', 'max_cm', 'count');
+    }
+    lines.push(row(header));
+
+    points.forEach(point => {
+      const values = [
+        new Date(point.timestamp).toISOString(),
+        WaterLevelExport.formatLocalTime(point.timestamp, locale),
+        point.waterLevel
+      ];
+      if (aggregated) {
+        const bucket = byTimestamp.get(point.timestamp);
+        values.push(bucket.min, bucket.max, bucket.count);
+      }
+      lines.push(row(values));
+    });
+
+    return dialect.bom + lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Format readings as normalized JSON
+   * @param {Array} readings - Water level readings (raw or aggregated)
+   * @param {Object} metadata - Metadata from getMetadata
+   * @returns {string} JSON text
+   */
+  static toJSON(readings, metadata) {
+    const parser = WaterLevelExport.getParser();
+    const data = readings
+      .filter(reading => Number.isFinite(reading.timestamp) && Number.isFinite(reading.waterLevel))
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(reading => {
+        const point = {
+          timestamp: reading.timestamp,
+          time: parser.toZonedISOString(reading.timestamp),
+          waterLevel: reading.waterLevel
+        };
+        ['min', 'max', 'count'].forEach(key => {
+          if (Number.isFinite(reading[key])) point[key] = reading[key];
+        });
+        return point;
+      });
+
+    return JSON.stringify({ metadata: { ...metadata, count: data.length }, data }, null, 2);
+  }
+
+  /**
+   * Draw readings as a standalone SVG line chart
+   * @param {Array} readings - Water level readings
+   * @param {Object} metadata - Metadata from getMetadata
+   * @param {Object} options - Drawing options
+   * @param {Array} options.lines - Threshold lines with label, value and color
+   * @param {number} options.width - Width in pixels
+   * @param {number} options.height - Height in pixels
+   * @returns {string} SVG markup
+   */
+  static toSVG(readings, metadata, { lines = [], width = 960, height = 480 } = {}) {
+    const points = WaterLevelExport.getAggregation().normalize(readings);
+    const margin = { top: 48, right: 24, bottom: 64, left: 64 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+
+    const from = Date.parse(metadata.from);
+    const to = Date.parse(metadata.to);
+    const low = points.length > 0 ? points.reduce((min, point) => Math.min(min, point.waterLevel), Infinity) : 0;
+    const high = points.length > 0 ? points.reduce((max, point) => Math.max(max, point.waterLevel), -Infinity) : 100;
+    const padding = Math.max((high - low) * 0.1, 20);
+    const yMin = Math.max(0, low - padding);
+    const yMax = high + padding;
+
+    const x = timestamp => margin.left + ((timestamp - from) / Math.max(to - from, 1)) * plotWidth;
+    const y = value => margin.top + (1 - (value - yMin) / (yMax - yMin)) * plotHeight;
+    const round = value => Math.round(value * 10) / 10;
+    const escape = WaterLevelExport.escapeXML;
+
+    const parts = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="12">`,
+      `<title>${escape(`Wasserstand ${metadata.gauge} (${metadata.unit})`)}</title>`,
+      `<desc>${escape(`${metadata.from} – ${metadata.to}. ${metadata.attribution} (${metadata.sourceUrl})`)}</desc>`,
+      `<rect width="${width}" height="${height}" fill="#fff"/>`,
+      `<text x="${margin.left}" y="28" font-size="16" font-weight="bold" fill="#212121">${escape(`Wasserstand ${metadata.gauge}`)}</text>`
+    ];
+
+    // Horizontal grid with level labels
+    const step = WaterLevelExport.getTickStep(yMax - yMin);
+    for (let value = Math.ceil(yMin / step) * step; value <= yMax; value += step) {
+      parts.push(
+        `<line x1="${margin.left}" x2="${width - margin.right}" y1="${round(y(value))}" y2="${round(y(value))}" stroke="#eee"/>`,
+        `<text x="${margin.left - 8}" y="${round(y(value)) + 4}" text-anchor="end" fill="#757575">${value} ${escape(metadata.unit)}</text>`
+      );
+    }
+
+    // Time axis
+    for (let i = 0; i <= 5; i++) {
+      const timestamp = from + ((to - from) * i) / 5;
+      const label = WaterLevelExport.formatLocalTime(timestamp, 'de').slice(0, 16);
+      parts.push(`<text x="${round(x(timestamp))}" y="${height - margin.bottom + 20}" text-anchor="middle" fill="#757575">${escape(label)}</text>`);
+    }
+
+    lines
+      .filter(line => line.value >= yMin && line.value <= yMax)
+      .forEach(line => {
+        parts.push(
+          `<line x1="${margin.left}" x2="${width - margin.right}" y1="${round(y(line.value))}" y2="${round(y(line.value))}" stroke="${escape(line.color)}" stroke-width="2" stroke-dasharray="10 5"/>`,
+          `<text x="${width - margin.right}" y="${round(y(line.value)) - 4}" text-anchor="end" fill="${escape(line.color)}">${escape(line.label)}</text>`
+        );
+      });
+
+    if (points.length > 0) {
+      const path = points
+        .map((point, index) => `${index === 0 ? 'M' : 'L'}${round(x(point.timestamp))},${round(y(point.waterLevel))}`)
+        .join(' ');
+      parts.push(`<path d="${path}" fill="none" stroke="#2196F3" stroke-width="2"/>`);
+    }
+
+    parts.push(
+      `<rect x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}" fill="none" stroke="#bdbdbd"/>`,
+      `<text x="${margin.left}" y="${height - 16}" fill="#757575">${escape(`${metadata.attribution} (${metadata.sourceUrl}) · Zeitzone ${metadata.timeZone}`)}</text>`,
+      '</svg>'
+    );
+
+    return parts.join('\n') + '\n';
+  }
+
+  /**
+   * Format a timestamp in Cologne local time
+   * @param {number} timestamp - Unix timestamp in milliseconds
+   * @param {string} locale - en ("2025-10-27 15:25") or de ("27.10.2025 15:25")
+   * @returns {string} Local date and time
+   */
+  static formatLocalTime(timestamp, locale = 'en') {
+    const parser = WaterLevelExport.getParser();
+    const local = new Date(timestamp + parser.getTimeZoneOffset(timestamp, parser.TIME_ZONE));
+    const [date, time] = local.toISOString().slice(0, 16).split('T');
+
+    if (locale === 'de') {
+      const [year, month, day] = date.split('-');
+      return `${day}.${month}.${year} ${time}`;
+    }
+    return `${date} ${time}`;
+  }
+
+  /**
+   * Pick a round grid step for a value span (about five lines)
+   * @private
+   * @param {number} span - Value span
+   * @returns {number} Step
+   */
+  static getTickStep(span) {
+    const steps = [1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500, 1000];
+    return steps.find(step => span / step <= 6) || steps[steps.length - 1];
+  }
+
+  /**
+   * Escape text for XML content and attributes
+   * @private
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  static escapeXML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Resolve the parser module in both the browser and Node
+   * @private
+   * @returns {PegelParser} Parser class
+   */
+  static getParser() {
+    return typeof PegelParser !== 'undefined' ? PegelParser : require('./pegel-parser');
+  }
+
+  /**
+   * Resolve the aggregation module in both the browser and Node
+   * @private
+   * @returns {WaterLevelAggregation} Aggregation class
+   */
+  static getAggregation() {
+    return typeof WaterLevelAggregation !== 'undefined' ? WaterLevelAggregation : require('./aggregation');
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WaterLevelExport;
+}
@@ -0,0 +1,417 @@
+/**
+ * Water Level Forecast Module
+ * Projects the level a few hours ahead with a robust linear fit and estimates
+ * when it crosses the alert thresholds (shared between the browser and the Node proxy server)
+ */
+
+class WaterLevelForecast {
+  /**
+   * Default forecast options
+   * @returns {Object} Options
+   */
+  static get DEFAULTS() {
+    return {
+      fitWindowHours: 6, // readings used for the fit
+      horizonHours: 12, // how far to project
+      stepMinutes: 30, // spacing of projected points
+      minReadings: 6, // fewer readings in the fit window give no forecast
+      minSpanHours: 1, // readings must span at least this long
+      maxFitPoints: 120, // longer series are thinned before fitting
+      confidence: 1.645, // z-score of the uncertainty band (90 %)
+      minRateUncertainty: 0.5 // cm/h, keeps the band from collapsing on very smooth data
+    };
+  }
+
+  /**
+   * Supported forecast horizons in hours
+   * @returns {Object} Minimum and maximum horizon
+   */
+  static get HORIZON_LIMITS() {
+    return { min: 1, max: 24 };
+  }
+
+  /**
+   * Project the level from the latest readings
+   * @param {Array} readings - Water level readings
+   * @param {Object} options - Overrides of DEFAULTS, plus levels (default: the active ALERT_LEVELS)
+   * @returns {Object|null} Forecast or null if there are too few readings
+   */
+  static forecast(readings, options = {}) {
+    const settings = { ...WaterLevelForecast.DEFAULTS, ...options };
+    const points = WaterLevelForecast.prepare(readings);
+
+    return WaterLevelForecast.forecastPoints(points, points.length - 1, settings);
+  }
+
+  /**
+   * Build a forecast from prepared points, using the readings up to an index
+   * @private
+   * @param {Array} points - Sorted, de-duplicated points
+   * @param {number} lastIndex - Index of the latest reading to use
+   * @param {Object} settings - Forecast settings
+   * @returns {Object|null} Forecast
+   */
+  static forecastPoints(points, lastIndex, settings) {
+    const fitted = WaterLevelForecast.fitAt(points, lastIndex, settings);
+    if (!fitted) {
+      return null;
+    }
+
+    const hour = 60 * 60 * 1000;
+    const { fit, window } = fitted;
+    const latest = points[lastIndex];
+    const projection = [];
+    const steps = Math.floor((settings.horizonHours * 60) / settings.stepMinutes);
+
+    for (let step = 1; step <= steps; step++) {
+      const hours = (step * settings.stepMinutes) / 60;
+      const waterLevel = fit.level + fit.slope * hours;
+      const margin = WaterLevelForecast.getMargin(fit, hours, settings);
+
+      projection.push({
+        timestamp: latest.timestamp + hours * hour,
+        waterLevel: Math.round(waterLevel),
+        lower: Math.round(waterLevel - margin),
+        upper: Math.round(waterLevel + margin)
+      });
+    }
+
+    return {
+      method: 'theil-sen',
+      estimate: true,
+      issuedAt: latest.timestamp,
+      horizonHours: settings.horizonHours,
+      basedOn: {
+        from: window[0].timestamp,
+        to: latest.timestamp,
+        count: window.length
+      },
+      ratePerHour: Math.round(fit.slope * 10) / 10,
+      level: Math.round(fit.level),
+      residualStd: Math.round(fit.residualStd * 10) / 10,
+      points: projection,
+      crossings: WaterLevelForecast.findCrossings(fit, latest, settings)
+    };
+  }
+
+  /**
+   * Fit the readings in the fit window ending at an index
+   * @private
+   * @param {Array} points - Sorted, de-duplicated points
+   * @param {number} lastIndex - Index of the latest reading to use
+   * @param {Object} settings - Forecast settings
+   * @returns {Object|null} Fit and the readings it is based on, or null if there are too few
+   */
+  static fitAt(points, lastIndex, settings) {
+    if (lastIndex < 0) {
+      return null;
+    }
+
+    const hour = 60 * 60 * 1000;
+    const latest = points[lastIndex];
+    const firstIndex = WaterLevelForecast.lowerBound(points, latest.timestamp - settings.fitWindowHours * hour, lastIndex);
+    const window = points.slice(firstIndex, lastIndex + 1);
+
+    if (window.length < settings.minReadings ||
+        latest.timestamp - window[0].timestamp < settings.minSpanHours * hour) {
+      return null;
+    }
+
+    return {
+      fit: WaterLevelForecast.fit(window, latest.timestamp, settings),
+      window
+    };
+  }
+
+  /**
+   * Fit a robust line (Theil-Sen: median of all pairwise slopes)
+   * @private
+   * @param {Array} points - Points in the fit window
+   * @param {number} origin - Timestamp the fit is anchored at
+   * @param {Object} settings - Forecast settings
+   * @returns {Object} Slope (cm/h), level at the origin, residual and slope spread
+   */
+  static fit(points, origin, settings) {
+    const hour = 60 * 60 * 1000;
+    const sample = WaterLevelForecast.thin(points, settings.maxFitPoints);
+    const xs = sample.map(point => (point.timestamp - origin) / hour);
+    const ys = sample.map(point => point.waterLevel);
+
+    const slopes = [];
+    for (let i = 0; i < sample.length; i++) {
+      for (let j = i + 1; j < sample.length; j++) {
+        slopes.push((ys[j] - ys[i]) / (xs[j] - xs[i]));
+      }
+    }
+
+    const slope = WaterLevelForecast.median(slopes);
+    const level = WaterLevelForecast.median(ys.map((y, i) => y - slope * xs[i]));
+
+    // Median absolute deviation, scaled to match a standard deviation; readings are whole cm
+    const residuals = ys.map((y, i) => y - (level + slope * xs[i]));
+    const residualStd = Math.max(1, 1.4826 * WaterLevelForecast.median(residuals.map(Math.abs)));
+
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const spreadX = xs.reduce((sum, x) => sum + (x - meanX) * (x - meanX), 0);
+    const slopeStd = Math.max(settings.minRateUncertainty, residualStd / Math.sqrt(spreadX));
+
+    return { slope, level, residualStd, slopeStd, meanX };
+  }
+
+  /**
+   * Half width of the uncertainty band some hours after the latest reading
+   * @private
+   * @param {Object} fit - Result of fit()
+   * @param {number} hours - Hours ahead
+   * @param {Object} settings - Forecast settings
+   * @returns {number} Margin in cm
+   */
+  static getMargin(fit, hours, settings) {
+    const slopeError = fit.slopeStd * (hours - fit.meanX);
+    return settings.confidence * Math.sqrt(fit.residualStd * fit.residualStd + slopeError * slopeError);
+  }
+
+  /**
+   * Estimate when the projected level crosses the alert thresholds
+   * @private
+   * @param {Object} fit - Result of fit()
+   * @param {Object} latest - Latest reading
+   * @param {Object} settings - Forecast settings
+   * @returns {Array} Crossings within the horizon, soonest first
+   */
+  static findCrossings(fit, latest, settings) {
+    const levels = settings.levels || WaterLevelForecast.getAlertLevels();
+    const hour = 60 * 60 * 1000;
+
+    if (fit.slope === 0) {
+      return [];
+    }
+
+    return Object.values(levels)
+      .filter(level => level.min > 0)
+      .map(level => {
+        const rising = fit.slope > 0;
+
+        // Only thresholds on the side the level is moving towards
+        if (rising ? latest.waterLevel >= level.min : latest.waterLevel < level.min) {
+          return null;
+        }
+
+        const hours = (level.min - fit.level) / fit.slope;
+        if (hours <= 0 || hours > settings.horizonHours) {
+          return null;
+        }
+
+        return {
+          key: level.key,
+          labelDE: level.thresholdLabelDE || level.labelDE,
+          waterLevel: level.min,
+          direction: rising ? 'up' : 'down',
+          hours: Math.round(hours * 10) / 10,
+          timestamp: Math.round(latest.timestamp + hours * hour)
+        };
+      })
+      .filter(crossing => crossing !== null)
+      .sort((a, b) => a.hours - b.hours);
+  }
+
+  /**
+   * Replay the forecast over recorded history and compare it with what was measured
+   * @param {Array} readings - Recorded water level readings
+   * @param {Object} options - Forecast options, plus stepHours (spacing of forecast origins),
+   *   leadHours (lead times to score) and toleranceMinutes (max distance of the matching reading)
+   * @returns {Object} Error statistics per lead time
+   */
+  static backtest(readings, options = {}) {
+    const settings = {
+      ...WaterLevelForecast.DEFAULTS,
+      stepHours: 1,
+      leadHours: [1, 3, 6, 12],
+      toleranceMinutes: 15,
+      ...options
+    };
+    const hour = 60 * 60 * 1000;
+    const points = WaterLevelForecast.prepare(readings);
+    const leads = settings.leadHours.filter(lead => lead <= settings.horizonHours);
+    const stats = leads.map(lead => ({ leadHours: lead, errors: [], inBand: 0 }));
+    let origins = 0;
+
+    if (points.length === 0 || leads.length === 0) {
+      return WaterLevelForecast.summarizeBacktest(stats, origins, settings);
+    }
+
+    const end = points[points.length - 1].timestamp;
+    let origin = points[0].timestamp + settings.fitWindowHours * hour;
+
+    while (origin <= end - leads[0] * hour) {
+      const lastIndex = WaterLevelForecast.lowerBound(points, origin + 1) - 1;
+      const fitted = WaterLevelForecast.fitAt(points, lastIndex, settings);
+
+      if (fitted) {
+        origins++;
+        const issuedAt = points[lastIndex].timestamp;
+
+        stats.forEach(stat => {
+          const target = issuedAt + stat.leadHours * hour;
+          const actual = WaterLevelForecast.findNearest(points, target, settings.toleranceMinutes * 60 * 1000);
+          if (!actual) return;
+
+          const predicted = fitted.fit.level + fitted.fit.slope * stat.leadHours;
+          const error = predicted - actual.waterLevel;
+          stat.errors.push(error);
+          if (Math.abs(error) <= WaterLevelForecast.getMargin(fitted.fit, stat.leadHours, settings)) {
+            stat.inBand++;
+          }
+        });
+      }
+
+      origin += settings.stepHours * hour;
+    }
+
+    return WaterLevelForecast.summarizeBacktest(stats, origins, settings);
+  }
+
+  /**
+   * Summarize backtest errors
+   * @private
+   * @param {Array} stats - Collected errors per lead time
+   * @param {number} origins - Number of forecasts made
+   * @param {Object} settings - Backtest settings
+   * @returns {Object} Backtest result
+   */
+  static summarizeBacktest(stats, origins, settings) {
+    const round = value => Math.round(value * 10) / 10;
+
+    return {
+      method: 'theil-sen',
+      fitWindowHours: settings.fitWindowHours,
+      stepHours: settings.stepHours,
+      forecasts: origins,
+      leads: stats.map(stat => {
+        const n = stat.errors.length;
+        if (n === 0) {
+          return { leadHours: stat.leadHours, samples: 0 };
+        }
+
+        const sum = stat.errors.reduce((total, error) => total + error, 0);
+        const absolute = stat.errors.reduce((total, error) => total + Math.abs(error), 0);
+        const squared = stat.errors.reduce((total, error) => total + error * error, 0);
+
+        return {
+          leadHours: stat.leadHours,
+          samples: n,
+          meanAbsoluteError: round(absolute / n),
+          rootMeanSquareError: round(Math.sqrt(squared / n)),
+          bias: round(sum / n),
+          bandCoverage: Math.round((stat.inBand / n) * 100) / 100
+        };
+      })
+    };
+  }
+
+  /**
+   * Sort readings and drop duplicates of the same timestamp (the last one wins)
+   * @private
+   * @param {Array} readings - Water level readings
+   * @returns {Array} Points sorted by timestamp (oldest first)
+   */
+  static prepare(readings) {
+    const byTimestamp = new Map();
+
+    readings
+      .filter(reading => Number.isFinite(reading.timestamp) && Number.isFinite(reading.waterLevel))
+      .forEach(reading => byTimestamp.set(reading.timestamp, reading.waterLevel));
+
+    return [...byTimestamp.entries()]
+      .map(([timestamp, waterLevel]) => ({ timestamp, waterLevel }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Pick evenly spaced points so the pairwise fit stays fast
+   * @private
+   * @param {Array} points - Points
+   * @param {number} max - Maximum number of points
+   * @returns {Array} At most max points, always including the latest
+   */
+  static thin(points, max) {
+    if (points.length <= max) {
+      return points;
+    }
+
+    const step = (points.length - 1) / (max - 1);
+    return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+  }
+
+  /**
+   * Median of a list of numbers
+   * @private
+   * @param {Array<number>} values - Values
+   * @returns {number} Median
+   */
+  static median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Index of the first point at or after a timestamp (binary search)
+   * @private
+   * @param {Array} points - Sorted points
+   * @param {number} timestamp - Timestamp
+   * @param {number} lastIndex - Last index to consider
+   * @returns {number} Index
+   */
+  static lowerBound(points, timestamp, lastIndex = points.length - 1) {
+    let low = 0;
+    let high = lastIndex + 1;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (points[middle].timestamp < timestamp) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Find the reading closest to a timestamp
+   * @private
+   * @param {Array} points - Sorted points
+   * @param {number} timestamp - Target timestamp
+   * @param {number} tolerance - Maximum distance in milliseconds
+   * @returns {Object|null} Closest point or null if none is close enough
+   */
+  static findNearest(points, timestamp, tolerance) {
+    const index = WaterLevelForecast.lowerBound(points, timestamp);
+    const candidates = [points[index - 1], points[index]].filter(Boolean);
+    let nearest = null;
+
+    candidates.forEach(point => {
+      const distance = Math.abs(point.timestamp - timestamp);
+      if (distance <= tolerance && (!nearest || distance < Math.abs(nearest.timestamp - timestamp))) {
+        nearest = point;
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * Resolve the active alert levels in both the browser and Node
+   * @private
+   * @returns {Object} Alert levels
+   */
+  static getAlertLevels() {
+    return typeof ALERT_LEVELS !== 'undefined' ? ALERT_LEVELS : require('./alert-levels').ALERT_LEVELS;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WaterLevelForecast;
+}
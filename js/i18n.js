@@ -0,0 +1,565 @@
+/**
+ * Internationalization Module
+ * Message catalog (German and English), language detection and locale-aware formatting
+ */
+
+// UI messages by language; {name} placeholders are filled in by I18n.t
+const MESSAGES = {
+  de: {
+    'app.title': '🌊 Rhein Pegel Köln - Echtzeit Wasserstand',
+    'app.description': 'Echtzeit-Überwachung des Rhein-Wasserstands in Köln mit historischen Daten und Warnstufen',
+    'app.initError': 'Fehler beim Laden der Anwendung. Bitte laden Sie die Seite neu.',
+
+    'header.title': 'Rhein Pegel',
+    'header.subtitle': 'Echtzeit Wasserstand-Überwachung',
+    'header.gauge': 'Messstelle',
+    'header.language': 'Sprache',
+    'gauge.option': '{name} (Rhein-km {km})',
+
+    'offline.message': 'Offline – Daten von {time}',
+    'offline.retry': 'Erneut versuchen',
+
+    'status.loading': 'Laden...',
+    'status.loadingData': 'Daten werden geladen...',
+    'status.lastUpdate': 'Letzte Aktualisierung:',
+
+    'trend.window': 'Zeitraum für den Trend',
+    'trend.unavailable': 'Trend noch nicht verfügbar',
+    'trend.needsReadings': 'Für einen Trend werden mindestens zwei Messwerte im Zeitraum benötigt.',
+    'trend.change': '({change} cm in {hours} h)',
+    'trend.partial': 'Nur {hours} h Daten im gewählten Zeitraum – Trend eingeschränkt aussagekräftig.',
+    'trend.basedOn': 'Berechnet aus {count} Messwerten.',
+
+    'forecast.explanation': 'Schätzung: lineare Fortschreibung der letzten 6 Stunden, keine amtliche Vorhersage.',
+    'forecast.up': '{level} voraussichtlich in {eta} (Schätzung)',
+    'forecast.down': '{level} voraussichtlich in {eta} unterschritten (Schätzung)',
+
+    'chart.title': 'Verlauf',
+    'chart.ranges': 'Zeitraum',
+    'chart.resetZoom': 'Zoom zurücksetzen',
+    'chart.label': 'Wasserstand-Verlaufsdiagramm',
+    'chart.zoomHint': 'Mausrad oder Zwei-Finger-Geste zum Zoomen, Ziehen zum Verschieben. Per Tastatur im Diagramm: + und − zoomen, Pfeiltasten verschieben, 0 setzt zurück.',
+    'chart.keyboardHint': 'Im ausgewählten Diagramm: + und − zoomen, Pfeiltasten verschieben, 0 setzt den Zoom zurück.',
+    'chart.summary': 'Wasserstand-Verlaufsdiagramm, {range}: niedrigster Stand {min} cm, höchster {max} cm, zuletzt {latest} cm',
+    'chart.empty': 'Wasserstand-Verlaufsdiagramm, {range}: keine Messwerte',
+    'chart.limitedHint': 'Ohne Server-Verlauf sind nur die im Browser gespeicherten letzten {retention} verfügbar.',
+    'chart.waterLevel': 'Wasserstand (cm)',
+    'chart.time': 'Zeit',
+    'chart.band': 'Unsicherheitsbereich (Schätzung)',
+    'chart.forecast': 'Prognose (Schätzung)',
+    'chart.threshold': '{label} ({value} cm)',
+    'chart.format.day': 'dd.MM',
+    'chart.format.tooltip': 'dd.MM.yyyy HH:mm',
+
+    'table.toggle': '📋 Tabelle',
+    'table.caption': 'Messwerte im Diagramm ({range})',
+    'table.time': 'Zeit',
+    'table.level': 'Wasserstand (cm)',
+    'table.alertLevel': 'Warnstufe',
+    'table.empty': 'Keine Messwerte im gewählten Zeitraum',
+
+    'announce.alert': 'Warnstufe jetzt {level}: {value} cm. {description}',
+    'announce.level': 'Wasserstand {value} cm, {change} cm seit {time}.',
+
+    'shortcuts.open': 'Tastenkürzel',
+    'shortcuts.title': 'Tastenkürzel',
+    'shortcuts.close': 'Tastenkürzel schließen',
+    'shortcuts.hint': 'Kürzel wirken nicht beim Tippen in Eingabefeldern und nicht zusammen mit Strg, Alt oder Cmd.',
+    'shortcuts.action': 'Aktion',
+    'shortcuts.key': 'Taste',
+    'shortcuts.change': 'Ändern',
+    'shortcuts.changeLabel': 'Taste für „{action}“ ändern',
+    'shortcuts.press': 'Neue Taste für „{action}“ drücken, Esc bricht ab.',
+    'shortcuts.pressButton': 'Taste drücken…',
+    'shortcuts.cancelled': 'Keine Änderung.',
+    'shortcuts.reserved': '{key} kann nicht als Kürzel belegt werden.',
+    'shortcuts.conflict': '{key} ist bereits „{action}“ zugeordnet.',
+    'shortcuts.saved': '„{action}“ liegt jetzt auf {key}.',
+    'shortcuts.reset': 'Standardtasten wiederherstellen',
+    'shortcuts.resetDone': 'Standardtasten wiederhergestellt.',
+    'shortcuts.refresh': 'Daten aktualisieren',
+    'shortcuts.autoRefresh': 'Auto-Aktualisierung ein/aus',
+    'shortcuts.range': 'Zeitraum: {range}',
+    'shortcuts.customRange': 'Eigenen Zeitraum wählen',
+    'shortcuts.export': 'Export-Menü öffnen',
+    'shortcuts.theme': 'Farbschema wechseln',
+    'shortcuts.language': 'Sprache wechseln',
+    'shortcuts.help': 'Tastenkürzel anzeigen',
+
+    'embed.title': 'Rhein-Pegel',
+    'embed.details': 'Details ↗',
+    'embed.unavailable': 'Nicht verfügbar',
+    'embed.unavailableHint': 'Der Wasserstand kann gerade nicht geladen werden.',
+
+    'range.6h': '6 Stunden',
+    'range.24h': '24 Stunden',
+    'range.7d': '7 Tage',
+    'range.30d': '30 Tage',
+    'range.button.7d': '7 T',
+    'range.button.30d': '30 T',
+    'range.button.custom': 'Eigener',
+    'range.from': 'Von',
+    'range.to': 'Bis',
+    'range.show': 'Anzeigen',
+    'range.invalid': 'Bitte einen gültigen Zeitraum wählen',
+
+    'export.csvDE': 'CSV (Excel, deutsch)',
+    'export.empty': 'Keine Daten im gewählten Zeitraum',
+    'export.caption': 'Wasserstand {gauge} in {unit}, {range}',
+    'export.saved': 'Export gespeichert: {filename}',
+    'export.failed': 'Export fehlgeschlagen',
+
+    'legend.title': 'Warnstufen',
+
+    'statistics.title': 'Statistik',
+    'statistics.today': 'Heute',
+    'statistics.7d': '7 Tage',
+    'statistics.30d': '30 Tage',
+    'statistics.since': 'ab {time}',
+    'statistics.min': 'Minimum',
+    'statistics.max': 'Maximum',
+    'statistics.mean': 'Mittelwert',
+    'statistics.hoursIn': 'Stunden {level}',
+    'statistics.largestRise': 'Größter Anstieg (24 h)',
+    'statistics.limitedHint': 'Ohne Server-Verlauf beruhen die Werte nur auf den im Browser gespeicherten letzten {retention}.',
+    'statistics.error': 'Die Statistik konnte nicht berechnet werden.',
+
+    'controls.refresh': 'Aktualisieren',
+    'controls.refreshLabel': 'Daten manuell aktualisieren',
+    'controls.autoRefresh': 'Auto-Aktualisierung',
+    'controls.autoRefreshLabel': 'Auto-Aktualisierung aktivieren/deaktivieren',
+    'controls.autoRefreshOn': 'Auto-Aktualisierung aktiviert',
+    'controls.autoRefreshOff': 'Auto-Aktualisierung deaktiviert',
+    'controls.interval': 'Intervall',
+
+    'refresh.live': 'Live',
+    'refresh.paused': 'Pausiert im Hintergrund',
+    'refresh.hidden': 'Im Hintergrund alle {interval}',
+    'refresh.backoff': 'Nächster Versuch in {interval}',
+    'refresh.urgent': 'Alle {interval} (erhöhter oder schnell steigender Pegel)',
+    'refresh.interval': 'Alle {interval}',
+
+    'notifications.title': 'Benachrichtigungen',
+    'notifications.toggle': 'Desktop-Benachrichtigungen bei Änderung der Warnstufe',
+    'notifications.notifyOn': 'Benachrichtigen bei',
+    'notifications.normalToWarning': 'Normal → Warnung',
+    'notifications.warningToDanger': 'Warnung → Gefahr',
+    'notifications.dangerToWarning': 'Gefahr → Warnung',
+    'notifications.warningToNormal': 'Warnung → Normal',
+    'notifications.customThreshold': 'Eigener Grenzwert',
+    'notifications.customThresholdExample': 'z. B. 620',
+    'notifications.enabled': 'Benachrichtigungen aktiviert',
+    'notifications.disabled': 'Benachrichtigungen deaktiviert',
+    'notifications.notAllowed': 'Benachrichtigungen wurden nicht erlaubt',
+    'notifications.permission.granted': 'Benachrichtigungen sind im Browser erlaubt.',
+    'notifications.permission.denied': 'Benachrichtigungen wurden im Browser blockiert.',
+    'notifications.permission.default': 'Beim Aktivieren fragt der Browser nach Ihrer Erlaubnis.',
+    'notifications.permission.unsupported': 'Dieser Browser unterstützt keine Benachrichtigungen.',
+    'notifications.heading': 'Rhein Pegel {gauge}: {level} cm',
+    'notifications.customAbove': 'Eigener Grenzwert von {threshold} cm überschritten.',
+    'notifications.customBelow': 'Eigener Grenzwert von {threshold} cm unterschritten.',
+
+    'display.title': 'Darstellung',
+    'display.theme': 'Farbschema',
+    'display.theme.auto': 'Wie im System',
+    'display.theme.light': 'Hell',
+    'display.theme.dark': 'Dunkel',
+    'display.theme.contrast': 'Hoher Kontrast',
+    'display.palette': 'Warnfarben',
+    'display.palette.standard': 'Standard',
+    'display.palette.colorblind': 'Farbenblind-freundlich (mit Mustern)',
+
+    'data.title': 'Daten',
+    'data.hint': 'Gespeicherte Messwerte sichern oder aus einer Sicherung bzw. einem CSV- oder JSON-Export übernehmen.',
+    'data.backup': 'Sicherung herunterladen',
+    'data.backupFailed': 'Sicherung fehlgeschlagen',
+    'data.backupFilename': 'sicherung',
+    'data.import': 'Importieren',
+    'data.wrongGauge': 'Die Datei enthält Messwerte des Pegels {gauge}',
+    'data.importResult': '{added} Messwerte hinzugefügt, {skipped} übersprungen{expired}, {invalid} ungültig.',
+    'data.importExpired': ' (davon {count} älter als {retention})',
+    'data.importDone': 'Import abgeschlossen: {added} Messwerte hinzugefügt',
+    'data.importFailed': 'Import fehlgeschlagen',
+    'data.importFailedDetail': 'Import fehlgeschlagen: {message}',
+    'data.retentionHours': '{count} Stunden',
+    'data.retentionDays': '{count} Tage',
+
+    'footer.source': 'Datenquelle:',
+    'footer.disclaimer': 'Diese Daten dienen nur zur Information. Für offizielle Hochwasserwarnungen beachten Sie bitte die',
+    'footer.officialCenters': 'offiziellen Hochwasserzentralen',
+    'footer.disclaimerEnd': '.',
+
+    'toast.closeError': 'Fehlermeldung schließen',
+    'toast.closeSuccess': 'Erfolgsmeldung schließen'
+  },
+
+  en: {
+    'app.title': '🌊 Rhine Level Cologne - Real-time Water Level',
+    'app.description': 'Real-time monitoring of the Rhine water level in Cologne with history and alert levels',
+    'app.initError': 'The application failed to load. Please reload the page.',
+
+    'header.title': 'Rhine Level',
+    'header.subtitle': 'Real-time water level monitoring',
+    'header.gauge': 'Gauge',
+    'header.language': 'Language',
+    'gauge.option': '{name} (Rhine km {km})',
+
+    'offline.message': 'Offline – data from {time}',
+    'offline.retry': 'Try again',
+
+    'status.loading': 'Loading...',
+    'status.loadingData': 'Loading data...',
+    'status.lastUpdate': 'Last update:',
+
+    'trend.window': 'Trend period',
+    'trend.unavailable': 'Trend not available yet',
+    'trend.needsReadings': 'A trend needs at least two readings in the period.',
+    'trend.change': '({change} cm in {hours} h)',
+    'trend.partial': 'Only {hours} h of data in the selected period – the trend is of limited significance.',
+    'trend.basedOn': 'Calculated from {count} readings.',
+
+    'forecast.explanation': 'Estimate: linear extrapolation of the last 6 hours, not an official forecast.',
+    'forecast.up': '{level} expected in {eta} (estimate)',
+    'forecast.down': 'Below {level} expected in {eta} (estimate)',
+
+    'chart.title': 'History',
+    'chart.ranges': 'Time range',
+    'chart.resetZoom': 'Reset zoom',
+    'chart.label': 'Water level history chart',
+    'chart.zoomHint': 'Use the mouse wheel or a pinch gesture to zoom, drag to pan. With the keyboard on the chart: + and − zoom, the arrow keys pan, 0 resets.',
+    'chart.keyboardHint': 'On the focused chart: + and − zoom, the arrow keys pan, 0 resets the zoom.',
+    'chart.summary': 'Water level history chart, {range}: lowest {min} cm, highest {max} cm, latest {latest} cm',
+    'chart.empty': 'Water level history chart, {range}: no readings',
+    'chart.limitedHint': 'Without the server history, only the last {retention} stored in the browser are available.',
+    'chart.waterLevel': 'Water level (cm)',
+    'chart.time': 'Time',
+    'chart.band': 'Uncertainty range (estimate)',
+    'chart.forecast': 'Forecast (estimate)',
+    'chart.threshold': '{label} ({value} cm)',
+    'chart.format.day': 'd MMM',
+    'chart.format.tooltip': 'd MMM yyyy HH:mm',
+
+    'table.toggle': '📋 Table',
+    'table.caption': 'Readings shown in the chart ({range})',
+    'table.time': 'Time',
+    'table.level': 'Water level (cm)',
+    'table.alertLevel': 'Alert level',
+    'table.empty': 'No readings in the selected range',
+
+    'announce.alert': 'Alert level now {level}: {value} cm. {description}',
+    'announce.level': 'Water level {value} cm, {change} cm since {time}.',
+
+    'shortcuts.open': 'Shortcuts',
+    'shortcuts.title': 'Keyboard shortcuts',
+    'shortcuts.close': 'Close keyboard shortcuts',
+    'shortcuts.hint': 'Shortcuts are ignored while typing in a form field and when combined with Ctrl, Alt or Cmd.',
+    'shortcuts.action': 'Action',
+    'shortcuts.key': 'Key',
+    'shortcuts.change': 'Change',
+    'shortcuts.changeLabel': 'Change the key for “{action}”',
+    'shortcuts.press': 'Press the new key for “{action}”, Esc cancels.',
+    'shortcuts.pressButton': 'Press a key…',
+    'shortcuts.cancelled': 'Nothing changed.',
+    'shortcuts.reserved': '{key} cannot be used as a shortcut.',
+    'shortcuts.conflict': '{key} is already used for “{action}”.',
+    'shortcuts.saved': '“{action}” is now on {key}.',
+    'shortcuts.reset': 'Restore default keys',
+    'shortcuts.resetDone': 'Default keys restored.',
+    'shortcuts.refresh': 'Refresh data',
+    'shortcuts.autoRefresh': 'Turn auto-refresh on/off',
+    'shortcuts.range': 'Range: {range}',
+    'shortcuts.customRange': 'Choose a custom range',
+    'shortcuts.export': 'Open the export menu',
+    'shortcuts.theme': 'Switch the colour theme',
+    'shortcuts.language': 'Switch the language',
+    'shortcuts.help': 'Show the keyboard shortcuts',
+
+    'embed.title': 'Rhine level',
+    'embed.details': 'Details ↗',
+    'embed.unavailable': 'Unavailable',
+    'embed.unavailableHint': 'The water level cannot be loaded right now.',
+
+    'range.6h': '6 hours',
+    'range.24h': '24 hours',
+    'range.7d': '7 days',
+    'range.30d': '30 days',
+    'range.button.7d': '7 d',
+    'range.button.30d': '30 d',
+    'range.button.custom': 'Custom',
+    'range.from': 'From',
+    'range.to': 'To',
+    'range.show': 'Show',
+    'range.invalid': 'Please choose a valid time range',
+
+    'export.csvDE': 'CSV (Excel, German)',
+    'export.empty': 'No data in the selected range',
+    'export.caption': 'Water level {gauge} in {unit}, {range}',
+    'export.saved': 'Export saved: {filename}',
+    'export.failed': 'Export failed',
+
+    'legend.title': 'Alert levels',
+
+    'statistics.title': 'Statistics',
+    'statistics.today': 'Today',
+    'statistics.7d': '7 days',
+    'statistics.30d': '30 days',
+    'statistics.since': 'from {time}',
+    'statistics.min': 'Minimum',
+    'statistics.max': 'Maximum',
+    'statistics.mean': 'Mean',
+    'statistics.hoursIn': 'Hours at {level}',
+    'statistics.largestRise': 'Largest rise (24 h)',
+    'statistics.limitedHint': 'Without the server history, the figures only cover the last {retention} stored in the browser.',
+    'statistics.error': 'The statistics could not be computed.',
+
+    'controls.refresh': 'Refresh',
+    'controls.refreshLabel': 'Refresh data now',
+    'controls.autoRefresh': 'Auto-refresh',
+    'controls.autoRefreshLabel': 'Turn auto-refresh on or off',
+    'controls.autoRefreshOn': 'Auto-refresh turned on',
+    'controls.autoRefreshOff': 'Auto-refresh turned off',
+    'controls.interval': 'Interval',
+
+    'refresh.live': 'Live',
+    'refresh.paused': 'Paused in the background',
+    'refresh.hidden': 'Every {interval} in the background',
+    'refresh.backoff': 'Next attempt in {interval}',
+    'refresh.urgent': 'Every {interval} (elevated or quickly rising level)',
+    'refresh.interval': 'Every {interval}',
+
+    'notifications.title': 'Notifications',
+    'notifications.toggle': 'Desktop notifications when the alert level changes',
+    'notifications.notifyOn': 'Notify on',
+    'notifications.normalToWarning': 'Normal → Warning',
+    'notifications.warningToDanger': 'Warning → Danger',
+    'notifications.dangerToWarning': 'Danger → Warning',
+    'notifications.warningToNormal': 'Warning → Normal',
+    'notifications.customThreshold': 'Custom threshold',
+    'notifications.customThresholdExample': 'e.g. 620',
+    'notifications.enabled': 'Notifications turned on',
+    'notifications.disabled': 'Notifications turned off',
+    'notifications.notAllowed': 'Notifications were not allowed',
+    'notifications.permission.granted': 'Notifications are allowed in the browser.',
+    'notifications.permission.denied': 'Notifications are blocked in the browser.',
+    'notifications.permission.default': 'The browser asks for your permission when you turn them on.',
+    'notifications.permission.unsupported': 'This browser does not support notifications.',
+    'notifications.heading': 'Rhine level {gauge}: {level} cm',
+    'notifications.customAbove': 'Custom threshold of {threshold} cm exceeded.',
+    'notifications.customBelow': 'Level fell below the custom threshold of {threshold} cm.',
+
+    'display.title': 'Display',
+    'display.theme': 'Theme',
+    'display.theme.auto': 'Same as system',
+    'display.theme.light': 'Light',
+    'display.theme.dark': 'Dark',
+    'display.theme.contrast': 'High contrast',
+    'display.palette': 'Alert colours',
+    'display.palette.standard': 'Standard',
+    'display.palette.colorblind': 'Colour-blind safe (with patterns)',
+
+    'data.title': 'Data',
+    'data.hint': 'Back up the stored readings, or add readings from a backup or a CSV or JSON export.',
+    'data.backup': 'Download backup',
+    'data.backupFailed': 'Backup failed',
+    'data.backupFilename': 'backup',
+    'data.import': 'Import',
+    'data.wrongGauge': 'The file contains readings of the {gauge} gauge',
+    'data.importResult': '{added} readings added, {skipped} skipped{expired}, {invalid} invalid.',
+    'data.importExpired': ' ({count} of them older than {retention})',
+    'data.importDone': 'Import finished: {added} readings added',
+    'data.importFailed': 'Import failed',
+    'data.importFailedDetail': 'Import failed: {message}',
+    'data.retentionHours': '{count} hours',
+    'data.retentionDays': '{count} days',
+
+    'footer.source': 'Data source:',
+    'footer.disclaimer': 'This data is for information only. For official flood warnings, please refer to the',
+    'footer.officialCenters': 'official flood forecasting centres',
+    'footer.disclaimerEnd': '.',
+
+    'toast.closeError': 'Close error message',
+    'toast.closeSuccess': 'Close message'
+  }
+};
+
+class I18n {
+  constructor(language = I18n.DEFAULT_LANGUAGE) {
+    this.language = I18n.LANGUAGES[language] ? language : I18n.DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Supported languages with their name and Intl locale
+   * @returns {Object} Language definitions keyed by language code
+   */
+  static get LANGUAGES() {
+    return {
+      de: { name: 'Deutsch', locale: 'de-DE' },
+      en: { name: 'English', locale: 'en-GB' }
+    };
+  }
+
+  /**
+   * Language of the original interface, also the fallback for missing messages
+   * @returns {string} Language code
+   */
+  static get DEFAULT_LANGUAGE() {
+    return 'de';
+  }
+
+  /**
+   * Pick the first supported language from the browser preferences
+   * (English for everyone else, e.g. visitors with a French browser)
+   * @param {Array<string>} preferred - Language tags, e.g. navigator.languages
+   * @returns {string} Language code
+   */
+  static detect(preferred = []) {
+    const match = preferred
+      .map(tag => String(tag).toLowerCase().split('-')[0])
+      .find(language => I18n.LANGUAGES[language]);
+
+    return match || 'en';
+  }
+
+  /**
+   * Switch the language
+   * @param {string} language - Language code
+   * @returns {boolean} True if the language is supported
+   */
+  setLanguage(language) {
+    if (!I18n.LANGUAGES[language]) {
+      return false;
+    }
+    this.language = language;
+    return true;
+  }
+
+  /**
+   * Get the Intl locale of the selected language (e.g. "de-DE")
+   * @returns {string} Locale
+   */
+  getLocale() {
+    return I18n.LANGUAGES[this.language].locale;
+  }
+
+  /**
+   * Look up a message and fill in its placeholders
+   * @param {string} key - Message key
+   * @param {Object} params - Placeholder values
+   * @returns {string} Message (the German one, or the key itself, if missing)
+   */
+  t(key, params = {}) {
+    const message = MESSAGES[this.language][key] ?? MESSAGES[I18n.DEFAULT_LANGUAGE][key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      params[name] !== undefined ? String(params[name]) : placeholder);
+  }
+
+  /**
+   * Format a number for the selected language
+   * @param {number} value - Number
+   * @param {Object} options - Intl.NumberFormat options
+   * @returns {string} Formatted number
+   */
+  formatNumber(value, options = {}) {
+    return value.toLocaleString(this.getLocale(), options);
+  }
+
+  /**
+   * Format a timestamp in Cologne local time
+   * @param {number} timestamp - Unix timestamp in milliseconds
+   * @param {Object} options - Intl.DateTimeFormat options (default: short date and time)
+   * @returns {string} Formatted date and time
+   */
+  formatDateTime(timestamp, options = { dateStyle: 'short', timeStyle: 'short' }) {
+    return new Intl.DateTimeFormat(this.getLocale(), { ...options, timeZone: PegelParser.TIME_ZONE })
+      .format(new Date(timestamp));
+  }
+
+  /**
+   * Format the date of a timestamp with the month name (e.g. "27. Oktober 2025")
+   * @param {number} timestamp - Unix timestamp in milliseconds
+   * @returns {string} Formatted date
+   */
+  formatDate(timestamp) {
+    return this.formatDateTime(timestamp, { day: 'numeric', month: 'long', year: 'numeric' });
+  }
+
+  /**
+   * Format the time of a timestamp (e.g. "15:25")
+   * @param {number} timestamp - Unix timestamp in milliseconds
+   * @returns {string} Formatted time
+   */
+  formatTime(timestamp) {
+    return this.formatDateTime(timestamp, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  }
+
+  /**
+   * Get the name of an alert level or flood mark (label in English, labelDE in German)
+   * @param {Object} definition - Alert level or flood mark
+   * @returns {string} Name
+   */
+  getLabel(definition) {
+    return this.language === 'de'
+      ? definition.labelDE || definition.label
+      : definition.label || definition.labelDE;
+  }
+
+  /**
+   * Get the name of the threshold where an alert level starts (e.g. "Warnstufe")
+   * @param {Object} level - Alert level
+   * @returns {string} Name
+   */
+  getThresholdLabel(level) {
+    return this.language === 'de'
+      ? level.thresholdLabelDE || this.getLabel(level)
+      : level.thresholdLabel || this.getLabel(level);
+  }
+
+  /**
+   * Get the description of an alert level (description is German, descriptionEN English)
+   * @param {Object} level - Alert level
+   * @returns {string} Description
+   */
+  getDescription(level) {
+    return this.language === 'de'
+      ? level.description
+      : level.descriptionEN || level.description;
+  }
+
+  /**
+   * Translate the static page: text of [data-i18n] elements, the attributes named in
+   * data-i18n-aria-label, data-i18n-title and data-i18n-placeholder, the title and <html lang>
+   * @param {Document} root - Document to translate
+   */
+  translatePage(root = document) {
+    root.documentElement.lang = this.language;
+    root.title = this.t('app.title');
+
+    const description = root.querySelector('meta[name="description"]');
+    if (description) {
+      description.content = this.t('app.description');
+    }
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+
+    const attributes = {
+      i18nAriaLabel: 'aria-label',
+      i18nTitle: 'title',
+      i18nPlaceholder: 'placeholder'
+    };
+    Object.entries(attributes).forEach(([dataKey, attribute]) => {
+      const selector = `[data-${dataKey.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}]`;
+      root.querySelectorAll(selector).forEach(element => {
+        element.setAttribute(attribute, this.t(element.dataset[dataKey]));
+      });
+    });
+  }
+}
+
+// Active language shared by the browser modules (selected by the app at startup)
+const i18n = new I18n();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MESSAGES, I18n };
+}
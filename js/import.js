@@ -0,0 +1,243 @@
+/**
+ * Water Level Import Module
+ * Reads history backups (storage JSON) and exports (JSON, CSV) back into readings
+ */
+
+class WaterLevelImport {
+  /**
+   * Readings further in the future than this are rejected as invalid
+   * @returns {number} Tolerance in milliseconds
+   */
+  static get FUTURE_TOLERANCE() {
+    return 5 * 60 * 1000;
+  }
+
+  /**
+   * Parse an import file
+   * @param {string} text - File content
+   * @param {string} filename - File name (decides between JSON and CSV when given)
+   * @param {number} now - Current timestamp
+   * @returns {Object} Format, gauge id (if known), valid readings and the number of invalid entries
+   */
+  static parse(text, filename = '', now = Date.now()) {
+    const content = String(text).replace(/^\uFEFF/, '');
+    const isJSON = /\.json$/i.test(filename) || (!/\.csv$/i.test(filename) && /^\s*[[{]/.test(content));
+
+    const parsed = isJSON ? WaterLevelImport.parseJSON(content) : WaterLevelImport.parseCSV(content);
+
+    if (parsed.resolution && parsed.resolution !== 'raw') {
+      throw new Error(`Aggregated exports (${parsed.resolution}) cannot be imported, only raw readings`);
+    }
+
+    const readings = [];
+    let invalid = 0;
+
+    parsed.entries.forEach(entry => {
+      const reading = WaterLevelImport.normalizeReading(entry, now);
+      if (reading) {
+        readings.push(reading);
+      } else {
+        invalid++;
+      }
+    });
+
+    return {
+      format: parsed.format,
+      gaugeId: parsed.gaugeId || null,
+      readings,
+      invalid
+    };
+  }
+
+  /**
+   * Parse a storage backup, a JSON export or a plain array of readings
+   * @private
+   * @param {string} content - JSON text
+   * @returns {Object} Format, raw entries and metadata
+   */
+  static parseJSON(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    if (Array.isArray(data)) {
+      return { format: 'json-array', entries: data };
+    }
+
+    if (!data || typeof data !== 'object') {
+      throw new Error('Unknown file format: expected an object or an array of readings');
+    }
+
+    // Export from the export menu
+    if (data.metadata && Array.isArray(data.data)) {
+      return {
+        format: 'json-export',
+        entries: data.data,
+        gaugeId: data.metadata.gaugeId,
+        resolution: data.metadata.resolution
+      };
+    }
+
+    // Storage backup (exportData), upgraded like the stored history
+    if (Array.isArray(data.readings)) {
+      let migrated;
+      try {
+        migrated = WaterLevelImport.getMigrations().migrate(data, { gaugeId: data.gaugeId }).data;
+      } catch (error) {
+        throw new Error(`Unsupported storage version: ${data.version}`);
+      }
+      // Backups written before 1.1.0 do not name their gauge
+      return { format: 'storage', entries: migrated.readings, gaugeId: data.gaugeId };
+    }
+
+    throw new Error('Unknown file format: no readings found');
+  }
+
+  /**
+   * Parse a CSV export (international or German Excel dialect)
+   * @private
+   * @param {string} content - CSV text
+   * @returns {Object} Format, raw entries and metadata
+   */
+  static parseCSV(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+    const metadata = {};
+
+    // Metadata lines look like "# key: value" (quoted when they contain the separator)
+    let index = 0;
+    while (index < lines.length && /^"?#/.test(lines[index])) {
+      const match = lines[index].replace(/^"|"$/g, '').match(/^#\s*([\w-]+):\s*(.*)$/);
+      if (match) {
+        metadata[match[1]] = match[2];
+      }
+      index++;
+    }
+
+    if (index >= lines.length) {
+      throw new Error('CSV file has no header row');
+    }
+
+    const separator = lines[index].includes(';') ? ';' : ',';
+    const header = WaterLevelImport.splitCSVLine(lines[index], separator)
+      .map(name => name.trim().toLowerCase());
+    const timestampColumn = header.findIndex(name => name === 'timestamp');
+    const levelColumn = header.findIndex(name => ['water_level_cm', 'waterlevel', 'water_level'].includes(name));
+
+    if (timestampColumn === -1 || levelColumn === -1) {
+      throw new Error('CSV header needs "timestamp" and "water_level_cm" columns');
+    }
+
+    const entries = lines.slice(index + 1).map(line => {
+      const cells = WaterLevelImport.splitCSVLine(line, separator);
+      const level = (cells[levelColumn] || '').trim();
+
+      return {
+        timestamp: (cells[timestampColumn] || '').trim(),
+        waterLevel: level === '' ? NaN : Number(separator === ';' ? level.replace(',', '.') : level)
+      };
+    });
+
+    return {
+      format: separator === ';' ? 'csv-de' : 'csv',
+      entries,
+      gaugeId: metadata.gaugeId,
+      resolution: metadata.resolution
+    };
+  }
+
+  /**
+   * Split a CSV line, honouring quoted fields
+   * @private
+   * @param {string} line - CSV line
+   * @param {string} separator - Field separator
+   * @returns {Array<string>} Fields
+   */
+  static splitCSVLine(line, separator) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          current += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === separator) {
+        cells.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    cells.push(current);
+    return cells;
+  }
+
+  /**
+   * Validate an entry and turn it into a stored reading
+   * @private
+   * @param {Object} entry - Raw entry (timestamp in milliseconds or ISO 8601)
+   * @param {number} now - Current timestamp
+   * @returns {Object|null} Reading or null if invalid
+   */
+  static normalizeReading(entry, now) {
+    if (!entry || typeof entry !== 'object') {
+      return null;
+    }
+
+    const timestamp = typeof entry.timestamp === 'string' && !/^\d+$/.test(entry.timestamp)
+      ? Date.parse(entry.timestamp)
+      : Number(entry.timestamp);
+    const waterLevel = typeof entry.waterLevel === 'string' ? Number(entry.waterLevel) : entry.waterLevel;
+
+    if (!Number.isFinite(timestamp) || !Number.isFinite(waterLevel)) {
+      return null;
+    }
+    if (timestamp <= 0 || timestamp > now + WaterLevelImport.FUTURE_TOLERANCE) {
+      return null;
+    }
+
+    const { date, time } = WaterLevelImport.getParser().formatGermanDateTime(timestamp);
+    return {
+      waterLevel,
+      date: typeof entry.date === 'string' && entry.date ? entry.date : date,
+      time: typeof entry.time === 'string' && /^\d{1,2}:\d{2}$/.test(entry.time) ? entry.time : time,
+      timestamp
+    };
+  }
+
+  /**
+   * Resolve the migrations module in both the browser and Node
+   * @private
+   * @returns {StorageMigrations} Migrations class
+   */
+  static getMigrations() {
+    return typeof StorageMigrations !== 'undefined' ? StorageMigrations : require('./storage-migrations');
+  }
+
+  /**
+   * Resolve the parser module in both the browser and Node
+   * @private
+   * @returns {PegelParser} Parser class
+   */
+  static getParser() {
+    return typeof PegelParser !== 'undefined' ? PegelParser : require('./pegel-parser');
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WaterLevelImport;
+}
@@ -0,0 +1,190 @@
+/**
+ * Alert Notifications Module
+ * Shows desktop notifications when the alert level changes
+ */
+
+class AlertNotifier {
+  constructor(storage) {
+    this.storage = storage;
+    this.settingName = 'notifications';
+    this.tag = 'rhein-pegel-alert';
+    this.gaugeName = 'Köln';
+  }
+
+  /**
+   * Transitions the user can subscribe to
+   * @returns {Array<string>} Transition keys ("FROM>TO")
+   */
+  static get TRANSITIONS() {
+    return ['NORMAL>WARNING', 'WARNING>DANGER', 'DANGER>WARNING', 'WARNING>NORMAL'];
+  }
+
+  /**
+   * Check whether the browser supports notifications
+   * @returns {boolean} True if supported
+   */
+  isSupported() {
+    return typeof Notification !== 'undefined';
+  }
+
+  /**
+   * Get the current browser permission
+   * @returns {string} "granted", "denied", "default" or "unsupported"
+   */
+  getPermission() {
+    return this.isSupported() ? Notification.permission : 'unsupported';
+  }
+
+  /**
+   * Get the persisted notification preferences
+   * @returns {Object} Preferences
+   */
+  getPreferences() {
+    const defaults = {
+      enabled: false,
+      transitions: AlertNotifier.TRANSITIONS,
+      customThreshold: null
+    };
+
+    return {
+      ...defaults,
+      ...this.storage.getSetting(this.settingName, {}),
+      permission: this.getPermission()
+    };
+  }
+
+  /**
+   * Update and persist notification preferences
+   * @param {Object} changes - Preference changes
+   * @returns {Object} Updated preferences
+   */
+  savePreferences(changes) {
+    const preferences = {
+      ...this.getPreferences(),
+      ...changes
+    };
+
+    this.storage.saveSetting(this.settingName, preferences);
+    return preferences;
+  }
+
+  /**
+   * Enable notifications, asking for permission if needed
+   * @returns {Promise<boolean>} True if notifications are now enabled
+   */
+  async enable() {
+    if (!this.isSupported()) {
+      this.savePreferences({ enabled: false });
+      return false;
+    }
+
+    if (Notification.permission === 'default') {
+      await Notification.requestPermission();
+    }
+
+    const enabled = Notification.permission === 'granted';
+    this.savePreferences({ enabled });
+    return enabled;
+  }
+
+  /**
+   * Disable notifications
+   */
+  disable() {
+    this.savePreferences({ enabled: false });
+  }
+
+  /**
+   * Check a level change and notify if the user subscribed to it
+   * @param {number|null} previousLevel - Previous water level in cm
+   * @param {Object} reading - New water level reading
+   * @returns {boolean} True if a notification was shown
+   */
+  check(previousLevel, reading) {
+    const preferences = this.getPreferences();
+
+    if (!preferences.enabled || previousLevel === null || this.getPermission() !== 'granted') {
+      return false;
+    }
+
+    const messages = [];
+    const previousAlert = getAlertLevel(previousLevel);
+    const currentAlert = getAlertLevel(reading.waterLevel);
+
+    if (previousAlert.key !== currentAlert.key &&
+        this.getTransitionSteps(previousAlert, currentAlert).some(step => preferences.transitions.includes(step))) {
+      messages.push(`${i18n.getLabel(currentAlert)}: ${i18n.getDescription(currentAlert)}`);
+    }
+
+    const threshold = preferences.customThreshold;
+    if (Number.isFinite(threshold)) {
+      if (previousLevel < threshold && reading.waterLevel >= threshold) {
+        messages.push(i18n.t('notifications.customAbove', { threshold }));
+      } else if (previousLevel >= threshold && reading.waterLevel < threshold) {
+        messages.push(i18n.t('notifications.customBelow', { threshold }));
+      }
+    }
+
+    if (messages.length === 0) {
+      return false;
+    }
+
+    this.show(i18n.t('notifications.heading', { gauge: this.gaugeName, level: reading.waterLevel }), {
+      body: messages.join('\n'),
+      tag: this.tag,
+      renotify: true,
+      requireInteraction: currentAlert.key === 'DANGER',
+      timestamp: reading.timestamp
+    });
+
+    return true;
+  }
+
+  /**
+   * List the single-step transitions between two alert levels
+   * (a jump from Normal straight to Gefahr passes Warnung)
+   * @private
+   * @param {Object} from - Previous alert level
+   * @param {Object} to - New alert level
+   * @returns {Array<string>} Transition keys
+   */
+  getTransitionSteps(from, to) {
+    const levels = Object.values(ALERT_LEVELS).sort((a, b) => a.min - b.min);
+    const fromIndex = levels.indexOf(from);
+    const toIndex = levels.indexOf(to);
+    const direction = toIndex > fromIndex ? 1 : -1;
+    const steps = [];
+
+    for (let i = fromIndex; i !== toIndex; i += direction) {
+      steps.push(`${levels[i].key}>${levels[i + direction].key}`);
+    }
+
+    return steps;
+  }
+
+  /**
+   * Show a notification, through the service worker when one is active
+   * so it also appears while the tab is in the background
+   * @private
+   * @param {string} title - Notification title
+   * @param {Object} options - Notification options
+   */
+  show(title, options) {
+    if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+      navigator.serviceWorker.ready
+        .then(registration => registration.showNotification(title, options))
+        .catch(error => console.error('Failed to show notification:', error));
+      return;
+    }
+
+    try {
+      const notification = new Notification(title, options);
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+      };
+    } catch (error) {
+      console.error('Failed to show notification:', error);
+    }
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * Pegel XML Parser Module
+ * Parses the Cologne water level XML without relying on DOMParser,
+ * so the same code runs in the browser and in the Node proxy server
+ */
+
+// Formatters of getTimeZoneOffset by time zone (creating an Intl.DateTimeFormat is slow)
+const TIME_ZONE_FORMATTERS = new Map();
+
+class PegelParser {
+  /**
+   * Time zone of the timestamps delivered by the Cologne API
+   * @returns {string} IANA time zone name
+   */
+  static get TIME_ZONE() {
+    return 'Europe/Berlin';
+  }
+
+  /**
+   * Parse XML response from the Cologne API
+   * @param {string} xmlString - XML response string
+   * @returns {Object} Parsed water level data
+   */
+  static parseXML(xmlString) {
+    if (typeof xmlString !== 'string' || !xmlString.includes('<')) {
+      throw new Error('XML parsing failed: empty or invalid response');
+    }
+
+    // Extract data from XML
+    const datum = PegelParser.extractTag(xmlString, 'Datum');
+    const uhrzeit = PegelParser.extractTag(xmlString, 'Uhrzeit');
+    const pegel = PegelParser.extractTag(xmlString, 'Pegel');
+    const grafik = PegelParser.extractTag(xmlString, 'Grafik');
+
+    // Validate required fields
+    if (!datum || !uhrzeit || !pegel) {
+      throw new Error('XML parsing failed: missing required fields in XML response');
+    }
+
+    return {
+      waterLevel: PegelParser.convertGermanDecimal(pegel),
+      date: datum,
+      time: uhrzeit,
+      timestamp: PegelParser.parseGermanDateTime(datum, uhrzeit),
+      graphic: grafik || null
+    };
+  }
+
+  /**
+   * Extract the text content of the first matching element
+   * @param {string} xmlString - XML string
+   * @param {string} tagName - Element name
+   * @returns {string|null} Trimmed text content or null
+   */
+  static extractTag(xmlString, tagName) {
+    const pattern = new RegExp(`<${tagName}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagName}>`);
+    const match = xmlString.match(pattern);
+
+    if (!match) {
+      return null;
+    }
+
+    const text = match[1]
+      .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, '\'')
+      .replace(/&amp;/g, '&')
+      .trim();
+
+    return text || null;
+  }
+
+  /**
+   * Convert German decimal format to centimeters
+   * @param {string} germanNumber - Number in German format (e.g., "3,68")
+   * @returns {number} Water level in centimeters
+   */
+  static convertGermanDecimal(germanNumber) {
+    // Replace comma with dot and parse as float
+    const meters = parseFloat(String(germanNumber).trim().replace(',', '.'));
+
+    if (isNaN(meters)) {
+      throw new Error(`Number conversion failed: invalid number format: ${germanNumber}`);
+    }
+
+    // Convert meters to centimeters and round
+    const centimeters = Math.round(meters * 100);
+
+    // Validate range (0-2000 cm is reasonable for Rhine)
+    if (centimeters < 0 || centimeters > 2000) {
+      console.warn(`Water level ${centimeters} cm seems out of normal range`);
+    }
+
+    return centimeters;
+  }
+
+  /**
+   * Parse German date and time (Europe/Berlin) to timestamp
+   * @param {string} dateStr - German date string (e.g., "27. Oktober 2025")
+   * @param {string} timeStr - Time string (e.g., "15:25")
+   * @returns {number} Unix timestamp in milliseconds
+   */
+  static parseGermanDateTime(dateStr, timeStr) {
+    // German month names
+    const monthNames = {
+      'Januar': 0, 'Februar': 1, 'März': 2, 'April': 3,
+      'Mai': 4, 'Juni': 5, 'Juli': 6, 'August': 7,
+      'September': 8, 'Oktober': 9, 'November': 10, 'Dezember': 11
+    };
+
+    // Parse date: "27. Oktober 2025"
+    const dateMatch = String(dateStr).match(/(\d+)\.\s*([^\s\d]+)\s+(\d{4})/);
+    if (!dateMatch) {
+      throw new Error(`Invalid date format: ${dateStr}`);
+    }
+
+    const day = parseInt(dateMatch[1], 10);
+    const month = monthNames[dateMatch[2]];
+    const year = parseInt(dateMatch[3], 10);
+
+    if (month === undefined) {
+      throw new Error(`Unknown month: ${dateMatch[2]}`);
+    }
+
+    // Parse time: "15:25"
+    const timeMatch = String(timeStr).match(/(\d{1,2}):(\d{2})/);
+    if (!timeMatch) {
+      throw new Error(`Invalid time format: ${timeStr}`);
+    }
+
+    const hours = parseInt(timeMatch[1], 10);
+    const minutes = parseInt(timeMatch[2], 10);
+
+    return PegelParser.zonedTimeToUtc(year, month, day, hours, minutes, PegelParser.TIME_ZONE);
+  }
+
+  /**
+   * Convert a wall-clock time in a time zone to a Unix timestamp
+   * @param {number} year - Full year
+   * @param {number} month - Month index (0-11)
+   * @param {number} day - Day of month
+   * @param {number} hours - Hours
+   * @param {number} minutes - Minutes
+   * @param {string} timeZone - IANA time zone name
+   * @returns {number} Unix timestamp in milliseconds
+   */
+  static zonedTimeToUtc(year, month, day, hours, minutes, timeZone) {
+    const wallClock = Date.UTC(year, month, day, hours, minutes);
+
+    // Apply the offset twice so readings near a DST switch settle on the right side
+    let timestamp = wallClock - PegelParser.getTimeZoneOffset(wallClock, timeZone);
+    timestamp = wallClock - PegelParser.getTimeZoneOffset(timestamp, timeZone);
+
+    return timestamp;
+  }
+
+  /**
+   * Format a timestamp as German date and time strings like the Cologne XML
+   * @param {number} timestamp - Unix timestamp in milliseconds
+   * @returns {Object} Date (e.g. "27. Oktober 2025") and time (e.g. "15:25")
+   */
+  static formatGermanDateTime(timestamp) {
+    const date = new Date(timestamp);
+    const options = { timeZone: PegelParser.TIME_ZONE };
+
+    return {
+      date: new Intl.DateTimeFormat('de-DE', { ...options, day: 'numeric', month: 'long', year: 'numeric' }).format(date),
+      time: new Intl.DateTimeFormat('de-DE', { ...options, hour: '2-digit', minute: '2-digit' }).format(date)
+    };
+  }
+
+  /**
+   * Format a timestamp as ISO 8601 with the local offset of a time zone
+   * @param {number} timestamp - Unix timestamp in milliseconds
+   * @param {string} timeZone - IANA time zone name (default: Europe/Berlin)
+   * @returns {string} ISO string, e.g. "2025-10-27T15:25:00+01:00"
+   */
+  static toZonedISOString(timestamp, timeZone = PegelParser.TIME_ZONE) {
+    const offset = PegelParser.getTimeZoneOffset(timestamp, timeZone);
+    const local = new Date(timestamp + offset).toISOString().slice(0, 19);
+
+    const sign = offset < 0 ? '-' : '+';
+    const offsetMinutes = Math.abs(offset) / 60000;
+    const hours = String(Math.floor(offsetMinutes / 60)).padStart(2, '0');
+    const minutes = String(offsetMinutes % 60).padStart(2, '0');
+
+    return `${local}${sign}${hours}:${minutes}`;
+  }
+
+  /**
+   * Get the offset of a time zone from UTC at a given instant
+   * @param {number} timestamp - Unix timestamp in milliseconds
+   * @param {string} timeZone - IANA time zone name
+   * @returns {number} Offset in milliseconds
+   */
+  static getTimeZoneOffset(timestamp, timeZone) {
+    const parts = {};
+    PegelParser.getWallClockFormatter(timeZone).formatToParts(new Date(timestamp)).forEach(part => {
+      parts[part.type] = parseInt(part.value, 10);
+    });
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const rounded = Math.floor(timestamp / 1000) * 1000;
+
+    return asUtc - rounded;
+  }
+
+  /**
+   * Get the formatter that reads the wall clock time of a time zone (created once per zone)
+   * @private
+   * @param {string} timeZone - IANA time zone name
+   * @returns {Intl.DateTimeFormat} Formatter
+   */
+  static getWallClockFormatter(timeZone) {
+    if (!TIME_ZONE_FORMATTERS.has(timeZone)) {
+      TIME_ZONE_FORMATTERS.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      }));
+    }
+    return TIME_ZONE_FORMATTERS.get(timeZone);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PegelParser;
+}
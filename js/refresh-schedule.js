@@ -0,0 +1,121 @@
+/**
+ * Refresh Schedule Module
+ * Decides when to poll next from the chosen interval, page visibility,
+ * the current conditions and recent failures
+ */
+
+class RefreshSchedule {
+  /**
+   * Intervals the user can choose
+   * @returns {Object} Intervals in milliseconds keyed by name
+   */
+  static get INTERVALS() {
+    return {
+      '30s': 30 * 1000,
+      '1min': 60 * 1000,
+      '2min': 2 * 60 * 1000,
+      '5min': 5 * 60 * 1000,
+      '10min': 10 * 60 * 1000
+    };
+  }
+
+  /**
+   * Shortest delay, also while the level is elevated
+   * @returns {number} Delay in milliseconds
+   */
+  static get MIN_INTERVAL() {
+    return 30 * 1000;
+  }
+
+  /**
+   * Rises of at least this many cm per hour count as rising quickly
+   * @returns {number} Rate in cm/h
+   */
+  static get RISING_RATE() {
+    return 5;
+  }
+
+  /**
+   * Slowest polling while the page is hidden (only when polling continues in the background)
+   * @returns {number} Delay in milliseconds
+   */
+  static get HIDDEN_INTERVAL() {
+    return 10 * 60 * 1000;
+  }
+
+  /**
+   * Longest delay after consecutive failures
+   * @returns {number} Delay in milliseconds
+   */
+  static get MAX_BACKOFF() {
+    return 15 * 60 * 1000;
+  }
+
+  /**
+   * Compute the delay until the next poll
+   * @param {Object} conditions - Current conditions
+   * @param {number} conditions.interval - Interval chosen by the user
+   * @param {boolean} conditions.hidden - Page is hidden
+   * @param {boolean} conditions.pollWhileHidden - Keep polling (slower) while hidden, e.g. for notifications
+   * @param {boolean} conditions.elevated - Level is in an alert level above normal
+   * @param {number|null} conditions.ratePerHour - Recent rate of change in cm/h
+   * @param {number} conditions.failures - Consecutive failed polls
+   * @returns {Object} Delay in milliseconds (null while paused) and the reason:
+   *   paused, hidden, backoff, urgent or interval
+   */
+  static getDelay({
+    interval,
+    hidden = false,
+    pollWhileHidden = false,
+    elevated = false,
+    ratePerHour = null,
+    failures = 0
+  }) {
+    if (hidden && !pollWhileHidden) {
+      return { delay: null, reason: 'paused' };
+    }
+
+    let delay = interval;
+    let reason = 'interval';
+
+    // Poll twice as often while it matters
+    const risingQuickly = Number.isFinite(ratePerHour) && ratePerHour >= RefreshSchedule.RISING_RATE;
+    if (elevated || risingQuickly) {
+      delay = Math.max(RefreshSchedule.MIN_INTERVAL, delay / 2);
+      reason = 'urgent';
+    }
+
+    if (hidden) {
+      delay = Math.max(delay, RefreshSchedule.HIDDEN_INTERVAL);
+      reason = 'hidden';
+    }
+
+    // Exponential backoff, but never faster than without failures
+    if (failures > 0) {
+      const limit = Math.max(RefreshSchedule.MAX_BACKOFF, delay);
+      delay = Math.min(delay * 2 ** failures, limit);
+      reason = 'backoff';
+    }
+
+    return { delay, reason };
+  }
+
+  /**
+   * Format a delay for display (e.g. "30 s", "2 min")
+   * @param {number} delay - Delay in milliseconds
+   * @param {string} locale - Locale of the decimal separator (default: de-DE)
+   * @returns {string} Formatted delay
+   */
+  static formatDelay(delay, locale = 'de-DE') {
+    const seconds = Math.round(delay / 1000);
+    if (seconds < 60) {
+      return `${seconds} s`;
+    }
+    const minutes = Math.round(seconds / 6) / 10;
+    return `${minutes.toLocaleString(locale)} min`;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RefreshSchedule;
+}
@@ -0,0 +1,178 @@
+/**
+ * Keyboard Shortcuts Module
+ * Registry of single-key shortcuts with user-defined bindings
+ * (titles are the shortcuts.<id> messages)
+ */
+
+class ShortcutRegistry {
+  constructor() {
+    this.shortcuts = new Map(); // id -> { defaultKey, action }
+    this.bindings = {}; // id -> key chosen by the user
+  }
+
+  /**
+   * Keys that keep their usual meaning and cannot be bound
+   * @returns {Array<string>} Key values
+   */
+  static get RESERVED_KEYS() {
+    return ['Escape', 'Tab', 'Enter', ' ', 'Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+  }
+
+  /**
+   * Normalize a key value so letters match regardless of Shift and Caps Lock
+   * @param {string} key - KeyboardEvent.key
+   * @returns {string} Normalized key
+   */
+  static normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+  }
+
+  /**
+   * Check whether a key can be bound to a shortcut
+   * @param {string} key - KeyboardEvent.key
+   * @returns {boolean} True if the key is allowed
+   */
+  static isBindable(key) {
+    return typeof key === 'string' && key !== '' && key !== 'Unidentified' &&
+      !ShortcutRegistry.RESERVED_KEYS.includes(key);
+  }
+
+  /**
+   * Check whether a key event goes to a form field or editable content
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} True if the user is typing
+   */
+  static isEditable(target) {
+    return Boolean(target && target.closest &&
+      target.closest('input, select, textarea, [contenteditable]:not([contenteditable="false"])'));
+  }
+
+  /**
+   * Register a shortcut
+   * @param {string} id - Shortcut id
+   * @param {string} defaultKey - Key used until the user rebinds it
+   * @param {Function} action - Called with the keydown event
+   */
+  register(id, defaultKey, action) {
+    this.shortcuts.set(id, { defaultKey: ShortcutRegistry.normalizeKey(defaultKey), action });
+  }
+
+  /**
+   * Apply saved bindings (unknown shortcuts and keys are ignored)
+   * @param {Object} bindings - Keys by shortcut id
+   */
+  load(bindings) {
+    this.bindings = {};
+    Object.entries(bindings || {}).forEach(([id, key]) => {
+      if (this.shortcuts.has(id) && ShortcutRegistry.isBindable(key)) {
+        this.bindings[id] = ShortcutRegistry.normalizeKey(key);
+      }
+    });
+  }
+
+  /**
+   * Get the bindings that differ from the defaults (for saving)
+   * @returns {Object} Keys by shortcut id
+   */
+  getBindings() {
+    return { ...this.bindings };
+  }
+
+  /**
+   * Get the key of a shortcut
+   * @param {string} id - Shortcut id
+   * @returns {string|null} Bound key
+   */
+  getKey(id) {
+    const shortcut = this.shortcuts.get(id);
+    if (!shortcut) return null;
+    return this.bindings[id] || shortcut.defaultKey;
+  }
+
+  /**
+   * Find the shortcut bound to a key
+   * @param {string} key - KeyboardEvent.key
+   * @returns {string|null} Shortcut id
+   */
+  findByKey(key) {
+    const normalized = ShortcutRegistry.normalizeKey(key);
+    for (const id of this.shortcuts.keys()) {
+      if (this.getKey(id) === normalized) {
+        return id;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Bind a shortcut to another key
+   * @param {string} id - Shortcut id
+   * @param {string} key - KeyboardEvent.key
+   * @returns {string|null} Id of the shortcut that already uses the key (nothing is changed then)
+   */
+  rebind(id, key) {
+    const shortcut = this.shortcuts.get(id);
+    if (!shortcut || !ShortcutRegistry.isBindable(key)) {
+      throw new Error(`Cannot bind "${key}" to shortcut "${id}"`);
+    }
+
+    const conflict = this.findByKey(key);
+    if (conflict && conflict !== id) {
+      return conflict;
+    }
+
+    const normalized = ShortcutRegistry.normalizeKey(key);
+    if (normalized === shortcut.defaultKey) {
+      delete this.bindings[id];
+    } else {
+      this.bindings[id] = normalized;
+    }
+    return null;
+  }
+
+  /**
+   * Return all shortcuts to their default keys
+   */
+  reset() {
+    this.bindings = {};
+  }
+
+  /**
+   * List the shortcuts in registration order
+   * @returns {Array<Object>} id, key and defaultKey
+   */
+  list() {
+    return [...this.shortcuts.entries()].map(([id, shortcut]) => ({
+      id,
+      key: this.getKey(id),
+      defaultKey: shortcut.defaultKey
+    }));
+  }
+
+  /**
+   * Run the shortcut of a keydown event. Events already handled elsewhere, typed into
+   * form fields or combined with Ctrl, Alt or Meta are left alone (Shift is part of
+   * the key value, e.g. "?").
+   * @param {KeyboardEvent} event - Keydown event
+   * @returns {boolean} True if a shortcut ran
+   */
+  handle(event) {
+    if (event.defaultPrevented || event.repeat || event.ctrlKey || event.altKey || event.metaKey ||
+        ShortcutRegistry.isEditable(event.target)) {
+      return false;
+    }
+
+    const id = this.findByKey(event.key);
+    if (!id) {
+      return false;
+    }
+
+    event.preventDefault();
+    this.shortcuts.get(id).action(event);
+    return true;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ShortcutRegistry;
+}
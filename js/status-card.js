@@ -0,0 +1,65 @@
+/**
+ * Status Card Module
+ * Shows a reading with its alert level in the status card
+ * (shared by the app and the embeddable widget)
+ */
+
+class StatusCard {
+  /**
+   * @param {Object} elements - card, icon, badge, level, description and lastUpdate
+   *   elements (missing ones are skipped)
+   */
+  constructor(elements) {
+    this.elements = elements;
+  }
+
+  /**
+   * Show a reading and its alert level
+   * @param {Object} reading - Water level reading
+   * @param {Object} alertLevel - Alert level of the reading
+   */
+  render(reading, alertLevel) {
+    if (this.elements.level) {
+      this.elements.level.textContent = reading.waterLevel;
+    }
+
+    if (this.elements.lastUpdate) {
+      this.elements.lastUpdate.textContent = `${i18n.formatDate(reading.timestamp)} ${i18n.formatTime(reading.timestamp)}`;
+    }
+
+    this.renderAlertLevel(alertLevel);
+  }
+
+  /**
+   * Show an alert level in the colours of the applied theme
+   * @param {Object} alertLevel - Alert level configuration
+   */
+  renderAlertLevel(alertLevel) {
+    const { card, badge, icon, level, description } = this.elements;
+    if (!card) return;
+
+    const { color, bgColor } = theme.getLevelColors(alertLevel);
+
+    // Update status card background (the level also selects the palette's border pattern)
+    card.dataset.level = alertLevel.key;
+    card.style.backgroundColor = bgColor;
+    card.style.borderColor = color;
+
+    if (badge) {
+      badge.style.backgroundColor = color;
+      badge.textContent = i18n.getLabel(alertLevel);
+    }
+
+    if (icon) {
+      icon.textContent = alertLevel.icon;
+    }
+
+    if (level) {
+      level.style.color = color;
+    }
+
+    if (description) {
+      description.textContent = i18n.getDescription(alertLevel);
+    }
+  }
+}
@@ -0,0 +1,392 @@
+/**
+ * IndexedDB Storage Module
+ * Keeps months of readings in IndexedDB with range queries by gauge and timestamp
+ * (settings stay in localStorage, see WaterLevelStorage)
+ */
+
+class IndexedDBStorage extends WaterLevelStorage {
+  constructor(storageKey = 'rhein-pegel-history') {
+    super(storageKey);
+    this.dbName = storageKey;
+    this.dbVersion = 1;
+    this.storeName = 'readings';
+    this.maxAge = 365 * 24 * 60 * 60 * 1000; // 1 year in milliseconds
+    this.maxEntries = Infinity;
+    this.cleanupInterval = 60 * 60 * 1000; // Clean old data at most once per hour
+    this.lastCleanup = 0;
+    this.db = null;
+    this.migratedGauges = new Set();
+  }
+
+  /**
+   * Check whether the browser offers IndexedDB
+   * @returns {boolean} True if available
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * Open the database and move the current gauge's localStorage history into it
+   * @returns {Promise<IndexedDBStorage>} This storage
+   * @throws {Error} If the database cannot be opened (e.g. blocked in private mode)
+   */
+  async open() {
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          // One record per gauge and timestamp, so saving a reading twice keeps one copy
+          const store = db.createObjectStore(this.storeName, { keyPath: ['gaugeId', 'timestamp'] });
+          store.createIndex('timestamp', 'timestamp');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+    });
+
+    await this.getDatabase();
+    return this;
+  }
+
+  /**
+   * Get the open database, moving the selected gauge's localStorage history first
+   * @private
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  async getDatabase() {
+    if (!this.db) {
+      throw new Error('IndexedDB storage is not open');
+    }
+
+    if (!this.migratedGauges.has(this.gaugeId)) {
+      this.migratedGauges.add(this.gaugeId);
+      await this.migrateFromLocalStorage();
+    }
+
+    return this.db;
+  }
+
+  /**
+   * Move readings from the localStorage key of the selected gauge into IndexedDB
+   * (the key is removed once the readings are committed)
+   * @private
+   */
+  async migrateFromLocalStorage() {
+    const key = this.storageKey;
+    const gaugeId = this.gaugeId;
+
+    if (localStorage.getItem(key) === null) return;
+
+    // Upgrades older formats and backs up unreadable data
+    const { readings } = this.getStorageData();
+
+    try {
+      const transaction = this.db.transaction(this.storeName, 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      readings.forEach(reading => store.put(this.toRecord(reading, gaugeId)));
+      await IndexedDBStorage.complete(transaction);
+
+      localStorage.removeItem(key);
+      console.log(`Moved ${readings.length} readings of ${gaugeId} from localStorage to IndexedDB`);
+    } catch (error) {
+      console.error('Failed to move localStorage history to IndexedDB:', error);
+    }
+  }
+
+  /**
+   * Save a new water level reading
+   * @param {Object} data - Water level data
+   * @returns {Promise<boolean>} True if saved
+   */
+  async saveReading(data) {
+    try {
+      const db = await this.getDatabase();
+      const transaction = db.transaction(this.storeName, 'readwrite');
+      transaction.objectStore(this.storeName).put(this.toRecord(data, this.gaugeId));
+      await IndexedDBStorage.complete(transaction);
+
+      if (Date.now() - this.lastCleanup >= this.cleanupInterval) {
+        await this.cleanOldData();
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Failed to save reading:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Merge imported readings into storage (readings already stored win)
+   * @param {Array} readings - Validated readings from WaterLevelImport.parse
+   * @returns {Promise<Object>} Numbers of added and skipped readings; expired counts the
+   *   skipped ones older than the retention period
+   */
+  async importReadings(readings) {
+    const db = await this.getDatabase();
+    const cutoffTime = Date.now() - this.maxAge;
+    const transaction = db.transaction(this.storeName, 'readwrite');
+    const store = transaction.objectStore(this.storeName);
+    let added = 0;
+    let skipped = 0;
+    let expired = 0;
+
+    readings.forEach(reading => {
+      if (reading.timestamp < cutoffTime) {
+        skipped++;
+        expired++;
+        return;
+      }
+
+      const request = store.add(this.toRecord(reading, this.gaugeId));
+      request.onsuccess = () => {
+        added++;
+      };
+      request.onerror = (event) => {
+        // Existing key: keep the stored reading without aborting the transaction
+        event.preventDefault();
+        event.stopPropagation();
+        skipped++;
+      };
+    });
+
+    await IndexedDBStorage.complete(transaction);
+    return { added, skipped, expired };
+  }
+
+  /**
+   * Get the readings of the selected gauge within a time range
+   * @param {number} from - Start timestamp (inclusive)
+   * @param {number} to - End timestamp (inclusive)
+   * @returns {Promise<Array>} Readings sorted by timestamp (oldest first)
+   */
+  async getRange(from = 0, to = Infinity) {
+    try {
+      const db = await this.getDatabase();
+      const store = db.transaction(this.storeName).objectStore(this.storeName);
+      return await IndexedDBStorage.request(store.getAll(this.getKeyRange(from, to)));
+    } catch (error) {
+      console.error('Failed to get readings:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get historical data for the specified time period
+   * @param {number} hours - Number of hours to retrieve (default: 24)
+   * @returns {Promise<Array>} Readings sorted by timestamp (oldest first)
+   */
+  async getHistoricalData(hours = 24) {
+    return this.getRange(Date.now() - hours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Get the most recent reading of the selected gauge
+   * @returns {Promise<Object|null>} Most recent reading or null
+   */
+  async getLatestReading() {
+    try {
+      return await this.getEdgeReading('prev');
+    } catch (error) {
+      console.error('Failed to get latest reading:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a reading with this timestamp is stored
+   * @param {number} timestamp - Unix timestamp
+   * @returns {Promise<boolean>} True if stored
+   */
+  async hasReading(timestamp) {
+    try {
+      const db = await this.getDatabase();
+      const store = db.transaction(this.storeName).objectStore(this.storeName);
+      return (await IndexedDBStorage.request(store.count([this.gaugeId, timestamp]))) > 0;
+    } catch (error) {
+      console.error('Failed to check reading:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete readings of all gauges older than maxAge (walks the timestamp index)
+   */
+  async cleanOldData() {
+    try {
+      const db = await this.getDatabase();
+      const transaction = db.transaction(this.storeName, 'readwrite');
+      const index = transaction.objectStore(this.storeName).index('timestamp');
+      const request = index.openCursor(IDBKeyRange.upperBound(Date.now() - this.maxAge, true));
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+
+      await IndexedDBStorage.complete(transaction);
+      this.lastCleanup = Date.now();
+    } catch (error) {
+      console.error('Failed to clean old data:', error);
+    }
+  }
+
+  /**
+   * Clear the stored readings of the selected gauge
+   * @returns {Promise<boolean>} True if cleared
+   */
+  async clearAll() {
+    try {
+      const db = await this.getDatabase();
+      const transaction = db.transaction(this.storeName, 'readwrite');
+      transaction.objectStore(this.storeName).delete(this.getKeyRange());
+      await IndexedDBStorage.complete(transaction);
+      return true;
+    } catch (error) {
+      console.error('Failed to clear storage:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Export the selected gauge's readings in the localStorage backup format
+   * @returns {Promise<string|null>} JSON string of all data
+   */
+  async exportData() {
+    try {
+      const readings = await this.getRange();
+      return JSON.stringify({
+        version: this.version,
+        gaugeId: this.gaugeId,
+        readings: readings.reverse(),
+        lastUpdated: Date.now()
+      }, null, 2);
+    } catch (error) {
+      console.error('Failed to export data:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get storage statistics; IndexedDB cannot tell the size of one gauge's history,
+   * so storageSize is null and originUsage is what the whole origin uses
+   * (all gauges, the service worker caches and settings)
+   * @returns {Promise<Object|null>} Storage statistics
+   */
+  async getStatistics() {
+    try {
+      const readings = await this.getRange();
+      const estimate = typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate
+        ? await navigator.storage.estimate()
+        : null;
+      const originUsage = estimate ? estimate.usage : null;
+
+      return {
+        totalReadings: readings.length,
+        oldestReading: readings.length > 0 ? new Date(readings[0].timestamp) : null,
+        newestReading: readings.length > 0 ? new Date(readings[readings.length - 1].timestamp) : null,
+        lastUpdated: readings.length > 0 ? new Date(readings[readings.length - 1].timestamp) : null,
+        storageSize: null,
+        storageSizeKB: null,
+        originUsage,
+        originUsageKB: originUsage !== null ? (originUsage / 1024).toFixed(2) : null,
+        summary: WaterLevelAggregation.summarize(readings)
+      };
+    } catch (error) {
+      console.error('Failed to get statistics:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the first or last reading of the selected gauge
+   * @private
+   * @param {string} direction - "next" for the oldest, "prev" for the newest
+   * @returns {Promise<Object|null>} Reading or null
+   */
+  async getEdgeReading(direction) {
+    const db = await this.getDatabase();
+    const store = db.transaction(this.storeName).objectStore(this.storeName);
+    const cursor = await IndexedDBStorage.request(store.openCursor(this.getKeyRange(), direction));
+    return cursor ? cursor.value : null;
+  }
+
+  /**
+   * Build the key range of the selected gauge between two timestamps
+   * @private
+   * @param {number} from - Start timestamp (inclusive)
+   * @param {number} to - End timestamp (inclusive)
+   * @returns {IDBKeyRange} Key range
+   */
+  getKeyRange(from = -Infinity, to = Infinity) {
+    return IDBKeyRange.bound([this.gaugeId, from], [this.gaugeId, to]);
+  }
+
+  /**
+   * Build the stored record of a reading
+   * @private
+   * @param {Object} reading - Water level reading
+   * @param {string} gaugeId - Gauge id
+   * @returns {Object} Record
+   */
+  toRecord(reading, gaugeId) {
+    return {
+      waterLevel: reading.waterLevel,
+      date: reading.date,
+      time: reading.time,
+      timestamp: reading.timestamp,
+      gaugeId
+    };
+  }
+
+  /**
+   * Wait for an IndexedDB request
+   * @private
+   * @param {IDBRequest} request - Request
+   * @returns {Promise<*>} Request result
+   */
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Wait for an IndexedDB transaction to commit
+   * @private
+   * @param {IDBTransaction} transaction - Transaction
+   * @returns {Promise<void>} Resolves when committed
+   */
+  static complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+}
+
+/**
+ * Open the history storage: IndexedDB where available, localStorage otherwise
+ * @param {string} storageKey - localStorage key and database name
+ * @returns {Promise<WaterLevelStorage>} Opened storage backend
+ */
+async function openHistoryStorage(storageKey = 'rhein-pegel-history') {
+  if (IndexedDBStorage.isSupported()) {
+    try {
+      return await new IndexedDBStorage(storageKey).open();
+    } catch (error) {
+      console.warn('IndexedDB unavailable, keeping the history in localStorage:', error);
+    }
+  }
+
+  return new WaterLevelStorage(storageKey).open();
+}
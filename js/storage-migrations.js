@@ -0,0 +1,90 @@
+/**
+ * Storage Migrations Module
+ * Ordered upgrade steps for the stored history format, so a schema change
+ * upgrades existing history instead of discarding it
+ */
+
+class StorageMigrations {
+  /**
+   * Version assumed for payloads written before the version field existed
+   * @returns {string} Version
+   */
+  static get INITIAL_VERSION() {
+    return '1.0.0';
+  }
+
+  /**
+   * Upgrade steps, oldest first; each one turns data of version `from` into version `to`
+   * @returns {Array<Object>} Steps with from, to, description and migrate(data, context)
+   */
+  static get STEPS() {
+    return [
+      {
+        from: '1.0.0',
+        to: '1.1.0',
+        description: 'Record the gauge id on the history and on every reading',
+        migrate: (data, { gaugeId = 'koeln' }) => {
+          const historyGaugeId = data.gaugeId || gaugeId;
+          return {
+            ...data,
+            gaugeId: historyGaugeId,
+            readings: data.readings.map(reading => ({ ...reading, gaugeId: reading.gaugeId || historyGaugeId }))
+          };
+        }
+      }
+    ];
+  }
+
+  /**
+   * Version written by the current code (the target of the last step)
+   * @returns {string} Version
+   */
+  static get CURRENT_VERSION() {
+    const steps = StorageMigrations.STEPS;
+    return steps.length > 0 ? steps[steps.length - 1].to : StorageMigrations.INITIAL_VERSION;
+  }
+
+  /**
+   * Check that a payload has the shape every version shares
+   * @param {*} data - Parsed payload
+   * @returns {boolean} True if the payload can be migrated
+   */
+  static isValid(data) {
+    return Boolean(data) && typeof data === 'object' && !Array.isArray(data) &&
+      Array.isArray(data.readings) &&
+      (data.version === undefined || typeof data.version === 'string');
+  }
+
+  /**
+   * Upgrade a payload to the current version
+   * @param {Object} data - Stored payload
+   * @param {Object} context - Values the steps may need
+   * @param {string} context.gaugeId - Gauge the history belongs to
+   * @returns {Object} Migrated data and the versions of the applied steps
+   * @throws {Error} If the payload is invalid or its version has no upgrade path
+   */
+  static migrate(data, context = {}) {
+    if (!StorageMigrations.isValid(data)) {
+      throw new Error('Invalid storage payload');
+    }
+
+    let current = { ...data, version: data.version || StorageMigrations.INITIAL_VERSION };
+    const applied = [];
+
+    while (current.version !== StorageMigrations.CURRENT_VERSION) {
+      const step = StorageMigrations.STEPS.find(candidate => candidate.from === current.version);
+      if (!step) {
+        throw new Error(`No migration from storage version ${current.version} to ${StorageMigrations.CURRENT_VERSION}`);
+      }
+
+      current = { ...step.migrate(current, context), version: step.to };
+      applied.push(step.to);
+    }
+
+    return { data: current, applied };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StorageMigrations;
+}
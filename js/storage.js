@@ -1,14 +1,45 @@
 /**
  * Water Level Storage Module
  * Manages localStorage persistence for historical water level data
+ *
+ * All history backends share this interface: open, saveReading, importReadings,
+ * getRange, getHistoricalData, getLatestReading, hasReading, cleanOldData,
+ * clearAll, exportData and getStatistics return promises; setGauge, getSetting
+ * and saveSetting are synchronous. IndexedDBStorage (js/storage-idb.js) is
+ * preferred; this class is the fallback where IndexedDB is unavailable.
  */
 
 class WaterLevelStorage {
   constructor(storageKey = 'rhein-pegel-history') {
+    this.baseKey = storageKey;
     this.storageKey = storageKey;
+    this.settingsKey = `${storageKey}-settings`;
+    this.defaultGaugeId = 'koeln';
+    this.gaugeId = this.defaultGaugeId;
     this.maxAge = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
     this.maxEntries = 1440; // One entry per minute for 24 hours
-    this.version = '1.0.0';
+    this.version = StorageMigrations.CURRENT_VERSION;
+  }
+
+  /**
+   * Switch the history to another gauge (settings stay shared)
+   * @param {string} gaugeId - Gauge id (e.g. "bonn")
+   */
+  setGauge(gaugeId) {
+    this.gaugeId = gaugeId || this.defaultGaugeId;
+
+    // Köln keeps the original key so existing history is not lost
+    this.storageKey = this.gaugeId === this.defaultGaugeId
+      ? this.baseKey
+      : `${this.baseKey}-${this.gaugeId}`;
+  }
+
+  /**
+   * Prepare the backend (nothing to do for localStorage)
+   * @returns {Promise<WaterLevelStorage>} This storage
+   */
+  async open() {
+    return this;
   }
 
   /**
@@ -18,8 +49,9 @@ class WaterLevelStorage {
    * @param {string} data.date - Date string
    * @param {string} data.time - Time string
    * @param {number} data.timestamp - Unix timestamp
+   * @returns {Promise<boolean>} True if saved
    */
-  saveReading(data) {
+  async saveReading(data) {
     try {
       const storage = this.getStorageData();
       
@@ -28,7 +60,8 @@ class WaterLevelStorage {
         waterLevel: data.waterLevel,
         date: data.date,
         time: data.time,
-        timestamp: data.timestamp
+        timestamp: data.timestamp,
+        gaugeId: this.gaugeId
       });
 
       // Sort by timestamp (newest first)
@@ -46,7 +79,7 @@ class WaterLevelStorage {
       this.setStorageData(storage);
 
       // Clean old data
-      this.cleanOldData();
+      await this.cleanOldData();
 
       return true;
     } catch (error) {
@@ -55,12 +88,30 @@ class WaterLevelStorage {
     }
   }
 
+  /**
+   * Get the readings within a time range
+   * @param {number} from - Start timestamp (inclusive)
+   * @param {number} to - End timestamp (inclusive)
+   * @returns {Promise<Array>} Readings sorted by timestamp (oldest first)
+   */
+  async getRange(from = 0, to = Infinity) {
+    try {
+      const storage = this.getStorageData();
+      return storage.readings
+        .filter(reading => reading.timestamp >= from && reading.timestamp <= to)
+        .sort((a, b) => a.timestamp - b.timestamp);
+    } catch (error) {
+      console.error('Failed to get readings:', error);
+      return [];
+    }
+  }
+
   /**
    * Get historical data for the specified time period
    * @param {number} hours - Number of hours to retrieve (default: 24)
-   * @returns {Array} Array of water level readings
+   * @returns {Promise<Array>} Array of water level readings
    */
-  getHistoricalData(hours = 24) {
+  async getHistoricalData(hours = 24) {
     try {
       const storage = this.getStorageData();
       const cutoffTime = Date.now() - (hours * 60 * 60 * 1000);
@@ -78,11 +129,62 @@ class WaterLevelStorage {
     }
   }
 
+  /**
+   * Merge imported readings into storage (readings already stored win)
+   * @param {Array} readings - Validated readings from WaterLevelImport.parse
+   * @returns {Promise<Object>} Numbers of added and skipped readings; expired counts the
+   *   skipped ones older than the retention period
+   */
+  async importReadings(readings) {
+    const storage = this.getStorageData();
+    const cutoffTime = Date.now() - this.maxAge;
+    const known = new Set(storage.readings.map(reading => reading.timestamp));
+    let added = 0;
+    let skipped = 0;
+    let expired = 0;
+
+    readings.forEach(reading => {
+      if (reading.timestamp < cutoffTime) {
+        skipped++;
+        expired++;
+        return;
+      }
+      if (known.has(reading.timestamp)) {
+        skipped++;
+        return;
+      }
+
+      known.add(reading.timestamp);
+      storage.readings.push({
+        waterLevel: reading.waterLevel,
+        date: reading.date,
+        time: reading.time,
+        timestamp: reading.timestamp,
+        gaugeId: this.gaugeId
+      });
+      added++;
+    });
+
+    if (added > 0) {
+      // Sort by timestamp (newest first)
+      storage.readings.sort((a, b) => b.timestamp - a.timestamp);
+
+      if (storage.readings.length > this.maxEntries) {
+        storage.readings = storage.readings.slice(0, this.maxEntries);
+      }
+
+      storage.lastUpdated = Date.now();
+      this.setStorageData(storage);
+    }
+
+    return { added, skipped, expired };
+  }
+
   /**
    * Get the most recent reading
-   * @returns {Object|null} Most recent reading or null
+   * @returns {Promise<Object|null>} Most recent reading or null
    */
-  getLatestReading() {
+  async getLatestReading() {
     try {
       const storage = this.getStorageData();
       return storage.readings.length > 0 ? storage.readings[0] : null;
@@ -92,10 +194,25 @@ class WaterLevelStorage {
     }
   }
 
+  /**
+   * Check whether a reading with the given timestamp is stored
+   * @param {number} timestamp - Unix timestamp
+   * @returns {Promise<boolean>} True if stored
+   */
+  async hasReading(timestamp) {
+    try {
+      const storage = this.getStorageData();
+      return storage.readings.some(reading => reading.timestamp === timestamp);
+    } catch (error) {
+      console.error('Failed to check reading:', error);
+      return false;
+    }
+  }
+
   /**
    * Clean data older than maxAge
    */
-  cleanOldData() {
+  async cleanOldData() {
     try {
       const storage = this.getStorageData();
       const cutoffTime = Date.now() - this.maxAge;
@@ -113,8 +230,9 @@ class WaterLevelStorage {
 
   /**
    * Clear all stored data
+   * @returns {Promise<boolean>} True if cleared
    */
-  clearAll() {
+  async clearAll() {
     try {
       localStorage.removeItem(this.storageKey);
       return true;
@@ -126,9 +244,9 @@ class WaterLevelStorage {
 
   /**
    * Export data as JSON
-   * @returns {string} JSON string of all data
+   * @returns {Promise<string|null>} JSON string of all data
    */
-  exportData() {
+  async exportData() {
     try {
       const storage = this.getStorageData();
       return JSON.stringify(storage, null, 2);
@@ -139,30 +257,61 @@ class WaterLevelStorage {
   }
 
   /**
-   * Get storage data structure
+   * Get storage data structure, upgrading older versions
+   * (unreadable data is backed up before the history is reset)
    * @private
    * @returns {Object} Storage object
    */
   getStorageData() {
+    let data = null;
+
     try {
-      const data = localStorage.getItem(this.storageKey);
-      
+      data = localStorage.getItem(this.storageKey);
+
       if (!data) {
         return this.createEmptyStorage();
       }
 
       const parsed = JSON.parse(data);
 
-      // Validate version
-      if (parsed.version !== this.version) {
-        console.warn('Storage version mismatch, resetting...');
-        return this.createEmptyStorage();
+      if (parsed && parsed.version === this.version && Array.isArray(parsed.readings)) {
+        return parsed;
+      }
+
+      // Upgrade older formats once and keep the result
+      const { data: migrated, applied } = StorageMigrations.migrate(parsed, { gaugeId: this.gaugeId });
+      console.log(`Migrated storage from version ${parsed.version || StorageMigrations.INITIAL_VERSION} to ${applied.join(' → ')}`);
+      this.setStorageData(migrated);
+
+      return migrated;
+    } catch (error) {
+      console.error('Failed to read storage data, resetting:', error);
+      this.backupStorageData(data);
+
+      const empty = this.createEmptyStorage();
+      try {
+        this.setStorageData(empty);
+      } catch (saveError) {
+        console.error('Failed to reset storage data:', saveError);
       }
+      return empty;
+    }
+  }
+
+  /**
+   * Keep a copy of an unreadable payload before the history is reset
+   * @private
+   * @param {string|null} data - Raw stored payload
+   */
+  backupStorageData(data) {
+    if (!data) return;
 
-      return parsed;
+    const backupKey = `${this.storageKey}-backup`;
+    try {
+      localStorage.setItem(backupKey, data);
+      console.warn(`Previous history saved to localStorage key "${backupKey}"`);
     } catch (error) {
-      console.error('Failed to parse storage data:', error);
-      return this.createEmptyStorage();
+      console.error('Failed to back up storage data:', error);
     }
   }
 
@@ -194,16 +343,51 @@ class WaterLevelStorage {
   createEmptyStorage() {
     return {
       version: this.version,
+      gaugeId: this.gaugeId,
       readings: [],
       lastUpdated: null
     };
   }
 
+  /**
+   * Get a persisted user setting
+   * @param {string} name - Setting name
+   * @param {*} defaultValue - Value returned if the setting is not stored
+   * @returns {*} Setting value
+   */
+  getSetting(name, defaultValue = null) {
+    try {
+      const settings = JSON.parse(localStorage.getItem(this.settingsKey) || '{}');
+      return name in settings ? settings[name] : defaultValue;
+    } catch (error) {
+      console.error('Failed to read setting:', error);
+      return defaultValue;
+    }
+  }
+
+  /**
+   * Persist a user setting
+   * @param {string} name - Setting name
+   * @param {*} value - JSON-serializable value
+   * @returns {boolean} True if saved
+   */
+  saveSetting(name, value) {
+    try {
+      const settings = JSON.parse(localStorage.getItem(this.settingsKey) || '{}');
+      settings[name] = value;
+      localStorage.setItem(this.settingsKey, JSON.stringify(settings));
+      return true;
+    } catch (error) {
+      console.error('Failed to save setting:', error);
+      return false;
+    }
+  }
+
   /**
    * Get storage statistics
-   * @returns {Object} Storage statistics
+   * @returns {Promise<Object|null>} Storage statistics
    */
-  getStatistics() {
+  async getStatistics() {
     try {
       const storage = this.getStorageData();
       const dataSize = new Blob([JSON.stringify(storage)]).size;
@@ -218,7 +402,8 @@ class WaterLevelStorage {
           : null,
         lastUpdated: storage.lastUpdated ? new Date(storage.lastUpdated) : null,
         storageSize: dataSize,
-        storageSizeKB: (dataSize / 1024).toFixed(2)
+        storageSizeKB: (dataSize / 1024).toFixed(2),
+        summary: WaterLevelAggregation.summarize(storage.readings)
       };
     } catch (error) {
       console.error('Failed to get statistics:', error);
@@ -0,0 +1,135 @@
+/**
+ * Theme Module
+ * Applies the colour theme and alert palette as data attributes on <html> and reads
+ * the resulting CSS custom properties for the chart and the alert colours
+ */
+
+class ThemeManager {
+  constructor(root = document.documentElement) {
+    this.root = root;
+    this.theme = 'auto';
+    this.palette = 'standard';
+    this.onChange = null; // called after the applied colours changed
+  }
+
+  /**
+   * Selectable themes ("auto" follows the system colour scheme and contrast setting)
+   * @returns {Array<string>} Theme names
+   */
+  static get THEMES() {
+    return ['auto', 'light', 'dark', 'contrast'];
+  }
+
+  /**
+   * Selectable alert palettes
+   * @returns {Array<string>} Palette names
+   */
+  static get PALETTES() {
+    return ['standard', 'colorblind'];
+  }
+
+  /**
+   * Line patterns of the alert level thresholds in the chart
+   * (only used where the palette relies on patterns besides colour)
+   * @returns {Object} Dash patterns keyed by level
+   */
+  static get LEVEL_DASHES() {
+    return {
+      WARNING: [10, 5],
+      DANGER: [16, 4, 2, 4]
+    };
+  }
+
+  /**
+   * Select and apply a theme and palette
+   * @param {string} theme - auto, light, dark or contrast
+   * @param {string} palette - standard or colorblind
+   */
+  apply(theme = this.theme, palette = this.palette) {
+    this.theme = ThemeManager.THEMES.includes(theme) ? theme : 'auto';
+    this.palette = ThemeManager.PALETTES.includes(palette) ? palette : 'standard';
+
+    this.root.dataset.theme = this.resolveTheme();
+    this.root.dataset.palette = this.palette;
+
+    // Browser UI (e.g. the mobile address bar) follows the header colour
+    const meta = document.querySelector('meta[name="theme-color"]');
+    if (meta) {
+      meta.content = this.getColor('color-primary-dark', meta.content);
+    }
+
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+
+  /**
+   * Re-apply the "auto" theme when the system colour scheme or contrast setting changes
+   */
+  watchSystem() {
+    if (typeof window.matchMedia !== 'function') return;
+
+    ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'].forEach(query => {
+      window.matchMedia(query).addEventListener('change', () => {
+        if (this.theme === 'auto') {
+          this.apply();
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the applied theme, resolving "auto" from the system settings
+   * @returns {string} light, dark or contrast
+   */
+  resolveTheme() {
+    if (this.theme !== 'auto') {
+      return this.theme;
+    }
+    if (typeof window.matchMedia !== 'function') {
+      return 'light';
+    }
+    if (window.matchMedia('(prefers-contrast: more)').matches) {
+      return 'contrast';
+    }
+    return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  }
+
+  /**
+   * Read a CSS custom property of the applied theme
+   * @param {string} name - Property name without the leading dashes (e.g. "chart-line")
+   * @param {string} fallback - Value if the property is not set
+   * @returns {string} Colour value
+   */
+  getColor(name, fallback) {
+    const value = getComputedStyle(this.root).getPropertyValue(`--${name}`).trim();
+    return value || fallback;
+  }
+
+  /**
+   * Get the colours of an alert level: the palette's --alert-<level> properties where the
+   * theme or palette defines them, the configured colours otherwise
+   * @param {Object} level - Alert level
+   * @returns {Object} color and bgColor
+   */
+  getLevelColors(level) {
+    const name = `alert-${level.key.toLowerCase()}`;
+    return {
+      color: this.getColor(name, level.color),
+      bgColor: this.getColor(`${name}-bg`, level.bgColor)
+    };
+  }
+
+  /**
+   * Get the chart line pattern of an alert level threshold
+   * @param {Object} level - Alert level
+   * @returns {Array<number>} Dash pattern
+   */
+  getLevelDash(level) {
+    const dashes = ThemeManager.LEVEL_DASHES;
+    return this.palette === 'colorblind' && dashes[level.key] ? dashes[level.key] : [10, 5];
+  }
+}
+
+// Active theme shared by the browser modules (selected by the app at startup)
+const theme = new ThemeManager();
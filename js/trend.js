@@ -0,0 +1,177 @@
+/**
+ * Water Level Trend Module
+ * Computes the rate of change over time windows
+ * (shared between the browser and the Node proxy server)
+ */
+
+class WaterLevelTrend {
+  /**
+   * Supported trend windows in milliseconds
+   * @returns {Object} Window definitions
+   */
+  static get WINDOWS() {
+    return {
+      '1h': 60 * 60 * 1000,
+      '6h': 6 * 60 * 60 * 1000,
+      '24h': 24 * 60 * 60 * 1000
+    };
+  }
+
+  /**
+   * Rates below this many cm per hour count as steady
+   * @returns {number} Rate in cm/h
+   */
+  static get STEADY_RATE() {
+    return 0.5;
+  }
+
+  /**
+   * Readings must span at least this share of a window for a complete trend
+   * @returns {number} Fraction of the window
+   */
+  static get MIN_COVERAGE() {
+    return 0.5;
+  }
+
+  /**
+   * Compute the trend for every window
+   * @param {Array} readings - Water level readings
+   * @param {Array<string>} windows - Window names (default: all)
+   * @returns {Object} Trends keyed by window name (null where there is too little data)
+   */
+  static computeAll(readings, windows = Object.keys(WaterLevelTrend.WINDOWS)) {
+    const points = WaterLevelTrend.prepare(readings);
+    const trends = {};
+
+    windows.forEach(window => {
+      trends[window] = WaterLevelTrend.computePoints(points, window);
+    });
+
+    return trends;
+  }
+
+  /**
+   * Compute the trend ending at the latest reading
+   * @param {Array} readings - Water level readings
+   * @param {string} window - Window name (e.g. "6h")
+   * @returns {Object|null} Trend or null if there are fewer than two readings in the window
+   */
+  static compute(readings, window = '1h') {
+    return WaterLevelTrend.computePoints(WaterLevelTrend.prepare(readings), window);
+  }
+
+  /**
+   * Compute a trend from prepared points
+   * @private
+   * @param {Array} points - Sorted, de-duplicated points
+   * @param {string} window - Window name
+   * @returns {Object|null} Trend
+   */
+  static computePoints(points, window) {
+    const windowMs = WaterLevelTrend.WINDOWS[window];
+    if (!windowMs) {
+      throw new Error(`Unknown trend window: ${window}`);
+    }
+
+    if (points.length < 2) {
+      return null;
+    }
+
+    const latest = points[points.length - 1];
+    const inWindow = points.filter(point => point.timestamp >= latest.timestamp - windowMs);
+
+    if (inWindow.length < 2) {
+      return null;
+    }
+
+    const earliest = inWindow[0];
+    const span = latest.timestamp - earliest.timestamp;
+
+    // The least-squares slope is not thrown off by uneven spacing or a single outlier
+    const rate = Math.round(WaterLevelTrend.getSlope(inWindow) * 10) / 10;
+
+    let direction = 'steady';
+    if (rate >= WaterLevelTrend.STEADY_RATE) {
+      direction = 'rising';
+    } else if (rate <= -WaterLevelTrend.STEADY_RATE) {
+      direction = 'falling';
+    }
+
+    return {
+      window,
+      direction,
+      ratePerHour: rate,
+      change: latest.waterLevel - earliest.waterLevel,
+      from: earliest.timestamp,
+      to: latest.timestamp,
+      count: inWindow.length,
+      coverage: Math.round((span / windowMs) * 100) / 100,
+      partial: span < windowMs * WaterLevelTrend.MIN_COVERAGE
+    };
+  }
+
+  /**
+   * Sort readings and drop duplicates of the same timestamp (the last one wins)
+   * @private
+   * @param {Array} readings - Water level readings
+   * @returns {Array} Points sorted by timestamp (oldest first)
+   */
+  static prepare(readings) {
+    const byTimestamp = new Map();
+
+    readings
+      .filter(reading => Number.isFinite(reading.timestamp) && Number.isFinite(reading.waterLevel))
+      .forEach(reading => byTimestamp.set(reading.timestamp, reading.waterLevel));
+
+    return [...byTimestamp.entries()]
+      .map(([timestamp, waterLevel]) => ({ timestamp, waterLevel }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Least-squares slope of the water level over time
+   * @private
+   * @param {Array} points - At least two points with distinct timestamps
+   * @returns {number} Slope in cm per hour
+   */
+  static getSlope(points) {
+    const hour = 60 * 60 * 1000;
+    const origin = points[0].timestamp;
+    const n = points.length;
+
+    let sumX = 0;
+    let sumY = 0;
+    points.forEach(point => {
+      sumX += (point.timestamp - origin) / hour;
+      sumY += point.waterLevel;
+    });
+
+    const meanX = sumX / n;
+    const meanY = sumY / n;
+    let numerator = 0;
+    let denominator = 0;
+
+    points.forEach(point => {
+      const dx = (point.timestamp - origin) / hour - meanX;
+      numerator += dx * (point.waterLevel - meanY);
+      denominator += dx * dx;
+    });
+
+    return denominator === 0 ? 0 : numerator / denominator;
+  }
+
+  /**
+   * Format a rate for display (e.g. "+4,5 cm/h")
+   * @param {number} rate - Rate in cm/h
+   * @param {string} locale - Locale of the decimal separator (default: de-DE)
+   * @returns {string} Formatted rate
+   */
+  static formatRate(rate, locale = 'de-DE') {
+    const sign = rate > 0 ? '+' : rate < 0 ? '−' : '±';
+    return `${sign}${Math.abs(rate).toLocaleString(locale, { maximumFractionDigits: 1 })} cm/h`;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WaterLevelTrend;
+}
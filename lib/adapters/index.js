@@ -0,0 +1,30 @@
+/**
+ * Source Adapter Registry
+ * Every adapter exposes type, fetch(source) and parse(body), so parse can be
+ * exercised with recorded responses without network access
+ */
+
+const koelnXml = require('./koeln-xml');
+const pegelonline = require('./pegelonline');
+
+const ADAPTERS = {
+  [koelnXml.type]: koelnXml,
+  [pegelonline.type]: pegelonline
+};
+
+/**
+ * Get the adapter for a source type
+ * @param {string} type - Source type
+ * @returns {Object} Adapter
+ */
+function getAdapter(type) {
+  const adapter = ADAPTERS[type];
+  if (!adapter) {
+    throw new Error(`Unknown source type: ${type}`);
+  }
+  return adapter;
+}
+
+module.exports = {
+  getAdapter
+};
@@ -0,0 +1,30 @@
+/**
+ * Köln XML Source Adapter
+ * Reads the Stadt Köln pegel_ws.php XML endpoint
+ */
+
+const PegelParser = require('../../js/pegel-parser');
+const { fetchText } = require('../upstream');
+
+module.exports = {
+  type: 'koeln-xml',
+
+  /**
+   * Fetch the raw response
+   * @param {Object} source - Source definition
+   * @param {string} source.url - XML endpoint
+   * @returns {Promise<string>} XML response body
+   */
+  fetch(source) {
+    return fetchText(source.url);
+  },
+
+  /**
+   * Parse a raw response into a reading
+   * @param {string} body - XML response body
+   * @returns {Object} Water level reading
+   */
+  parse(body) {
+    return PegelParser.parseXML(body);
+  }
+};
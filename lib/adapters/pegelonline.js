@@ -0,0 +1,54 @@
+/**
+ * PEGELONLINE Source Adapter
+ * Reads current measurements from the WSV PEGELONLINE REST API (JSON)
+ */
+
+const PegelParser = require('../../js/pegel-parser');
+const { fetchText } = require('../upstream');
+
+const BASE_URL = 'https://www.pegelonline.wsv.de/webservices/rest-api/v2';
+
+module.exports = {
+  type: 'pegelonline',
+
+  /**
+   * Fetch the raw response
+   * @param {Object} source - Source definition
+   * @param {string} source.station - Station name or UUID (e.g. "BONN")
+   * @param {string} source.baseUrl - Optional API base URL
+   * @returns {Promise<string>} JSON response body
+   */
+  fetch(source) {
+    const baseUrl = source.baseUrl || BASE_URL;
+    return fetchText(`${baseUrl}/stations/${encodeURIComponent(source.station)}/W/currentmeasurement.json`);
+  },
+
+  /**
+   * Parse a raw response into a reading
+   * @param {string} body - JSON response body
+   * @returns {Object} Water level reading
+   */
+  parse(body) {
+    let measurement;
+    try {
+      measurement = JSON.parse(body);
+    } catch (error) {
+      throw new Error(`JSON parsing failed: ${error.message}`);
+    }
+
+    const timestamp = Date.parse(measurement.timestamp);
+    const waterLevel = Number(measurement.value);
+
+    if (!Number.isFinite(timestamp) || !Number.isFinite(waterLevel)) {
+      throw new Error('JSON parsing failed: missing timestamp or value');
+    }
+
+    // PEGELONLINE reports W in cm already
+    return {
+      waterLevel: Math.round(waterLevel),
+      ...PegelParser.formatGermanDateTime(timestamp),
+      timestamp,
+      graphic: null
+    };
+  }
+};
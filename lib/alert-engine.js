@@ -0,0 +1,237 @@
+/**
+ * Alert Engine Module
+ * Evaluates polled readings against the alert thresholds and notifies webhooks
+ */
+
+const PegelParser = require('../js/pegel-parser');
+const WaterLevelTrend = require('../js/trend');
+const { ALERT_LEVELS, ALERT_MARKS, getAlertLevel } = require('../js/alert-levels');
+
+class AlertEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {HistoryStore} options.store - Reading history (used for the trend)
+   * @param {WebhookDispatcher} options.dispatcher - Delivers alert payloads
+   * @param {number} options.hysteresis - Margin in cm the level must fall below a threshold before leaving its alert level
+   * @param {number} options.cooldown - Minimum time between two alerts in milliseconds
+   */
+  constructor({ store, dispatcher, hysteresis, cooldown }) {
+    this.store = store;
+    this.dispatcher = dispatcher;
+    this.hysteresis = hysteresis;
+    this.cooldown = cooldown;
+    this.currentLevel = null;
+    this.lastNotified = null; // { level, at }
+    this.latestReading = null;
+    this.deferredTimer = null; // sends the level reached during the cooldown
+    this.suppressed = 0;
+  }
+
+  /**
+   * Take the alert level of the latest stored reading as the starting point
+   * (call once the store is loaded, so a restart does not trigger an alert)
+   */
+  syncAlertLevel() {
+    const latest = this.store.getLatest();
+    this.currentLevel = latest ? getAlertLevel(latest.waterLevel) : null;
+  }
+
+  /**
+   * Evaluate a new reading
+   * @param {Object} reading - Water level reading
+   * @returns {Object|null} Alert payload if an alert was sent
+   */
+  evaluate(reading) {
+    const previousLevel = this.currentLevel;
+    const nextLevel = this.resolveLevel(reading.waterLevel);
+    this.currentLevel = nextLevel;
+    this.latestReading = reading;
+
+    if (!previousLevel || nextLevel.key === previousLevel.key) {
+      return null;
+    }
+
+    if (!this.shouldNotify(nextLevel)) {
+      this.suppressed++;
+      console.log(`Alert ${previousLevel.key} → ${nextLevel.key} suppressed (cooldown)`);
+      this.deferUntilCooldownEnds();
+      return null;
+    }
+
+    return this.notify(previousLevel, nextLevel, reading);
+  }
+
+  /**
+   * Send an alert and restart the cooldown
+   * @private
+   * @param {Object} previousLevel - Previous alert level
+   * @param {Object} nextLevel - New alert level
+   * @param {Object} reading - Triggering reading
+   * @returns {Object} Alert payload
+   */
+  notify(previousLevel, nextLevel, reading) {
+    this.cancelDeferred();
+
+    const payload = this.buildPayload(previousLevel, nextLevel, reading);
+    this.lastNotified = { level: nextLevel, at: Date.now() };
+
+    console.log(`Alert level changed: ${previousLevel.key} → ${nextLevel.key} at ${reading.waterLevel} cm`);
+    this.dispatcher.dispatch(payload);
+
+    return payload;
+  }
+
+  /**
+   * Check the level again when the cooldown ends, so receivers learn about a
+   * suppressed change instead of keeping the last notified level
+   * @private
+   */
+  deferUntilCooldownEnds() {
+    if (this.deferredTimer) return;
+
+    const delay = Math.max(0, this.lastNotified.at + this.cooldown - Date.now());
+    this.deferredTimer = setTimeout(() => this.sendDeferred(), delay);
+    this.deferredTimer.unref();
+  }
+
+  /**
+   * Send the current level if it differs from the last notified one
+   * @private
+   * @returns {Object|null} Alert payload if an alert was sent
+   */
+  sendDeferred() {
+    this.deferredTimer = null;
+
+    // The level may have returned to the last notified one in the meantime
+    if (this.currentLevel.key === this.lastNotified.level.key) {
+      return null;
+    }
+
+    return this.notify(this.lastNotified.level, this.currentLevel, this.latestReading);
+  }
+
+  /**
+   * Drop a pending deferred alert
+   * @private
+   */
+  cancelDeferred() {
+    if (this.deferredTimer) {
+      clearTimeout(this.deferredTimer);
+      this.deferredTimer = null;
+    }
+  }
+
+  /**
+   * Resolve the alert level of a water level, applying hysteresis when falling
+   * @param {number} waterLevel - Water level in cm
+   * @returns {Object} Alert level configuration
+   */
+  resolveLevel(waterLevel) {
+    const rawLevel = getAlertLevel(waterLevel);
+
+    if (!this.currentLevel || rawLevel.min >= this.currentLevel.min) {
+      return rawLevel;
+    }
+
+    // Only step down once the level is clearly below the threshold
+    const dampedLevel = getAlertLevel(waterLevel + this.hysteresis);
+    return dampedLevel.min < this.currentLevel.min ? dampedLevel : this.currentLevel;
+  }
+
+  /**
+   * Check the cooldown; escalations beyond the last notified level always go out
+   * @private
+   * @param {Object} nextLevel - New alert level
+   * @returns {boolean} True if an alert should be sent
+   */
+  shouldNotify(nextLevel) {
+    if (!this.lastNotified) {
+      return true;
+    }
+
+    if (nextLevel.min > this.lastNotified.level.min) {
+      return true;
+    }
+
+    return Date.now() - this.lastNotified.at >= this.cooldown;
+  }
+
+  /**
+   * Build the webhook payload
+   * @private
+   * @param {Object} previousLevel - Previous alert level
+   * @param {Object} nextLevel - New alert level
+   * @param {Object} reading - Triggering reading
+   * @returns {Object} Payload
+   */
+  buildPayload(previousLevel, nextLevel, reading) {
+    const describe = level => ({
+      key: level.key,
+      label: level.label,
+      labelDE: level.labelDE,
+      min: level.min,
+      max: Number.isFinite(level.max) ? level.max : null
+    });
+
+    return {
+      event: 'alert_level_changed',
+      gauge: 'koeln',
+      direction: nextLevel.min > previousLevel.min ? 'up' : 'down',
+      previousLevel: describe(previousLevel),
+      level: describe(nextLevel),
+      reading: {
+        waterLevel: reading.waterLevel,
+        unit: 'cm',
+        timestamp: PegelParser.toZonedISOString(reading.timestamp),
+        date: reading.date,
+        time: reading.time
+      },
+      trend: this.getTrend(reading),
+      thresholds: Object.values(ALERT_LEVELS)
+        .filter(level => level.min > 0)
+        .map(level => ({ key: level.key, waterLevel: level.min })),
+      marks: ALERT_MARKS.map(mark => ({ key: mark.key, labelDE: mark.labelDE, waterLevel: mark.waterLevel })),
+      hysteresis: this.hysteresis,
+      sentAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Compute the change over the last hour from the stored history
+   * @private
+   * @param {Object} reading - Latest reading
+   * @returns {Object|null} Trend or null if there is no earlier reading
+   */
+  getTrend(reading) {
+    const windowMs = WaterLevelTrend.WINDOWS['1h'];
+    const readings = this.store.getRange(reading.timestamp - windowMs, reading.timestamp - 1);
+    const trend = WaterLevelTrend.compute([...readings, reading], '1h');
+
+    if (!trend) {
+      return null;
+    }
+
+    return {
+      direction: trend.direction,
+      changeCm: trend.change,
+      ratePerHour: trend.ratePerHour,
+      since: PegelParser.toZonedISOString(trend.from)
+    };
+  }
+
+  /**
+   * Get engine status for health reporting
+   * @returns {Object} Engine status
+   */
+  getStatus() {
+    return {
+      level: this.currentLevel ? this.currentLevel.key : null,
+      lastNotified: this.lastNotified ? new Date(this.lastNotified.at).toISOString() : null,
+      suppressed: this.suppressed,
+      deferred: this.deferredTimer !== null,
+      ...this.dispatcher.getStatus()
+    };
+  }
+}
+
+module.exports = AlertEngine;
@@ -0,0 +1,149 @@
+/**
+ * Badge Module
+ * Validates /api/badge.svg query parameters and renders the current level as an SVG badge
+ */
+
+const { getAlertLevel } = require('../js/alert-levels');
+
+/**
+ * Badge sizes: height and font size in pixels
+ */
+const BADGE_SIZES = {
+  small: { height: 20, fontSize: 11 },
+  medium: { height: 28, fontSize: 15 },
+  large: { height: 40, fontSize: 22 }
+};
+
+const BADGE_LANGUAGES = ['de', 'en'];
+
+const LABEL_COLOR = '#555555';
+const UNAVAILABLE_COLOR = '#9E9E9E';
+
+// Average glyph width relative to the font size (Verdana/DejaVu Sans)
+const CHAR_WIDTH = 0.62;
+
+/**
+ * Validate badge query parameters
+ * @param {Object} query - Express query object
+ * @returns {Object} Parsed query with lang, size and gauge (null for the default gauge)
+ */
+function parseBadgeQuery(query) {
+  const lang = query.lang || 'de';
+  if (!BADGE_LANGUAGES.includes(lang)) {
+    throw new Error(`Invalid "lang" parameter: ${lang} (expected one of ${BADGE_LANGUAGES.join(', ')})`);
+  }
+
+  const size = query.size || 'small';
+  if (!BADGE_SIZES[size]) {
+    throw new Error(`Invalid "size" parameter: ${size} ` +
+      `(expected one of ${Object.keys(BADGE_SIZES).join(', ')})`);
+  }
+
+  return { lang, size, gauge: query.gauge || null };
+}
+
+/**
+ * Escape text for use in SVG markup
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Relative luminance of a #rrggbb colour (WCAG 2.1)
+ * @param {string} color - Hex colour
+ * @returns {number} Luminance between 0 and 1
+ */
+function getLuminance(color) {
+  const channels = color.replace('#', '').match(/.{2}/g).map(hex => {
+    const value = parseInt(hex, 16) / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * channels[0] + 0.7152 * channels[1] + 0.0722 * channels[2];
+}
+
+/**
+ * Pick black or white text, whichever contrasts more with the background
+ * @param {string} background - Hex colour
+ * @returns {string} Text colour
+ */
+function getTextColor(background) {
+  if (!/^#[0-9a-f]{6}$/i.test(background)) {
+    return '#FFFFFF';
+  }
+  const luminance = getLuminance(background);
+  return (1.05 / (luminance + 0.05)) >= ((luminance + 0.05) / 0.05) ? '#FFFFFF' : '#000000';
+}
+
+/**
+ * Render a two-part badge (grey label, coloured value)
+ * @param {string} label - Left text
+ * @param {string} value - Right text
+ * @param {string} color - Background of the value part
+ * @param {string} size - small, medium or large
+ * @returns {string} SVG markup
+ */
+function renderBadge(label, value, color, size) {
+  const { height, fontSize } = BADGE_SIZES[size];
+  const padding = Math.round(fontSize * 0.6);
+  const textWidth = text => Math.ceil([...text].length * fontSize * CHAR_WIDTH);
+  const labelWidth = textWidth(label) + 2 * padding;
+  const valueWidth = textWidth(value) + 2 * padding;
+  const width = labelWidth + valueWidth;
+  const radius = Math.round(height * 0.15);
+  const baseline = Math.round(height / 2 + fontSize * 0.35);
+  const title = escapeXML(`${label}: ${value}`);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" role="img" aria-label="${title}">
+  <title>${title}</title>
+  <clipPath id="r"><rect width="${width}" height="${height}" rx="${radius}"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="${height}" fill="${LABEL_COLOR}"/>
+    <rect x="${labelWidth}" width="${valueWidth}" height="${height}" fill="${escapeXML(color)}"/>
+  </g>
+  <g font-family="Verdana,DejaVu Sans,sans-serif" font-size="${fontSize}" text-anchor="middle">
+    <text x="${labelWidth / 2}" y="${baseline}" fill="#FFFFFF">${escapeXML(label)}</text>
+    <text x="${labelWidth + valueWidth / 2}" y="${baseline}" fill="${getTextColor(color)}">${escapeXML(value)}</text>
+  </g>
+</svg>
+`;
+}
+
+/**
+ * Build the badge of the current reading
+ * @param {Object} data - Parsed water level data
+ * @param {Object} query - Parsed query from parseBadgeQuery
+ * @param {Object} gauge - Gauge with name and alert levels
+ * @returns {string} SVG markup
+ */
+function buildBadgeSVG(data, { lang, size }, gauge) {
+  const alertLevel = getAlertLevel(data.waterLevel, gauge.levels);
+  const levelLabel = lang === 'de' ? alertLevel.labelDE : alertLevel.label;
+  const label = `${lang === 'de' ? 'Pegel' : 'Level'} ${gauge.name}`;
+
+  return renderBadge(label, `${data.waterLevel} cm · ${levelLabel}`, alertLevel.color, size);
+}
+
+/**
+ * Build the badge shown while no reading is available
+ * @param {Object} query - Parsed query from parseBadgeQuery
+ * @param {Object} gauge - Gauge with name
+ * @returns {string} SVG markup
+ */
+function buildUnavailableBadgeSVG({ lang, size }, gauge) {
+  const label = `${lang === 'de' ? 'Pegel' : 'Level'} ${gauge.name}`;
+  return renderBadge(label, lang === 'de' ? 'nicht verfügbar' : 'unavailable', UNAVAILABLE_COLOR, size);
+}
+
+module.exports = {
+  BADGE_SIZES,
+  parseBadgeQuery,
+  buildBadgeSVG,
+  buildUnavailableBadgeSVG
+};
@@ -0,0 +1,67 @@
+/**
+ * Server Configuration Module
+ * Collects all server settings from environment variables
+ */
+
+const path = require('path');
+
+/**
+ * Read an integer from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @param {number} min - Smallest accepted value
+ * @returns {number} Parsed value or fallback
+ */
+function readInt(name, fallback, min = 1) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= min ? value : fallback;
+}
+
+/**
+ * Read a comma-separated list from the environment
+ * @param {string} name - Environment variable name
+ * @returns {Array<string>} List entries
+ */
+function readList(name) {
+  return (process.env[name] || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = {
+  port: readInt('PORT', 3000),
+
+  // Upstream API endpoint
+  cologneApiUrl: process.env.COLOGNE_API_URL ||
+    'https://www.stadt-koeln.de/interne-dienste/hochwasser/pegel_ws.php',
+  upstreamTimeout: readInt('UPSTREAM_TIMEOUT_MS', 10000), // 10 seconds
+  cacheTtl: readInt('CACHE_TTL_MS', 60 * 1000), // 60 seconds
+
+  // Background poller
+  pollInterval: readInt('POLL_INTERVAL_MS', 5 * 60 * 1000), // 5 minutes
+
+  // Persistent reading history
+  historyFile: process.env.HISTORY_FILE ||
+    path.join(__dirname, '..', 'data', 'history.jsonl'),
+  historyRetention: readInt('HISTORY_RETENTION_MONTHS', 12) * 30 * DAY_MS,
+  historyCompactInterval: DAY_MS,
+
+  // Alert thresholds and flood marks (see config/thresholds.example.json)
+  thresholdsFile: process.env.THRESHOLDS_FILE ||
+    path.join(__dirname, '..', 'config', 'thresholds.json'),
+
+  // Additional gauges and gauge overrides (see config/gauges.example.json)
+  gaugesFile: process.env.GAUGES_FILE ||
+    path.join(__dirname, '..', 'config', 'gauges.json'),
+
+  // Webhook alerting
+  alertWebhookUrls: readList('ALERT_WEBHOOK_URLS'),
+  alertWebhookSecret: process.env.ALERT_WEBHOOK_SECRET || null,
+  alertHysteresis: readInt('ALERT_HYSTERESIS_CM', 20, 0),
+  alertCooldown: readInt('ALERT_COOLDOWN_MS', 30 * 60 * 1000, 0), // 30 minutes
+  webhookMaxAttempts: readInt('WEBHOOK_MAX_ATTEMPTS', 5),
+  webhookRetryDelay: readInt('WEBHOOK_RETRY_DELAY_MS', 30 * 1000) // 30 seconds
+};
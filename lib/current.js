@@ -0,0 +1,87 @@
+/**
+ * Current Reading Module
+ * Builds the normalized JSON representation of the latest reading
+ */
+
+const PegelParser = require('../js/pegel-parser');
+const WaterLevelTrend = require('../js/trend');
+const { getAlertLevel } = require('../js/alert-levels');
+const config = require('./config');
+
+/**
+ * Resolve the upstream Grafik value to an absolute URL
+ * @param {string|null} graphic - Grafik value from the XML (e.g. "pegel_4.jpg")
+ * @returns {string|null} Absolute URL or null
+ */
+function resolveGraphicUrl(graphic) {
+  if (!graphic) {
+    return null;
+  }
+
+  try {
+    return new URL(graphic, config.cologneApiUrl).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the /api/current response body
+ * @param {Object} data - Parsed water level data
+ * @param {number} now - Current timestamp
+ * @param {Object} levels - Alert levels of the gauge (default: the active ALERT_LEVELS)
+ * @returns {Object} Response body
+ */
+function buildCurrentResponse(data, now = Date.now(), levels) {
+  const alertLevel = getAlertLevel(data.waterLevel, levels);
+
+  return {
+    waterLevel: data.waterLevel,
+    unit: 'cm',
+    timestamp: PegelParser.toZonedISOString(data.timestamp),
+    timeZone: PegelParser.TIME_ZONE,
+    date: data.date,
+    time: data.time,
+    graphic: resolveGraphicUrl(data.graphic),
+    alertLevel: {
+      key: alertLevel.key,
+      label: alertLevel.label,
+      labelDE: alertLevel.labelDE,
+      color: alertLevel.color,
+      min: alertLevel.min,
+      max: Number.isFinite(alertLevel.max) ? alertLevel.max : null
+    },
+    ageSeconds: Math.max(0, Math.round((now - data.timestamp) / 1000))
+  };
+}
+
+/**
+ * Build the trend figures of a reading from the stored history
+ * @param {HistoryStore} store - Reading history
+ * @param {Object} reading - Latest reading (may be newer than the stored ones)
+ * @returns {Object} Trends keyed by window name (null where there is too little data)
+ */
+function buildTrendResponse(store, reading) {
+  const longestWindow = Math.max(...Object.values(WaterLevelTrend.WINDOWS));
+  const readings = store.getRange(reading.timestamp - longestWindow, reading.timestamp);
+  const trends = WaterLevelTrend.computeAll([...readings, reading]);
+
+  Object.keys(trends).forEach(window => {
+    const trend = trends[window];
+    if (trend) {
+      trends[window] = {
+        ...trend,
+        unit: 'cm/h',
+        from: PegelParser.toZonedISOString(trend.from),
+        to: PegelParser.toZonedISOString(trend.to)
+      };
+    }
+  });
+
+  return trends;
+}
+
+module.exports = {
+  buildCurrentResponse,
+  buildTrendResponse
+};
@@ -0,0 +1,171 @@
+/**
+ * Event Stream Module
+ * Pushes new readings and alert level changes to clients via Server-Sent Events
+ */
+
+const { getAlertLevel } = require('../js/alert-levels');
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // Keeps proxies from closing idle connections
+const RECONNECT_DELAY = 5000;
+const MAX_REPLAY = 1000;
+
+class EventStream {
+  /**
+   * @param {Object} options - Stream options
+   * @param {HistoryStore} options.store - Reading history used for replay
+   */
+  constructor({ store }) {
+    this.store = store;
+    this.clients = new Set();
+    this.heartbeatTimer = null;
+    this.lastAlertKey = null;
+  }
+
+  /**
+   * Take the alert level of the latest stored reading as the starting point
+   * (call once the store is loaded)
+   */
+  syncAlertLevel() {
+    const latest = this.store.getLatest();
+    this.lastAlertKey = latest ? getAlertLevel(latest.waterLevel).key : null;
+  }
+
+  /**
+   * Express handler for GET /api/stream
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  handle(req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+    // Replay everything the client missed, or send the latest reading as a starting point
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+    const missed = Number.isFinite(lastEventId)
+      ? this.store.getRange(lastEventId + 1).slice(-MAX_REPLAY)
+      : [this.store.getLatest()].filter(Boolean);
+
+    missed.forEach(reading => this.send(res, 'reading', this.serializeReading(reading), reading.timestamp));
+
+    this.clients.add(res);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+  }
+
+  /**
+   * Publish a new reading, plus an alert event if the alert level changed
+   * @param {Object} reading - New water level reading
+   */
+  publishReading(reading) {
+    const alertLevel = getAlertLevel(reading.waterLevel);
+
+    if (this.lastAlertKey !== null && alertLevel.key !== this.lastAlertKey) {
+      this.broadcast('alert', {
+        previous: this.lastAlertKey,
+        current: alertLevel.key,
+        waterLevel: reading.waterLevel,
+        timestamp: reading.timestamp
+      });
+    }
+    this.lastAlertKey = alertLevel.key;
+
+    this.broadcast('reading', this.serializeReading(reading), reading.timestamp);
+  }
+
+  /**
+   * Send an event to all connected clients
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   * @param {number} id - Optional event id
+   */
+  broadcast(event, data, id) {
+    this.clients.forEach(res => this.send(res, event, data, id));
+  }
+
+  /**
+   * Write a single event to a client
+   * @private
+   * @param {Object} res - Express response of the client
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   * @param {number} id - Optional event id
+   */
+  send(res, event, data, id) {
+    let message = '';
+    if (id !== undefined) {
+      message += `id: ${id}\n`;
+    }
+    message += `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    res.write(message);
+  }
+
+  /**
+   * Build the payload of a reading event
+   * @private
+   * @param {Object} reading - Water level reading
+   * @returns {Object} Event payload
+   */
+  serializeReading(reading) {
+    return {
+      waterLevel: reading.waterLevel,
+      date: reading.date,
+      time: reading.time,
+      timestamp: reading.timestamp,
+      alertLevel: getAlertLevel(reading.waterLevel).key
+    };
+  }
+
+  /**
+   * Start sending heartbeat comments
+   * @private
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach(res => res.write(': heartbeat\n\n'));
+    }, HEARTBEAT_INTERVAL);
+  }
+
+  /**
+   * Stop sending heartbeat comments
+   * @private
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Close all client connections
+   */
+  close() {
+    this.stopHeartbeat();
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+  }
+
+  /**
+   * Get the number of connected clients
+   * @returns {number} Client count
+   */
+  get size() {
+    return this.clients.size;
+  }
+}
+
+module.exports = EventStream;
@@ -0,0 +1,118 @@
+/**
+ * Forecast Query Module
+ * Validates /api/forecast query parameters and builds the forecast and backtest responses
+ */
+
+const PegelParser = require('../js/pegel-parser');
+const WaterLevelForecast = require('../js/forecast');
+const { parseTime, MAX_TIMESTAMP } = require('./history-query');
+
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_BACKTEST_RANGE = 30 * 24 * HOUR; // 30 days
+
+/**
+ * Parse the forecast horizon
+ * @param {string} value - Query parameter value in hours
+ * @returns {number} Horizon in hours
+ */
+function parseHorizon(value) {
+  if (value === undefined || value === '') {
+    return WaterLevelForecast.DEFAULTS.horizonHours;
+  }
+
+  const { min, max } = WaterLevelForecast.HORIZON_LIMITS;
+  const horizon = Number(value);
+  if (!Number.isFinite(horizon) || horizon < min || horizon > max) {
+    throw new Error(`Invalid "horizon" parameter: ${value} (expected ${min} to ${max} hours)`);
+  }
+
+  return horizon;
+}
+
+/**
+ * Validate forecast query parameters
+ * @param {Object} query - Express query object
+ * @returns {Object} Parsed query with horizonHours
+ */
+function parseForecastQuery(query) {
+  return { horizonHours: parseHorizon(query.horizon) };
+}
+
+/**
+ * Validate backtest query parameters
+ * @param {Object} query - Express query object
+ * @param {number} now - Current timestamp
+ * @returns {Object} Parsed query with from, to and horizonHours
+ */
+function parseBacktestQuery(query, now = Date.now()) {
+  const to = parseTime(query.to, 'to') ?? now;
+  const from = parseTime(query.from, 'from') ?? to - DEFAULT_BACKTEST_RANGE;
+
+  // The default start can fall before the earliest date
+  if (from < -MAX_TIMESTAMP) {
+    throw new Error('"from" is out of range');
+  }
+  if (from > to) {
+    throw new Error('"from" must not be later than "to"');
+  }
+
+  return { from, to, horizonHours: parseHorizon(query.horizon) };
+}
+
+/**
+ * Build the forecast response body from the latest stored readings
+ * @param {HistoryStore} store - Reading history
+ * @param {Object} query - Parsed query from parseForecastQuery
+ * @returns {Object} Response body (forecast is null with too little history)
+ */
+function buildForecastResponse(store, { horizonHours }) {
+  const latest = store.getLatest();
+  const fitWindow = WaterLevelForecast.DEFAULTS.fitWindowHours * HOUR;
+  const forecast = latest
+    ? WaterLevelForecast.forecast(store.getRange(latest.timestamp - fitWindow, latest.timestamp), { horizonHours })
+    : null;
+
+  if (!forecast) {
+    return { unit: 'cm', forecast: null };
+  }
+
+  const zoned = PegelParser.toZonedISOString;
+
+  return {
+    unit: 'cm',
+    forecast: {
+      ...forecast,
+      issuedAt: zoned(forecast.issuedAt),
+      basedOn: {
+        ...forecast.basedOn,
+        from: zoned(forecast.basedOn.from),
+        to: zoned(forecast.basedOn.to)
+      },
+      points: forecast.points.map(point => ({ ...point, timestamp: zoned(point.timestamp) })),
+      crossings: forecast.crossings.map(crossing => ({ ...crossing, timestamp: zoned(crossing.timestamp) }))
+    }
+  };
+}
+
+/**
+ * Build the backtest response body
+ * @param {HistoryStore} store - Reading history
+ * @param {Object} query - Parsed query from parseBacktestQuery
+ * @returns {Object} Response body
+ */
+function buildBacktestResponse(store, { from, to, horizonHours }) {
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    horizonHours,
+    unit: 'cm',
+    ...WaterLevelForecast.backtest(store.getRange(from, to), { horizonHours })
+  };
+}
+
+module.exports = {
+  parseForecastQuery,
+  parseBacktestQuery,
+  buildForecastResponse,
+  buildBacktestResponse
+};
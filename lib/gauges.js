@@ -0,0 +1,189 @@
+/**
+ * Gauge Registry Module
+ * Defines the supported gauges, their upstream sources and alert thresholds
+ */
+
+const fs = require('fs');
+const config = require('./config');
+const UpstreamCache = require('./upstream-cache');
+const { getAdapter } = require('./adapters');
+const {
+  ALERT_LEVELS,
+  ALERT_MARKS,
+  createAlertLevels,
+  getThresholdConfig
+} = require('../js/alert-levels');
+
+// Gauge of the existing single-gauge routes (/api/pegel, /api/current, history, stream, alerts)
+const DEFAULT_GAUGE_ID = 'koeln';
+
+// Built-in gauges (river km along the Rhine)
+const DEFAULT_GAUGES = [
+  {
+    id: 'koeln',
+    name: 'Köln',
+    riverKm: 688.0,
+    source: { type: 'koeln-xml', url: config.cologneApiUrl }
+  },
+  {
+    id: 'bonn',
+    name: 'Bonn',
+    riverKm: 654.8,
+    source: { type: 'pegelonline', station: 'BONN' }
+  },
+  {
+    id: 'duesseldorf',
+    name: 'Düsseldorf',
+    riverKm: 744.2,
+    source: { type: 'pegelonline', station: 'DÜSSELDORF' }
+  },
+  {
+    id: 'andernach',
+    name: 'Andernach',
+    riverKm: 613.8,
+    source: { type: 'pegelonline', station: 'ANDERNACH' }
+  }
+];
+
+class GaugeRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Array<Object>} options.gauges - Gauge definitions
+   * @param {number} options.ttl - Upstream cache time to live in milliseconds
+   */
+  constructor({ gauges, ttl }) {
+    this.gauges = new Map();
+
+    gauges.forEach(definition => {
+      const gauge = this.createGauge(definition, ttl);
+      this.gauges.set(gauge.id, gauge);
+    });
+
+    if (!this.gauges.has(DEFAULT_GAUGE_ID)) {
+      throw new Error(`Gauge configuration must include "${DEFAULT_GAUGE_ID}"`);
+    }
+  }
+
+  /**
+   * Build the registry from the built-in gauges and an optional config file
+   * (file entries with a known id override that gauge, others are added)
+   * @param {string} file - Path of the JSON config file
+   * @param {number} ttl - Upstream cache time to live in milliseconds
+   * @returns {GaugeRegistry} Registry
+   */
+  static load(file, ttl) {
+    const gauges = DEFAULT_GAUGES.map(gauge => ({ ...gauge }));
+
+    if (file && fs.existsSync(file)) {
+      let fileGauges;
+      try {
+        fileGauges = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Failed to read gauge configuration ${file}: ${error.message}`);
+      }
+
+      if (!Array.isArray(fileGauges)) {
+        throw new Error(`Gauge configuration ${file} must be an array`);
+      }
+
+      fileGauges.forEach(override => {
+        const existing = gauges.find(gauge => gauge.id === override.id);
+        if (existing) {
+          Object.assign(existing, override);
+        } else {
+          gauges.push(override);
+        }
+      });
+
+      console.log(`Loaded gauge configuration from ${file}`);
+    }
+
+    return new GaugeRegistry({ gauges, ttl });
+  }
+
+  /**
+   * Validate a gauge definition and attach its thresholds and cache
+   * @private
+   * @param {Object} definition - Gauge definition
+   * @param {number} ttl - Upstream cache time to live in milliseconds
+   * @returns {Object} Gauge
+   */
+  createGauge(definition, ttl) {
+    const { id, name, riverKm = null, source, thresholds } = definition;
+
+    if (!id || !/^[a-z0-9-]+$/.test(id)) {
+      throw new Error(`Invalid gauge id: ${id}`);
+    }
+    if (!source || !source.type) {
+      throw new Error(`Gauge ${id} has no source`);
+    }
+
+    const adapter = getAdapter(source.type);
+
+    // The default gauge follows the global threshold configuration;
+    // other gauges get the default levels unless they define their own
+    let levels = ALERT_LEVELS;
+    let marks = ALERT_MARKS;
+    if (id !== DEFAULT_GAUGE_ID || thresholds) {
+      ({ levels, marks } = createAlertLevels({ marks: [], ...(thresholds || {}) }));
+    }
+
+    return {
+      id,
+      name: name || id,
+      riverKm,
+      source,
+      levels,
+      marks,
+      cache: new UpstreamCache({
+        ttl,
+        fetchRaw: () => adapter.fetch(source),
+        parse: body => adapter.parse(body)
+      })
+    };
+  }
+
+  /**
+   * Get a gauge by id
+   * @param {string} id - Gauge id
+   * @returns {Object|null} Gauge or null if unknown
+   */
+  get(id) {
+    return this.gauges.get(id) || null;
+  }
+
+  /**
+   * Get the gauge of the single-gauge routes
+   * @returns {Object} Default gauge
+   */
+  getDefault() {
+    return this.gauges.get(DEFAULT_GAUGE_ID);
+  }
+
+  /**
+   * List all gauges, ordered by river km
+   * @returns {Array<Object>} Gauges
+   */
+  list() {
+    return [...this.gauges.values()]
+      .sort((a, b) => (a.riverKm ?? Infinity) - (b.riverKm ?? Infinity));
+  }
+
+  /**
+   * Describe a gauge for API responses
+   * @param {Object} gauge - Gauge
+   * @returns {Object} Serializable gauge description
+   */
+  describe(gauge) {
+    return {
+      id: gauge.id,
+      name: gauge.name,
+      riverKm: gauge.riverKm,
+      source: gauge.source.type,
+      default: gauge.id === DEFAULT_GAUGE_ID,
+      thresholds: getThresholdConfig(gauge.levels, gauge.marks)
+    };
+  }
+}
+
+module.exports = GaugeRegistry;
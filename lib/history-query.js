@@ -0,0 +1,122 @@
+/**
+ * History Query Module
+ * Validates /api/history query parameters and builds the response
+ */
+
+const WaterLevelAggregation = require('../js/aggregation');
+const WaterLevelExport = require('../js/export');
+
+const DEFAULT_RANGE = 24 * 60 * 60 * 1000; // 24 hours
+
+// Latest (and, negated, earliest) timestamp a Date can represent
+const MAX_TIMESTAMP = 8.64e15;
+
+/**
+ * Parse a query time value (Unix milliseconds or ISO 8601)
+ * @param {string} value - Query parameter value
+ * @param {string} name - Parameter name for error messages
+ * @returns {number|null} Timestamp or null if not given
+ */
+function parseTime(value, name) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const timestamp = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+  if (!Number.isFinite(timestamp) || Math.abs(timestamp) > MAX_TIMESTAMP) {
+    throw new Error(`Invalid "${name}" parameter: ${value}`);
+  }
+
+  return timestamp;
+}
+
+/**
+ * Validate history query parameters
+ * @param {Object} query - Express query object
+ * @param {number} now - Current timestamp
+ * @returns {Object} Parsed query with from, to and resolution
+ */
+function parseHistoryQuery(query, now = Date.now()) {
+  const to = parseTime(query.to, 'to') ?? now;
+  const from = parseTime(query.from, 'from') ?? to - DEFAULT_RANGE;
+
+  // The default start can fall before the earliest date
+  if (from < -MAX_TIMESTAMP) {
+    throw new Error('"from" is out of range');
+  }
+  if (from > to) {
+    throw new Error('"from" must not be later than "to"');
+  }
+
+  const resolution = WaterLevelAggregation.normalizeResolution(query.resolution || 'raw');
+  if (!resolution) {
+    throw new Error(`Invalid "resolution" parameter: ${query.resolution} ` +
+      `(expected one of ${Object.keys(WaterLevelAggregation.RESOLUTIONS).join(', ')})`);
+  }
+
+  return { from, to, resolution };
+}
+
+/**
+ * Validate /api/history.csv query parameters
+ * @param {Object} query - Express query object
+ * @param {number} now - Current timestamp
+ * @returns {Object} Parsed history query plus the CSV locale
+ */
+function parseCSVQuery(query, now = Date.now()) {
+  const locale = query.locale || 'en';
+  if (!WaterLevelExport.CSV_LOCALES[locale]) {
+    throw new Error(`Invalid "locale" parameter: ${locale} ` +
+      `(expected one of ${Object.keys(WaterLevelExport.CSV_LOCALES).join(', ')})`);
+  }
+
+  return { ...parseHistoryQuery(query, now), locale };
+}
+
+/**
+ * Build the history response body
+ * @param {HistoryStore} store - Reading history
+ * @param {Object} query - Parsed query from parseHistoryQuery
+ * @returns {Object} Response body
+ */
+function buildHistoryResponse(store, { from, to, resolution }) {
+  const readings = store.getRange(from, to);
+  const data = WaterLevelAggregation.downsample(readings, resolution);
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    resolution,
+    unit: 'cm',
+    count: data.length,
+    // Computed from the raw readings, whatever the resolution
+    summary: WaterLevelAggregation.summarize(readings),
+    data
+  };
+}
+
+/**
+ * Build the history CSV download
+ * @param {HistoryStore} store - Reading history
+ * @param {Object} query - Parsed query from parseCSVQuery
+ * @param {Object} gauge - Gauge description (id, name, riverKm, source)
+ * @returns {Object} Filename and CSV body
+ */
+function buildHistoryCSV(store, { from, to, resolution, locale }, gauge) {
+  const data = WaterLevelAggregation.downsample(store.getRange(from, to), resolution);
+  const metadata = WaterLevelExport.getMetadata({ gauge, from, to, resolution });
+
+  return {
+    filename: WaterLevelExport.getFilename(metadata, 'csv'),
+    body: WaterLevelExport.toCSV(data, metadata, locale)
+  };
+}
+
+module.exports = {
+  MAX_TIMESTAMP,
+  parseTime,
+  parseHistoryQuery,
+  parseCSVQuery,
+  buildHistoryResponse,
+  buildHistoryCSV
+};
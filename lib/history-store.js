@@ -0,0 +1,185 @@
+/**
+ * History Store Module
+ * Persists water level readings in an append-only JSON-lines file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class HistoryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.file - Path of the JSON-lines file
+   * @param {number} options.retention - Maximum reading age in milliseconds
+   * @param {number} options.compactInterval - Minimum time between compactions in milliseconds
+   */
+  constructor({ file, retention, compactInterval }) {
+    this.file = file;
+    this.retention = retention;
+    this.compactInterval = compactInterval;
+    this.readings = []; // Sorted by timestamp (oldest first)
+    this.keys = new Set();
+    this.lastCompacted = 0;
+  }
+
+  /**
+   * Build the de-duplication key of a reading
+   * @param {Object} reading - Water level reading
+   * @returns {string} Key derived from the upstream Datum/Uhrzeit
+   */
+  static getKey(reading) {
+    return `${reading.date} ${reading.time}`;
+  }
+
+  /**
+   * Load all readings from disk and drop expired ones
+   */
+  async load() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+
+    let content = '';
+    try {
+      content = await fs.promises.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    this.readings = [];
+    this.keys.clear();
+
+    let invalidLines = 0;
+    content.split('\n').forEach(line => {
+      if (!line.trim()) return;
+
+      try {
+        this.insert(JSON.parse(line));
+      } catch (error) {
+        invalidLines++;
+      }
+    });
+
+    if (invalidLines > 0) {
+      console.warn(`Skipped ${invalidLines} invalid lines in ${this.file}`);
+    }
+
+    await this.compact();
+
+    console.log(`Loaded ${this.readings.length} readings from ${this.file}`);
+  }
+
+  /**
+   * Append a reading unless one with the same timestamp is already stored
+   * @param {Object} data - Water level data
+   * @returns {Promise<boolean>} True if the reading was new
+   */
+  async append(data) {
+    const reading = {
+      timestamp: data.timestamp,
+      waterLevel: data.waterLevel,
+      date: data.date,
+      time: data.time
+    };
+
+    // Readings already outside the retention period are not worth keeping
+    if (reading.timestamp < Date.now() - this.retention) {
+      return false;
+    }
+
+    if (!this.insert(reading)) {
+      return false;
+    }
+
+    await fs.promises.appendFile(this.file, JSON.stringify(reading) + '\n', 'utf8');
+
+    if (Date.now() - this.lastCompacted >= this.compactInterval) {
+      await this.compact();
+    }
+
+    return true;
+  }
+
+  /**
+   * Insert a reading into the in-memory index
+   * @private
+   * @param {Object} reading - Water level reading
+   * @returns {boolean} True if the reading was inserted
+   */
+  insert(reading) {
+    if (!Number.isFinite(reading.timestamp) || !Number.isFinite(reading.waterLevel)) {
+      throw new Error('Invalid reading');
+    }
+
+    const key = HistoryStore.getKey(reading);
+    if (this.keys.has(key)) {
+      return false;
+    }
+
+    this.keys.add(key);
+
+    // Readings almost always arrive in order, so search from the end
+    let index = this.readings.length;
+    while (index > 0 && this.readings[index - 1].timestamp > reading.timestamp) {
+      index--;
+    }
+    this.readings.splice(index, 0, reading);
+
+    return true;
+  }
+
+  /**
+   * Drop readings older than the retention period and rewrite the file
+   */
+  async compact() {
+    const cutoffTime = Date.now() - this.retention;
+    const retained = this.readings.filter(reading => reading.timestamp >= cutoffTime);
+
+    this.lastCompacted = Date.now();
+
+    if (retained.length === this.readings.length) {
+      return;
+    }
+
+    // Write to a temporary file first so a crash never truncates the history
+    const tempFile = `${this.file}.tmp`;
+    const content = retained.map(reading => JSON.stringify(reading) + '\n').join('');
+    await fs.promises.writeFile(tempFile, content, 'utf8');
+    await fs.promises.rename(tempFile, this.file);
+
+    this.readings = retained;
+    this.keys = new Set(retained.map(reading => HistoryStore.getKey(reading)));
+
+    console.log(`Compacted history to ${retained.length} readings`);
+  }
+
+  /**
+   * Get readings within a time range
+   * @param {number} from - Start timestamp (inclusive)
+   * @param {number} to - End timestamp (inclusive)
+   * @returns {Array} Readings sorted by timestamp (oldest first)
+   */
+  getRange(from = 0, to = Infinity) {
+    return this.readings.filter(
+      reading => reading.timestamp >= from && reading.timestamp <= to
+    );
+  }
+
+  /**
+   * Get the most recent reading
+   * @returns {Object|null} Most recent reading or null
+   */
+  getLatest() {
+    return this.readings.length > 0 ? this.readings[this.readings.length - 1] : null;
+  }
+
+  /**
+   * Get the number of stored readings
+   * @returns {number} Reading count
+   */
+  get size() {
+    return this.readings.length;
+  }
+}
+
+module.exports = HistoryStore;
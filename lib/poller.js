@@ -0,0 +1,100 @@
+/**
+ * Background Poller Module
+ * Polls the Cologne API on a fixed schedule and records new readings
+ */
+
+const EventEmitter = require('events');
+
+class PegelPoller extends EventEmitter {
+  /**
+   * @param {Object} options - Poller options
+   * @param {HistoryStore} options.store - Store receiving new readings
+   * @param {UpstreamCache} options.cache - Shared upstream cache
+   * @param {number} options.interval - Poll interval in milliseconds
+   */
+  constructor({ store, cache, interval }) {
+    super();
+    this.store = store;
+    this.cache = cache;
+    this.interval = interval;
+    this.timer = null;
+    this.isPolling = false;
+    this.lastPoll = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Start polling (polls immediately, then on every interval)
+   */
+  start() {
+    this.stop();
+
+    this.timer = setInterval(() => this.poll(), this.interval);
+    this.poll();
+
+    console.log('Background poller started (interval:', this.interval, 'ms)');
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('Background poller stopped');
+    }
+  }
+
+  /**
+   * Fetch the current reading and store it if it is new
+   * @returns {Promise<Object|null>} The new reading, or null if unchanged or failed
+   */
+  async poll() {
+    // Skip this tick if the previous request is still running
+    if (this.isPolling) {
+      return null;
+    }
+
+    this.isPolling = true;
+
+    try {
+      // Always go upstream, but share the request with concurrent API clients
+      const { data } = await this.cache.refresh();
+      const isNew = await this.store.append(data);
+
+      this.lastPoll = Date.now();
+      this.lastError = null;
+
+      if (isNew) {
+        console.log('New reading recorded:', data.waterLevel, 'cm at', data.date, data.time);
+        this.emit('reading', data);
+        return data;
+      }
+
+      return null;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('Background poll failed:', error.message);
+      this.emit('poll-error', error);
+      return null;
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Get poller status for health reporting
+   * @returns {Object} Poller status
+   */
+  getStatus() {
+    return {
+      running: this.timer !== null,
+      interval: this.interval,
+      lastPoll: this.lastPoll ? new Date(this.lastPoll).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = PegelPoller;
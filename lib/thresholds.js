@@ -0,0 +1,56 @@
+/**
+ * Threshold Configuration Module
+ * Loads alert thresholds and flood marks from a config file and the environment
+ */
+
+const fs = require('fs');
+const { applyThresholdConfig, getThresholdConfig } = require('../js/alert-levels');
+
+/**
+ * Read a threshold override in cm from the environment
+ * @param {string} name - Environment variable name
+ * @returns {number|null} Value or null if not set
+ */
+function readThreshold(name) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Load the threshold configuration and make it the active one
+ * (environment variables take precedence over the config file)
+ * @param {string} file - Path of the JSON config file
+ * @returns {Object} Active threshold configuration
+ */
+function loadThresholdConfig(file) {
+  let fileConfig = {};
+
+  if (file && fs.existsSync(file)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(file, 'utf8'));
+      console.log(`Loaded threshold configuration from ${file}`);
+    } catch (error) {
+      throw new Error(`Failed to read threshold configuration ${file}: ${error.message}`);
+    }
+  }
+
+  const levels = { ...(fileConfig.levels || {}) };
+  const envOverrides = {
+    WARNING: readThreshold('ALERT_WARNING_CM'),
+    DANGER: readThreshold('ALERT_DANGER_CM')
+  };
+
+  Object.keys(envOverrides).forEach(key => {
+    if (envOverrides[key] !== null) {
+      levels[key] = { ...(levels[key] || {}), min: envOverrides[key] };
+    }
+  });
+
+  applyThresholdConfig({ ...fileConfig, levels });
+
+  return getThresholdConfig();
+}
+
+module.exports = {
+  loadThresholdConfig
+};
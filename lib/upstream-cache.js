@@ -0,0 +1,119 @@
+/**
+ * Upstream Cache Module
+ * Caches an upstream gauge response in memory and coalesces concurrent fetches
+ */
+
+const crypto = require('crypto');
+const PegelParser = require('../js/pegel-parser');
+const { fetchPegelXML } = require('./upstream');
+
+class UpstreamCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.ttl - Time to live of a cached response in milliseconds
+   * @param {Function} options.fetchRaw - Fetches the raw response body (defaults to the Cologne API)
+   * @param {Function} options.parse - Parses the raw body into a reading (defaults to the Cologne XML parser)
+   */
+  constructor({ ttl, fetchRaw = fetchPegelXML, parse = PegelParser.parseXML }) {
+    this.ttl = ttl;
+    this.fetchRaw = fetchRaw;
+    this.parse = parse;
+    this.entry = null;
+    this.inFlight = null;
+  }
+
+  /**
+   * Get the current response, from cache if still fresh
+   * @param {Object} options - Options
+   * @param {boolean} options.forceRefresh - Bypass the cache
+   * @returns {Promise<Object>} Cache entry with cacheStatus and stale flags
+   */
+  async get({ forceRefresh = false } = {}) {
+    if (!forceRefresh && this.isFresh()) {
+      return { ...this.entry, cacheStatus: 'HIT', stale: false };
+    }
+
+    try {
+      const entry = await this.refresh();
+      return { ...entry, cacheStatus: 'MISS', stale: false };
+    } catch (error) {
+      // Serve the last good response rather than failing outright
+      if (this.entry) {
+        console.warn('Upstream fetch failed, serving stale data:', error.message);
+        return { ...this.entry, cacheStatus: 'STALE', stale: true, error: error.message };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a new response, sharing one request between concurrent callers
+   * @returns {Promise<Object>} Fresh cache entry
+   */
+  refresh() {
+    if (!this.inFlight) {
+      this.inFlight = this.fetchEntry().finally(() => {
+        this.inFlight = null;
+      });
+    }
+
+    return this.inFlight;
+  }
+
+  /**
+   * Fetch and parse the upstream response
+   * @private
+   * @returns {Promise<Object>} Cache entry
+   */
+  async fetchEntry() {
+    const body = await this.fetchRaw();
+    const data = this.parse(body);
+
+    this.entry = {
+      body,
+      data,
+      fetchedAt: Date.now(),
+      etag: crypto.createHash('sha1').update(body).digest('hex').slice(0, 16)
+    };
+
+    return this.entry;
+  }
+
+  /**
+   * Check whether the cached entry is within its TTL
+   * @returns {boolean} True if fresh
+   */
+  isFresh() {
+    return this.entry !== null && Date.now() - this.entry.fetchedAt < this.ttl;
+  }
+
+  /**
+   * Set validator, Cache-Control and staleness headers
+   * @param {Object} res - Express response
+   * @param {Object} entry - Entry returned by get()
+   * @param {string} variant - Representation name, so each representation gets its own ETag;
+   *   omit it for responses that also carry figures computed per request (age, trend),
+   *   which then get the ETag Express derives from the sent body
+   */
+  setHeaders(res, entry, variant = null) {
+    const age = Math.max(0, Math.floor((Date.now() - entry.fetchedAt) / 1000));
+
+    if (variant) {
+      res.set('ETag', `W/"${entry.etag}-${variant}"`);
+      res.set('Last-Modified', new Date(entry.data.timestamp).toUTCString());
+    }
+    res.set('Age', String(age));
+    res.set('X-Cache', entry.cacheStatus);
+
+    if (entry.stale) {
+      res.set('Cache-Control', 'no-cache');
+      res.set('X-Data-Stale', 'true');
+      res.set('Warning', '110 - "Response is Stale"');
+    } else {
+      const maxAge = Math.max(0, Math.floor(this.ttl / 1000) - age);
+      res.set('Cache-Control', `public, max-age=${maxAge}`);
+    }
+  }
+}
+
+module.exports = UpstreamCache;
@@ -0,0 +1,55 @@
+/**
+ * Upstream API Module
+ * Fetches raw responses from the upstream water level APIs
+ */
+
+const config = require('./config');
+
+/**
+ * Fetch a URL and return the response body as text
+ * @param {string} url - Upstream URL
+ * @returns {Promise<string>} Response body
+ */
+async function fetchText(url) {
+  // Use dynamic import for node-fetch
+  const fetch = (await import('node-fetch')).default;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), config.upstreamTimeout);
+
+  try {
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      },
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`API responded with status: ${response.status}`);
+    }
+
+    return await response.text();
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`API did not respond within ${config.upstreamTimeout} ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Fetch the raw XML document from the Cologne API
+ * @returns {Promise<string>} XML response body
+ */
+function fetchPegelXML() {
+  return fetchText(config.cologneApiUrl);
+}
+
+module.exports = {
+  fetchText,
+  fetchPegelXML
+};
@@ -0,0 +1,187 @@
+/**
+ * Webhook Dispatcher Module
+ * Delivers JSON payloads to webhook URLs with a retry queue
+ */
+
+const crypto = require('crypto');
+
+/**
+ * POST a JSON body using node-fetch
+ * @param {string} url - Target URL
+ * @param {string} body - JSON body
+ * @param {Object} headers - Extra headers
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<number>} HTTP status code
+ */
+async function postJSON(url, body, headers, timeout) {
+  // Use dynamic import for node-fetch
+  const fetch = (await import('node-fetch')).default;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        'User-Agent': 'rhein-pegel-monitor',
+        ...headers
+      },
+      body,
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with status: ${response.status}`);
+    }
+
+    return response.status;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {Object} options - Dispatcher options
+   * @param {Array<string>} options.urls - Webhook URLs
+   * @param {string} options.secret - Optional secret for the HMAC signature header
+   * @param {number} options.maxAttempts - Delivery attempts per webhook
+   * @param {number} options.retryDelay - Delay before the first retry in milliseconds
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {Function} options.post - Sends one request (defaults to node-fetch)
+   */
+  constructor({ urls, secret = null, maxAttempts = 5, retryDelay = 30000, timeout = 10000, post = postJSON }) {
+    this.urls = urls;
+    this.secret = secret;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.timeout = timeout;
+    this.post = post;
+    this.queue = [];
+    this.timer = null;
+    this.isProcessing = false;
+    this.delivered = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * Queue a payload for delivery to every webhook
+   * @param {Object} payload - JSON payload
+   */
+  dispatch(payload) {
+    const body = JSON.stringify(payload);
+
+    this.urls.forEach(url => {
+      this.queue.push({ url, body, attempt: 0, nextAttemptAt: Date.now() });
+    });
+
+    this.process();
+  }
+
+  /**
+   * Deliver all due jobs and schedule the next run
+   * @private
+   */
+  async process() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    try {
+      const now = Date.now();
+      const due = this.queue.filter(job => job.nextAttemptAt <= now);
+      this.queue = this.queue.filter(job => job.nextAttemptAt > now);
+
+      for (const job of due) {
+        await this.deliver(job);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+
+    this.scheduleNext();
+  }
+
+  /**
+   * Attempt a single delivery, re-queueing it with backoff on failure
+   * @private
+   * @param {Object} job - Queued delivery
+   */
+  async deliver(job) {
+    job.attempt++;
+
+    try {
+      await this.post(job.url, job.body, this.getSignatureHeaders(job.body), this.timeout);
+      this.delivered++;
+      console.log(`Webhook delivered to ${job.url} (attempt ${job.attempt})`);
+    } catch (error) {
+      console.error(`Webhook delivery to ${job.url} failed (attempt ${job.attempt}/${this.maxAttempts}):`, error.message);
+
+      if (job.attempt < this.maxAttempts) {
+        // Exponential backoff
+        job.nextAttemptAt = Date.now() + this.retryDelay * Math.pow(2, job.attempt - 1);
+        this.queue.push(job);
+      } else {
+        this.failed++;
+        console.error(`Giving up on webhook delivery to ${job.url}`);
+      }
+    }
+  }
+
+  /**
+   * Schedule processing for the next due job
+   * @private
+   */
+  scheduleNext() {
+    if (this.queue.length === 0) return;
+
+    const nextAttemptAt = Math.min(...this.queue.map(job => job.nextAttemptAt));
+    this.timer = setTimeout(() => this.process(), Math.max(0, nextAttemptAt - Date.now()));
+  }
+
+  /**
+   * Build the signature header so receivers can verify the sender
+   * @private
+   * @param {string} body - JSON body
+   * @returns {Object} Headers
+   */
+  getSignatureHeaders(body) {
+    if (!this.secret) {
+      return {};
+    }
+
+    const signature = crypto.createHmac('sha256', this.secret).update(body).digest('hex');
+    return { 'X-Pegel-Signature': `sha256=${signature}` };
+  }
+
+  /**
+   * Stop retrying pending deliveries
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get dispatcher status for health reporting
+   * @returns {Object} Dispatcher status
+   */
+  getStatus() {
+    return {
+      webhooks: this.urls.length,
+      pending: this.queue.length,
+      delivered: this.delivered,
+      failed: this.failed
+    };
+  }
+}
+
+module.exports = WebhookDispatcher;
@@ -6,45 +6,102 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const config = require('./lib/config');
+const { loadThresholdConfig } = require('./lib/thresholds');
+const GaugeRegistry = require('./lib/gauges');
+const HistoryStore = require('./lib/history-store');
+const PegelPoller = require('./lib/poller');
+const EventStream = require('./lib/event-stream');
+const WebhookDispatcher = require('./lib/webhook-dispatcher');
+const AlertEngine = require('./lib/alert-engine');
+const { buildCurrentResponse, buildTrendResponse } = require('./lib/current');
+const { parseBadgeQuery, buildBadgeSVG, buildUnavailableBadgeSVG } = require('./lib/badge');
+const {
+  parseHistoryQuery,
+  parseCSVQuery,
+  buildHistoryResponse,
+  buildHistoryCSV
+} = require('./lib/history-query');
+const {
+  parseForecastQuery,
+  parseBacktestQuery,
+  buildForecastResponse,
+  buildBacktestResponse
+} = require('./lib/forecast-query');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 
-// API endpoint
-const COLOGNE_API = 'https://www.stadt-koeln.de/interne-dienste/hochwasser/pegel_ws.php';
+// The widget page and its loader change rarely and are loaded by other sites
+const EMBED_CACHE_CONTROL = 'public, max-age=3600';
+
+// Files of the web app; the rest of the repository (the recorded history in data/,
+// the config overrides and the server code) is not served
+const PUBLIC_FILES = ['index.html', 'embed.html', 'manifest.webmanifest', 'sw.js'];
+const PUBLIC_DIRECTORIES = ['css', 'js', 'icons', 'vendor'];
+
+// Alert thresholds shared with the web app
+const thresholdConfig = loadThresholdConfig(config.thresholdsFile);
+
+// Supported gauges, each with its own upstream response cache
+const gauges = GaugeRegistry.load(config.gaugesFile, config.cacheTtl);
+const upstreamCache = gauges.getDefault().cache;
+
+// Persistent reading history, fed by the background poller
+const historyStore = new HistoryStore({
+  file: config.historyFile,
+  retention: config.historyRetention,
+  compactInterval: config.historyCompactInterval
+});
+const poller = new PegelPoller({
+  store: historyStore,
+  cache: upstreamCache,
+  interval: config.pollInterval
+});
+
+// Live updates for connected clients
+const eventStream = new EventStream({
+  store: historyStore
+});
+poller.on('reading', reading => eventStream.publishReading(reading));
+
+// Webhook alerts on alert level changes
+const alertEngine = new AlertEngine({
+  store: historyStore,
+  dispatcher: new WebhookDispatcher({
+    urls: config.alertWebhookUrls,
+    secret: config.alertWebhookSecret,
+    maxAttempts: config.webhookMaxAttempts,
+    retryDelay: config.webhookRetryDelay,
+    timeout: config.upstreamTimeout
+  }),
+  hysteresis: config.alertHysteresis,
+  cooldown: config.alertCooldown
+});
+poller.on('reading', reading => alertEngine.evaluate(reading));
 
 // Enable CORS for all routes
 app.use(cors());
 
-// Serve static files from the current directory
-app.use(express.static(__dirname));
+// Serve the public files of the web app
+PUBLIC_DIRECTORIES.forEach(directory => {
+  app.use(`/${directory}`, express.static(path.join(__dirname, directory)));
+});
+PUBLIC_FILES.forEach(file => {
+  app.get(`/${file}`, (req, res) => {
+    res.sendFile(path.join(__dirname, file));
+  });
+});
 
 // API proxy endpoint
 app.get('/api/pegel', async (req, res) => {
   try {
-    console.log('Fetching data from Cologne API...');
-    
-    // Use dynamic import for node-fetch
-    const fetch = (await import('node-fetch')).default;
-    
-    const response = await fetch(COLOGNE_API, {
-      method: 'GET',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
+    const entry = await upstreamCache.get();
 
-    if (!response.ok) {
-      throw new Error(`API responded with status: ${response.status}`);
-    }
-
-    const xmlData = await response.text();
-    
-    console.log('Data fetched successfully, sending to client...');
-    
     // Set appropriate headers
+    upstreamCache.setHeaders(res, entry, 'xml');
     res.set('Content-Type', 'text/xml; charset=utf-8');
-    res.send(xmlData);
+    res.send(entry.body);
 
   } catch (error) {
     console.error('Error fetching data:', error.message);
@@ -55,12 +112,189 @@ app.get('/api/pegel', async (req, res) => {
   }
 });
 
+// Normalized current reading endpoint
+app.get('/api/current', async (req, res) => {
+  try {
+    const entry = await upstreamCache.get();
+
+    upstreamCache.setHeaders(res, entry);
+    res.json({
+      ...buildCurrentResponse(entry.data),
+      trend: buildTrendResponse(historyStore, entry.data),
+      stale: entry.stale
+    });
+  } catch (error) {
+    console.error('Error fetching current reading:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch water level data',
+      message: error.message
+    });
+  }
+});
+
+// Gauge list endpoint
+app.get('/api/gauges', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json({
+    gauges: gauges.list().map(gauge => gauges.describe(gauge))
+  });
+});
+
+// Current reading of a single gauge
+app.get('/api/gauges/:id/current', async (req, res) => {
+  const gauge = gauges.get(req.params.id);
+  if (!gauge) {
+    return res.status(404).json({
+      error: 'Unknown gauge',
+      message: `No gauge with id "${req.params.id}"`
+    });
+  }
+
+  try {
+    const entry = await gauge.cache.get();
+
+    gauge.cache.setHeaders(res, entry);
+    res.json({
+      gauge: {
+        id: gauge.id,
+        name: gauge.name,
+        riverKm: gauge.riverKm
+      },
+      ...buildCurrentResponse(entry.data, Date.now(), gauge.levels),
+      // Only the default gauge has server-side history
+      trend: gauge === gauges.getDefault() ? buildTrendResponse(historyStore, entry.data) : null,
+      stale: entry.stale
+    });
+  } catch (error) {
+    console.error(`Error fetching current reading for ${gauge.id}:`, error.message);
+    res.status(500).json({
+      error: 'Failed to fetch water level data',
+      message: error.message
+    });
+  }
+});
+
+// Reading history endpoint
+app.get('/api/history', (req, res) => {
+  let query;
+  try {
+    query = parseHistoryQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid history query',
+      message: error.message
+    });
+  }
+
+  res.json(buildHistoryResponse(historyStore, query));
+});
+
+// Reading history as a CSV download (locale=de for German Excel)
+app.get('/api/history.csv', (req, res) => {
+  let query;
+  try {
+    query = parseCSVQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid history query',
+      message: error.message
+    });
+  }
+
+  const { filename, body } = buildHistoryCSV(historyStore, query, gauges.describe(gauges.getDefault()));
+  res.attachment(filename);
+  res.type('text/csv; charset=utf-8');
+  res.send(body);
+});
+
+// Level forecast endpoint (an estimate extrapolated from the recent history)
+app.get('/api/forecast', (req, res) => {
+  let query;
+  try {
+    query = parseForecastQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid forecast query',
+      message: error.message
+    });
+  }
+
+  res.json(buildForecastResponse(historyStore, query));
+});
+
+// Forecast accuracy against the recorded history
+app.get('/api/forecast/backtest', (req, res) => {
+  let query;
+  try {
+    query = parseBacktestQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid backtest query',
+      message: error.message
+    });
+  }
+
+  res.json(buildBacktestResponse(historyStore, query));
+});
+
+// Server-Sent Events endpoint for live updates
+app.get('/api/stream', (req, res) => {
+  eventStream.handle(req, res);
+});
+
+// Current level as an SVG badge for other sites (?lang=de|en&size=small|medium|large&gauge=id)
+app.get('/api/badge.svg', async (req, res) => {
+  let query;
+  try {
+    query = parseBadgeQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid badge query',
+      message: error.message
+    });
+  }
+
+  const gauge = query.gauge ? gauges.get(query.gauge) : gauges.getDefault();
+  if (!gauge) {
+    return res.status(404).json({
+      error: 'Unknown gauge',
+      message: `No gauge with id "${query.gauge}"`
+    });
+  }
+
+  res.type('image/svg+xml');
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+
+  try {
+    const entry = await gauge.cache.get();
+
+    gauge.cache.setHeaders(res, entry, `svg-${query.lang}-${query.size}`);
+    res.send(buildBadgeSVG(entry.data, query, gauge));
+  } catch (error) {
+    console.error(`Error rendering badge for ${gauge.id}:`, error.message);
+    res.set('Cache-Control', 'no-cache');
+    res.status(503).send(buildUnavailableBadgeSVG(query, gauge));
+  }
+});
+
+// Alert threshold configuration endpoint
+app.get('/api/thresholds', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(thresholdConfig);
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    poller: poller.getStatus(),
+    streamClients: eventStream.size,
+    alerts: alertEngine.getStatus(),
+    history: {
+      readings: historyStore.size
+    }
   });
 });
 
@@ -69,26 +303,64 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log('='.repeat(60));
-  console.log('🌊 Rhine Water Level Monitor - Proxy Server');
-  console.log('='.repeat(60));
-  console.log(`Server running at: http://localhost:${PORT}`);
-  console.log(`API endpoint: http://localhost:${PORT}/api/pegel`);
-  console.log(`Health check: http://localhost:${PORT}/api/health`);
-  console.log('='.repeat(60));
-  console.log('Press Ctrl+C to stop the server');
-  console.log('='.repeat(60));
+// Embeddable widget page (options in the query string, may be framed by any site)
+app.get('/embed', (req, res) => {
+  res.set('Cache-Control', EMBED_CACHE_CONTROL);
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.sendFile(path.join(__dirname, 'embed.html'));
+});
+
+// Script that mounts the widget into <div data-rhein-pegel> elements of other sites
+app.get('/embed.js', (req, res) => {
+  res.set('Cache-Control', EMBED_CACHE_CONTROL);
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.sendFile(path.join(__dirname, 'js', 'embed-loader.js'));
+});
+
+// Start server once the stored history is loaded
+historyStore.load().then(() => {
+  eventStream.syncAlertLevel();
+  alertEngine.syncAlertLevel();
+
+  app.listen(PORT, () => {
+    console.log('='.repeat(60));
+    console.log('🌊 Rhine Water Level Monitor - Proxy Server');
+    console.log('='.repeat(60));
+    console.log(`Server running at: http://localhost:${PORT}`);
+    console.log(`API endpoint: http://localhost:${PORT}/api/pegel`);
+    console.log(`Current reading: http://localhost:${PORT}/api/current`);
+    console.log(`Gauges: http://localhost:${PORT}/api/gauges`);
+    console.log(`History: http://localhost:${PORT}/api/history`);
+    console.log(`Thresholds: http://localhost:${PORT}/api/thresholds`);
+    console.log(`Forecast: http://localhost:${PORT}/api/forecast`);
+    console.log(`Live stream: http://localhost:${PORT}/api/stream`);
+    console.log(`Badge: http://localhost:${PORT}/api/badge.svg`);
+    console.log(`Widget: http://localhost:${PORT}/embed`);
+    console.log(`Health check: http://localhost:${PORT}/api/health`);
+    console.log(`History file: ${config.historyFile}`);
+    console.log(`Alert webhooks: ${config.alertWebhookUrls.length}`);
+    console.log('='.repeat(60));
+    console.log('Press Ctrl+C to stop the server');
+    console.log('='.repeat(60));
+
+    poller.start();
+  });
+}).catch(error => {
+  console.error('Failed to load reading history:', error);
+  process.exit(1);
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('\nShutting down gracefully...');
+  poller.stop();
+  eventStream.close();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('\nShutting down gracefully...');
+  poller.stop();
+  eventStream.close();
   process.exit(0);
 });
\ No newline at end of file
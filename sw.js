@@ -0,0 +1,189 @@
+/**
+ * Rhine Water Level Monitor - Service Worker
+ * Precaches the app shell so the app starts without a connection and serves the
+ * last API responses while offline (marked with the X-Served-From header)
+ */
+
+// Bump when the shell files change so installed apps replace their copy
+const CACHE_VERSION = 'v7';
+const SHELL_CACHE = `rhein-pegel-shell-${CACHE_VERSION}`;
+const API_CACHE = 'rhein-pegel-api';
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'css/main.css',
+  'css/responsive.css',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/apple-touch-icon.png',
+  'vendor/chart.umd.min.js',
+  'vendor/chartjs-adapter-date-fns.bundle.min.js',
+  'vendor/hammer.min.js',
+  'vendor/chartjs-plugin-zoom.min.js',
+  'js/pegel-parser.js',
+  'js/i18n.js',
+  'js/theme.js',
+  'js/alert-levels.js',
+  'js/trend.js',
+  'js/announcer.js',
+  'js/shortcuts.js',
+  'js/status-card.js',
+  'js/refresh-schedule.js',
+  'js/forecast.js',
+  'js/aggregation.js',
+  'js/export.js',
+  'js/import.js',
+  'js/storage-migrations.js',
+  'js/storage.js',
+  'js/storage-idb.js',
+  'js/api.js',
+  'js/chart.js',
+  'js/notifications.js',
+  'js/app.js'
+];
+
+// API routes (below the scope) whose last response is kept for offline use.
+// History queries are left out: their ranges change on every request and the
+// app falls back to the readings stored in the browser.
+const CACHED_API_ROUTES = [
+  /^\/api\/pegel$/,
+  /^\/api\/current$/,
+  /^\/api\/gauges$/,
+  /^\/api\/gauges\/[^/]+\/current$/,
+  /^\/api\/thresholds$/,
+  /^\/api\/forecast$/
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('rhein-pegel-shell-') && key !== SHELL_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Other origins (e.g. the direct Köln API) and uploads go straight to the network
+  const path = getScopedPath(url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || path === null) {
+    return;
+  }
+
+  if (path.startsWith('/api/')) {
+    if (CACHED_API_ROUTES.some(route => route.test(path))) {
+      event.respondWith(handleApiRequest(request));
+    }
+    return;
+  }
+
+  event.respondWith(handleShellRequest(event));
+});
+
+/**
+ * Get the path of a URL below the service worker scope, so the app also works
+ * when it is served under a sub-path (e.g. "/pegel/api/current" → "/api/current")
+ * @param {URL} url - Request URL
+ * @returns {string|null} Path starting with "/", or null outside the scope
+ */
+function getScopedPath(url) {
+  const scopePath = new URL(self.registration.scope).pathname;
+  if (!url.pathname.startsWith(scopePath)) {
+    return null;
+  }
+  return url.pathname.slice(scopePath.length - 1);
+}
+
+/**
+ * Fetch an API response from the network, falling back to the last cached copy
+ * @param {Request} request - API request
+ * @returns {Promise<Response>} Network or cached response
+ */
+async function handleApiRequest(request) {
+  const cache = await caches.open(API_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, await withHeaders(response.clone(), {
+        'X-Cached-At': new Date().toISOString()
+      }));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (!cached) {
+      throw error;
+    }
+    return withHeaders(cached, { 'X-Served-From': 'service-worker-cache' });
+  }
+}
+
+/**
+ * Serve a shell file from the cache and refresh the copy in the background
+ * (stale-while-revalidate; pages fall back to the cached index.html)
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function handleShellRequest(event) {
+  const { request } = event;
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+
+  const update = fetch(request).then(response => {
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+
+  try {
+    return await update;
+  } catch (error) {
+    // Pages fall back to the app, except the widget page that other sites frame
+    const isPage = request.mode === 'navigate' && getScopedPath(new URL(request.url)) !== '/embed';
+    const fallback = isPage ? await cache.match('index.html') : null;
+    if (!fallback) {
+      throw error;
+    }
+    return fallback;
+  }
+}
+
+/**
+ * Copy a response with additional headers
+ * @param {Response} response - Original response
+ * @param {Object} headers - Headers to set
+ * @returns {Promise<Response>} New response
+ */
+async function withHeaders(response, headers) {
+  const copy = new Headers(response.headers);
+  Object.entries(headers).forEach(([name, value]) => copy.set(name, value));
+
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: copy
+  });
+}
@@ -0,0 +1,68 @@
+/**
+ * Source Adapter Tests
+ * Parse recorded upstream responses from test/fixtures
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { getAdapter } = require('../lib/adapters');
+
+/**
+ * Read a recorded response
+ * @param {string} name - File name below test/fixtures
+ * @returns {string} Response body
+ */
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+describe('koeln-xml adapter', () => {
+  const adapter = getAdapter('koeln-xml');
+
+  it('parses the current reading', () => {
+    assert.deepEqual(adapter.parse(fixture('koeln.xml')), {
+      waterLevel: 368,
+      date: '27. Oktober 2025',
+      time: '15:25',
+      timestamp: Date.parse('2025-10-27T15:25:00+01:00'),
+      graphic: 'pegel_4.jpg'
+    });
+  });
+
+  it('rejects a response without a water level', () => {
+    assert.throws(() => adapter.parse(fixture('koeln-missing-pegel.xml')), /missing required fields/);
+  });
+
+  it('rejects a truncated response', () => {
+    assert.throws(() => adapter.parse(fixture('koeln-malformed.xml')), /XML parsing failed/);
+  });
+
+  it('rejects an empty response', () => {
+    assert.throws(() => adapter.parse(''), /XML parsing failed: empty or invalid response/);
+  });
+});
+
+describe('pegelonline adapter', () => {
+  const adapter = getAdapter('pegelonline');
+
+  it('parses the current measurement', () => {
+    assert.deepEqual(adapter.parse(fixture('pegelonline-bonn.json')), {
+      waterLevel: 312,
+      date: '27. Oktober 2025',
+      time: '15:15',
+      timestamp: Date.parse('2025-10-27T15:15:00+01:00'),
+      graphic: null
+    });
+  });
+
+  it('rejects a measurement without a value', () => {
+    assert.throws(() => adapter.parse(fixture('pegelonline-missing-value.json')), /missing timestamp or value/);
+  });
+
+  it('rejects a truncated response', () => {
+    assert.throws(() => adapter.parse(fixture('pegelonline-malformed.json')), /JSON parsing failed/);
+  });
+});
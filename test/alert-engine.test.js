@@ -0,0 +1,176 @@
+/**
+ * Alert Engine Tests
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AlertEngine = require('../lib/alert-engine');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Build a reading as delivered by the poller
+ * @param {number} waterLevel - Water level in cm
+ * @returns {Object} Reading
+ */
+function reading(waterLevel) {
+  return { waterLevel, timestamp: Date.now(), date: '19.10.2026', time: '12:00' };
+}
+
+/**
+ * Create an engine with a stubbed store and dispatcher, starting at a water level
+ * @param {number} startLevel - Water level of the latest stored reading
+ * @returns {Object} Engine and the payloads it dispatched
+ */
+function createEngine(startLevel) {
+  const sent = [];
+  const engine = new AlertEngine({
+    store: {
+      getLatest: () => reading(startLevel),
+      getRange: () => []
+    },
+    dispatcher: {
+      dispatch: payload => sent.push(payload),
+      getStatus: () => ({})
+    },
+    hysteresis: 20,
+    cooldown: HOUR
+  });
+  engine.syncAlertLevel();
+  return { engine, sent };
+}
+
+describe('AlertEngine', () => {
+  let clock;
+
+  beforeEach(t => {
+    clock = t.mock.timers;
+    clock.enable({ apis: ['setTimeout', 'Date'], now: Date.UTC(2026, 9, 19, 10) });
+    t.mock.method(console, 'log', () => {});
+  });
+
+  it('does not alert on the first evaluated reading after a restart', () => {
+    const { engine, sent } = createEngine(410);
+
+    assert.equal(engine.evaluate(reading(412)), null);
+    assert.equal(sent.length, 0);
+    assert.equal(engine.getStatus().level, 'WARNING');
+  });
+
+  it('steps up as soon as the 400 cm threshold is reached', () => {
+    const { engine, sent } = createEngine(390);
+
+    const payload = engine.evaluate(reading(400));
+
+    assert.equal(payload.direction, 'up');
+    assert.equal(payload.previousLevel.key, 'NORMAL');
+    assert.equal(payload.level.key, 'WARNING');
+    assert.equal(payload.reading.waterLevel, 400);
+    assert.deepEqual(sent, [payload]);
+  });
+
+  it('stays at the warning level until the water falls below the hysteresis margin', () => {
+    const { engine, sent } = createEngine(410);
+
+    assert.equal(engine.evaluate(reading(399)), null);
+    assert.equal(engine.evaluate(reading(381)), null);
+    assert.equal(engine.getStatus().level, 'WARNING');
+
+    const payload = engine.evaluate(reading(379));
+    assert.equal(payload.direction, 'down');
+    assert.equal(payload.level.key, 'NORMAL');
+    assert.equal(sent.length, 1);
+  });
+
+  it('does not alert again when the level swings around the threshold', () => {
+    const { engine, sent } = createEngine(390);
+
+    engine.evaluate(reading(401));
+    [398, 402, 395, 405, 390].forEach(level => engine.evaluate(reading(level)));
+
+    assert.equal(sent.length, 1);
+    assert.equal(engine.getStatus().level, 'WARNING');
+  });
+
+  it('defers a change during the cooldown until the cooldown ends', () => {
+    const { engine, sent } = createEngine(390);
+
+    engine.evaluate(reading(410));
+    clock.tick(HOUR / 2);
+    assert.equal(engine.evaluate(reading(370)), null);
+
+    assert.equal(sent.length, 1);
+    assert.equal(engine.getStatus().suppressed, 1);
+    assert.equal(engine.getStatus().deferred, true);
+
+    clock.tick(HOUR / 2 - 1);
+    assert.equal(sent.length, 1);
+
+    clock.tick(1);
+    assert.equal(sent.length, 2);
+    assert.equal(sent[1].direction, 'down');
+    assert.equal(sent[1].previousLevel.key, 'WARNING');
+    assert.equal(sent[1].level.key, 'NORMAL');
+    assert.equal(sent[1].reading.waterLevel, 370);
+    assert.equal(engine.getStatus().lastNotified, new Date(Date.now()).toISOString());
+    assert.equal(engine.getStatus().deferred, false);
+  });
+
+  it('sends the latest level reached during the cooldown', () => {
+    const { engine, sent } = createEngine(390);
+
+    engine.evaluate(reading(410));
+    engine.evaluate(reading(805));
+    clock.tick(HOUR / 4);
+    engine.evaluate(reading(700));
+    clock.tick(HOUR / 4);
+    engine.evaluate(reading(350));
+
+    clock.tick(HOUR);
+    assert.equal(sent.length, 3);
+    assert.equal(sent[2].previousLevel.key, 'DANGER');
+    assert.equal(sent[2].level.key, 'NORMAL');
+    assert.equal(sent[2].reading.waterLevel, 350);
+  });
+
+  it('drops a deferred change once the level is back at the last notified one', () => {
+    const { engine, sent } = createEngine(390);
+
+    engine.evaluate(reading(410));
+    clock.tick(HOUR / 2);
+    engine.evaluate(reading(370));
+    engine.evaluate(reading(410));
+
+    clock.tick(HOUR);
+    assert.equal(sent.length, 1);
+    assert.equal(engine.getStatus().suppressed, 2);
+    assert.equal(engine.getStatus().level, 'WARNING');
+    assert.equal(engine.getStatus().deferred, false);
+  });
+
+  it('alerts at once after the cooldown has passed', () => {
+    const { engine, sent } = createEngine(390);
+
+    engine.evaluate(reading(410));
+    clock.tick(HOUR);
+    const payload = engine.evaluate(reading(370));
+
+    assert.equal(payload.level.key, 'NORMAL');
+    assert.equal(sent.length, 2);
+  });
+
+  it('lets escalations beyond the last notified level bypass the cooldown', () => {
+    const { engine, sent } = createEngine(390);
+
+    engine.evaluate(reading(410));
+    clock.tick(60 * 1000);
+    const payload = engine.evaluate(reading(805));
+
+    assert.equal(payload.direction, 'up');
+    assert.equal(payload.previousLevel.key, 'WARNING');
+    assert.equal(payload.level.key, 'DANGER');
+    assert.equal(sent.length, 2);
+    assert.equal(engine.getStatus().suppressed, 0);
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Forecast Query Tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseBacktestQuery, buildBacktestResponse } = require('../lib/forecast-query');
+
+describe('parseBacktestQuery', () => {
+  const now = Date.parse('2025-10-27T12:00:00Z');
+
+  it('defaults to the last 30 days', () => {
+    const query = parseBacktestQuery({}, now);
+
+    assert.equal(query.to, now);
+    assert.equal(query.from, now - 30 * 24 * 60 * 60 * 1000);
+  });
+
+  it('rejects timestamps outside the range of a Date', () => {
+    assert.throws(() => parseBacktestQuery({ from: '-8640000000000001' }, now), /Invalid "from" parameter/);
+    assert.throws(() => parseBacktestQuery({ to: '8640000000000001' }, now), /Invalid "to" parameter/);
+  });
+
+  it('rejects a default start before the earliest date', () => {
+    assert.throws(() => parseBacktestQuery({ to: '-271821-04-20T00:00:00Z' }, now), /"from" is out of range/);
+  });
+
+  it('accepts the earliest date as start', () => {
+    const query = parseBacktestQuery({ from: '-271821-04-20T00:00:00Z', to: '-271821-04-21' }, now);
+    const response = buildBacktestResponse({ getRange: () => [] }, query);
+
+    assert.equal(response.from, '-271821-04-20T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * IndexedDB Storage Tests
+ * Runs js/storage-idb.js against the in-memory IndexedDB of fake-indexeddb
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const StorageMigrations = require('../js/storage-migrations');
+const WaterLevelAggregation = require('../js/aggregation');
+
+const STORAGE_KEY = 'rhein-pegel-history';
+const MINUTE = 60 * 1000;
+
+/**
+ * Minimal in-memory localStorage
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * Load the browser-only storage scripts against in-memory storage
+ * @param {MemoryStorage} localStorage - Storage for settings and legacy history
+ * @param {IDBFactory} indexedDB - Database factory
+ * @returns {Function} IndexedDBStorage class
+ */
+function loadIndexedDBStorage(localStorage, indexedDB) {
+  const source = ['storage.js', 'storage-idb.js']
+    .map(file => fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'))
+    .join('\n');
+  const quiet = { log() {}, warn() {}, error() {} };
+  return new Function(
+    'localStorage', 'indexedDB', 'IDBKeyRange', 'StorageMigrations', 'WaterLevelAggregation', 'console',
+    `${source}\nreturn IndexedDBStorage;`
+  )(localStorage, indexedDB, IDBKeyRange, StorageMigrations, WaterLevelAggregation, quiet);
+}
+
+/**
+ * Build a reading some minutes before now
+ * @param {number} minutesAgo - Age of the reading
+ * @param {number} waterLevel - Water level in cm
+ * @returns {Object} Reading
+ */
+function reading(minutesAgo, waterLevel) {
+  return { waterLevel, date: '27. Oktober 2025', time: '15:25', timestamp: Date.now() - minutesAgo * MINUTE };
+}
+
+describe('IndexedDBStorage', () => {
+  let localStorage;
+  let IndexedDBStorage;
+
+  beforeEach(() => {
+    localStorage = new MemoryStorage();
+    IndexedDBStorage = loadIndexedDBStorage(localStorage, new IDBFactory());
+  });
+
+  describe('migration from localStorage', () => {
+    it('moves a legacy history into IndexedDB and removes the key', async () => {
+      const readings = [reading(30, 371), reading(45, 368)];
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: '1.0.0', readings }));
+
+      const storage = await new IndexedDBStorage().open();
+      const stored = await storage.getRange();
+
+      assert.deepEqual(stored.map(item => item.waterLevel), [368, 371]);
+      assert.deepEqual(stored.map(item => item.gaugeId), ['koeln', 'koeln']);
+      assert.equal(localStorage.getItem(STORAGE_KEY), null);
+    });
+
+    it('moves the history of another gauge when it is selected', async () => {
+      localStorage.setItem(`${STORAGE_KEY}-bonn`, JSON.stringify({ version: '1.1.0', gaugeId: 'bonn', readings: [reading(5, 312)] }));
+
+      const storage = await new IndexedDBStorage().open();
+      assert.notEqual(localStorage.getItem(`${STORAGE_KEY}-bonn`), null);
+      assert.deepEqual(await storage.getRange(), []);
+
+      storage.setGauge('bonn');
+      const stored = await storage.getRange();
+
+      assert.deepEqual(stored.map(item => [item.gaugeId, item.waterLevel]), [['bonn', 312]]);
+      assert.equal(localStorage.getItem(`${STORAGE_KEY}-bonn`), null);
+    });
+
+    it('keeps readings already in IndexedDB', async () => {
+      const first = await new IndexedDBStorage().open();
+      await first.saveReading(reading(10, 400));
+      first.db.close();
+
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: '1.1.0', readings: [reading(20, 390)] }));
+      const storage = await new IndexedDBStorage().open();
+
+      assert.deepEqual((await storage.getRange()).map(item => item.waterLevel), [390, 400]);
+    });
+
+    it('backs up an unreadable history before removing the key', async () => {
+      localStorage.setItem(STORAGE_KEY, '{"readings":[');
+
+      const storage = await new IndexedDBStorage().open();
+
+      assert.deepEqual(await storage.getRange(), []);
+      assert.equal(localStorage.getItem(`${STORAGE_KEY}-backup`), '{"readings":[');
+      assert.equal(localStorage.getItem(STORAGE_KEY), null);
+    });
+
+    it('keeps the localStorage history when it cannot be written', async () => {
+      const raw = JSON.stringify({ version: '1.1.0', readings: [reading(5, 380), { waterLevel: 381, timestamp: null }] });
+      localStorage.setItem(STORAGE_KEY, raw);
+
+      await new IndexedDBStorage().open();
+
+      assert.equal(localStorage.getItem(STORAGE_KEY), raw);
+    });
+  });
+
+  describe('importReadings', () => {
+    it('keeps stored readings and counts duplicates and expired readings as skipped', async () => {
+      const storage = await new IndexedDBStorage().open();
+      const stored = reading(10, 400);
+      await storage.saveReading(stored);
+
+      const result = await storage.importReadings([
+        { ...stored, waterLevel: 999 },
+        reading(20, 390),
+        reading(2 * 365 * 24 * 60, 300)
+      ]);
+
+      assert.deepEqual(result, { added: 1, skipped: 2, expired: 1 });
+      assert.deepEqual((await storage.getRange()).map(item => item.waterLevel), [390, 400]);
+    });
+
+    it('adds the first of several imported readings with the same timestamp', async () => {
+      const storage = await new IndexedDBStorage().open();
+      const imported = reading(10, 400);
+
+      const result = await storage.importReadings([imported, { ...imported, waterLevel: 401 }]);
+
+      assert.deepEqual(result, { added: 1, skipped: 1, expired: 0 });
+      assert.deepEqual((await storage.getRange()).map(item => item.waterLevel), [400]);
+    });
+
+    it('only counts readings of the selected gauge as duplicates', async () => {
+      const storage = await new IndexedDBStorage().open();
+      const imported = reading(10, 400);
+      await storage.importReadings([imported]);
+
+      storage.setGauge('bonn');
+      const result = await storage.importReadings([imported]);
+
+      assert.deepEqual(result, { added: 1, skipped: 0, expired: 0 });
+    });
+  });
+});
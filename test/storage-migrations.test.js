@@ -0,0 +1,163 @@
+/**
+ * Storage Migration Tests
+ * Covers StorageMigrations and how WaterLevelStorage upgrades or resets stored history
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const StorageMigrations = require('../js/storage-migrations');
+
+const STORAGE_KEY = 'rhein-pegel-history';
+
+/**
+ * Minimal in-memory localStorage
+ */
+class MemoryStorage {
+  constructor(items = {}) {
+    this.items = new Map(Object.entries(items));
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * Load the browser-only js/storage.js against an in-memory localStorage
+ * @param {MemoryStorage} localStorage - Storage the class reads and writes
+ * @returns {Function} WaterLevelStorage class
+ */
+function loadWaterLevelStorage(localStorage) {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'storage.js'), 'utf8');
+  const quiet = { log() {}, warn() {}, error() {} };
+  return new Function('localStorage', 'StorageMigrations', 'console', `${source}\nreturn WaterLevelStorage;`)(
+    localStorage, StorageMigrations, quiet
+  );
+}
+
+const READINGS = [
+  { waterLevel: 368, date: '27. Oktober 2025', time: '15:25', timestamp: 1761575100000 },
+  { waterLevel: 371, date: '27. Oktober 2025', time: '15:40', timestamp: 1761576000000 }
+];
+
+describe('StorageMigrations', () => {
+  it('records the gauge id in the 1.0.0 → 1.1.0 step', () => {
+    const step = StorageMigrations.STEPS.find(candidate => candidate.from === '1.0.0');
+    assert.equal(step.to, '1.1.0');
+
+    const migrated = step.migrate({ version: '1.0.0', readings: READINGS }, { gaugeId: 'bonn' });
+
+    assert.equal(migrated.gaugeId, 'bonn');
+    assert.deepEqual(migrated.readings.map(reading => reading.gaugeId), ['bonn', 'bonn']);
+    assert.equal(READINGS[0].gaugeId, undefined, 'the stored readings are not modified');
+  });
+
+  it('keeps gauge ids that are already present', () => {
+    const step = StorageMigrations.STEPS[0];
+    const readings = [{ ...READINGS[0], gaugeId: 'koeln' }, READINGS[1]];
+
+    const migrated = step.migrate({ version: '1.0.0', gaugeId: 'koeln', readings }, { gaugeId: 'bonn' });
+
+    assert.equal(migrated.gaugeId, 'koeln');
+    assert.deepEqual(migrated.readings.map(reading => reading.gaugeId), ['koeln', 'koeln']);
+  });
+
+  it('treats a payload without a version as the initial version', () => {
+    const { data, applied } = StorageMigrations.migrate({ readings: READINGS });
+
+    assert.deepEqual(applied, ['1.1.0']);
+    assert.equal(data.version, StorageMigrations.CURRENT_VERSION);
+    assert.equal(data.gaugeId, 'koeln');
+  });
+
+  it('leaves current payloads unchanged', () => {
+    const payload = { version: StorageMigrations.CURRENT_VERSION, gaugeId: 'koeln', readings: [] };
+
+    assert.deepEqual(StorageMigrations.migrate(payload), { data: payload, applied: [] });
+  });
+
+  it('rejects unknown and future versions', () => {
+    assert.throws(() => StorageMigrations.migrate({ version: '0.9.0', readings: [] }), /No migration from storage version 0\.9\.0/);
+    assert.throws(() => StorageMigrations.migrate({ version: '9.0.0', readings: [] }), /No migration from storage version 9\.0\.0/);
+  });
+
+  it('rejects payloads without readings', () => {
+    assert.throws(() => StorageMigrations.migrate({ version: '1.0.0' }), /Invalid storage payload/);
+    assert.throws(() => StorageMigrations.migrate([]), /Invalid storage payload/);
+  });
+});
+
+describe('WaterLevelStorage.getStorageData', () => {
+  let localStorage;
+  let storage;
+
+  beforeEach(() => {
+    localStorage = new MemoryStorage();
+    const WaterLevelStorage = loadWaterLevelStorage(localStorage);
+    storage = new WaterLevelStorage();
+  });
+
+  it('upgrades a 1.0.0 history and stores the result', () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: '1.0.0', readings: READINGS }));
+
+    const data = storage.getStorageData();
+
+    assert.equal(data.version, '1.1.0');
+    assert.deepEqual(data.readings.map(reading => reading.gaugeId), ['koeln', 'koeln']);
+    assert.deepEqual(JSON.parse(localStorage.getItem(STORAGE_KEY)), data);
+    assert.equal(localStorage.getItem(`${STORAGE_KEY}-backup`), null);
+  });
+
+  it('upgrades a history without a version', () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ readings: READINGS, lastUpdated: 1761576000000 }));
+
+    const data = storage.getStorageData();
+
+    assert.equal(data.version, '1.1.0');
+    assert.equal(data.lastUpdated, 1761576000000);
+    assert.equal(data.readings.length, 2);
+  });
+
+  it('backs up and resets a history of a future version', () => {
+    const raw = JSON.stringify({ version: '2.0.0', readings: READINGS });
+    localStorage.setItem(STORAGE_KEY, raw);
+
+    const data = storage.getStorageData();
+
+    assert.deepEqual(data.readings, []);
+    assert.equal(data.version, '1.1.0');
+    assert.equal(localStorage.getItem(`${STORAGE_KEY}-backup`), raw);
+    assert.deepEqual(JSON.parse(localStorage.getItem(STORAGE_KEY)).readings, []);
+  });
+
+  it('backs up and resets a corrupt history', () => {
+    localStorage.setItem(STORAGE_KEY, '{"version":"1.1.0","readings":[');
+
+    const data = storage.getStorageData();
+
+    assert.deepEqual(data.readings, []);
+    assert.equal(localStorage.getItem(`${STORAGE_KEY}-backup`), '{"version":"1.1.0","readings":[');
+    assert.equal(JSON.parse(localStorage.getItem(STORAGE_KEY)).version, '1.1.0');
+  });
+
+  it('uses the key of the selected gauge for the backup', () => {
+    storage.setGauge('bonn');
+    localStorage.setItem(`${STORAGE_KEY}-bonn`, 'not json');
+
+    storage.getStorageData();
+
+    assert.equal(localStorage.getItem(`${STORAGE_KEY}-bonn-backup`), 'not json');
+    assert.equal(localStorage.getItem(`${STORAGE_KEY}-backup`), null);
+  });
+});
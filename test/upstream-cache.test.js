@@ -0,0 +1,117 @@
+/**
+ * Upstream Cache Tests
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+
+const UpstreamCache = require('../lib/upstream-cache');
+
+const BODY = '<Hochwasserpegel><Datum>27. Oktober 2025</Datum><Uhrzeit>15:25</Uhrzeit><Pegel>3,68</Pegel></Hochwasserpegel>';
+
+/**
+ * Start an app on an ephemeral port
+ * @param {Function} route - Handler of GET /
+ * @returns {Promise<Object>} Base URL and close()
+ */
+function listen(route) {
+  const app = express();
+  app.get('/', route);
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * GET a URL (fetch would add Cache-Control: no-cache to conditional requests)
+ * @param {string} url - URL
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} status, headers and body
+ */
+function get(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+describe('UpstreamCache', () => {
+  let fetches;
+  let cache;
+
+  beforeEach(() => {
+    fetches = 0;
+    cache = new UpstreamCache({
+      ttl: 60000,
+      fetchRaw: async () => {
+        fetches++;
+        return BODY;
+      }
+    });
+  });
+
+  it('shares one upstream fetch between concurrent callers', async () => {
+    const [first, second] = await Promise.all([cache.get(), cache.get()]);
+
+    assert.equal(fetches, 1);
+    assert.equal(first.data.waterLevel, 368);
+    assert.equal(second.etag, first.etag);
+    assert.equal((await cache.get()).cacheStatus, 'HIT');
+  });
+
+  it('answers a conditional request for the raw body with 304', async () => {
+    const server = await listen(async (req, res) => {
+      const entry = await cache.get();
+      cache.setHeaders(res, entry, 'xml');
+      res.type('text/xml').send(entry.body);
+    });
+
+    try {
+      const first = await get(server.url);
+      assert.match(first.headers.etag, /-xml"$/);
+      assert.ok(first.headers['last-modified']);
+
+      const second = await get(server.url, { 'If-None-Match': first.headers.etag });
+      assert.equal(second.status, 304);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('does not answer with 304 when figures computed per request change', async () => {
+    let ageSeconds = 0;
+    const server = await listen(async (req, res) => {
+      const entry = await cache.get();
+      cache.setHeaders(res, entry);
+      res.json({ ...entry.data, ageSeconds });
+    });
+
+    try {
+      const first = await get(server.url);
+      const etag = first.headers.etag;
+      assert.equal(first.headers['last-modified'], undefined);
+
+      const unchanged = await get(server.url, { 'If-None-Match': etag });
+      assert.equal(unchanged.status, 304);
+
+      ageSeconds = 60;
+      const changed = await get(server.url, { 'If-None-Match': etag });
+      assert.equal(changed.status, 200);
+      assert.equal(JSON.parse(changed.body).ageSeconds, 60);
+    } finally {
+      await server.close();
+    }
+  });
+});
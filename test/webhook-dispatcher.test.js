@@ -0,0 +1,217 @@
+/**
+ * Webhook Dispatcher Tests
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const WebhookDispatcher = require('../lib/webhook-dispatcher');
+
+/**
+ * Let pending deliveries (promise callbacks) run
+ * @returns {Promise} Resolves on the next turn of the event loop
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Start a webhook receiver on an ephemeral port
+ * @param {Function} respond - Called with each request and its response
+ * @returns {Promise<Object>} Hook URL, received requests and close()
+ */
+function startReceiver(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, headers: req.headers, body });
+      respond(req, res, requests.length);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => {
+          server.closeAllConnections();
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Wait until every queued delivery was delivered or given up
+ * @param {WebhookDispatcher} dispatcher - Dispatcher
+ * @param {number} count - Expected number of finished deliveries
+ */
+async function waitForDeliveries(dispatcher, count) {
+  while (dispatcher.delivered + dispatcher.failed < count) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('WebhookDispatcher', () => {
+  beforeEach(t => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+  });
+
+  it('posts the payload to every webhook', async () => {
+    const requests = [];
+    const dispatcher = new WebhookDispatcher({
+      urls: ['http://a.test/hook', 'http://b.test/hook'],
+      post: async (url, body, headers) => {
+        requests.push({ url, body, headers });
+        return 200;
+      }
+    });
+
+    dispatcher.dispatch({ event: 'alert_level_changed' });
+    await settle();
+
+    assert.deepEqual(requests.map(request => request.url), ['http://a.test/hook', 'http://b.test/hook']);
+    assert.deepEqual(JSON.parse(requests[0].body), { event: 'alert_level_changed' });
+    assert.deepEqual(requests[0].headers, {});
+    assert.deepEqual(dispatcher.getStatus(), { webhooks: 2, pending: 0, delivered: 2, failed: 0 });
+  });
+
+  it('signs the body when a secret is configured', async () => {
+    let headers = null;
+    const dispatcher = new WebhookDispatcher({
+      urls: ['http://a.test/hook'],
+      secret: 's3cret',
+      post: async (url, body, requestHeaders) => {
+        headers = requestHeaders;
+        return 200;
+      }
+    });
+
+    dispatcher.dispatch({ event: 'alert_level_changed' });
+    await settle();
+
+    const expected = crypto.createHmac('sha256', 's3cret').update('{"event":"alert_level_changed"}').digest('hex');
+    assert.equal(headers['X-Pegel-Signature'], `sha256=${expected}`);
+  });
+
+  it('retries with exponential backoff and gives up after the last attempt', async t => {
+    const attempts = [];
+    const dispatcher = new WebhookDispatcher({
+      urls: ['http://a.test/hook'],
+      maxAttempts: 4,
+      retryDelay: 1000,
+      post: async () => {
+        attempts.push(Date.now());
+        throw new Error('Webhook responded with status: 503');
+      }
+    });
+
+    dispatcher.dispatch({ event: 'alert_level_changed' });
+    await settle();
+    assert.equal(attempts.length, 1);
+    assert.equal(dispatcher.getStatus().pending, 1);
+
+    for (const delay of [1000, 2000, 4000]) {
+      const count = attempts.length;
+      t.mock.timers.tick(delay - 1);
+      await settle();
+      assert.equal(attempts.length, count, 'no attempt before the delay has passed');
+
+      t.mock.timers.tick(1);
+      await settle();
+      assert.equal(attempts.length, count + 1);
+    }
+
+    assert.deepEqual(attempts.map(time => time - attempts[0]), [0, 1000, 3000, 7000]);
+    assert.deepEqual(dispatcher.getStatus(), { webhooks: 1, pending: 0, delivered: 0, failed: 1 });
+    assert.equal(dispatcher.timer, null);
+  });
+
+  it('stops retrying once a delivery succeeds', async t => {
+    let calls = 0;
+    const dispatcher = new WebhookDispatcher({
+      urls: ['http://a.test/hook'],
+      maxAttempts: 5,
+      retryDelay: 1000,
+      post: async () => {
+        calls++;
+        if (calls < 3) {
+          throw new Error('connect ECONNREFUSED');
+        }
+        return 204;
+      }
+    });
+
+    dispatcher.dispatch({ event: 'alert_level_changed' });
+    await settle();
+    t.mock.timers.tick(1000);
+    await settle();
+    t.mock.timers.tick(2000);
+    await settle();
+    t.mock.timers.tick(60000);
+    await settle();
+
+    assert.equal(calls, 3);
+    assert.deepEqual(dispatcher.getStatus(), { webhooks: 1, pending: 0, delivered: 1, failed: 0 });
+  });
+});
+
+describe('WebhookDispatcher over HTTP', () => {
+  beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+  });
+
+  it('posts the signed JSON body and retries after a server error', async () => {
+    const receiver = await startReceiver((req, res, count) => {
+      res.writeHead(count === 1 ? 503 : 204);
+      res.end();
+    });
+    const dispatcher = new WebhookDispatcher({ urls: [receiver.url], secret: 's3cret', retryDelay: 10 });
+
+    try {
+      dispatcher.dispatch({ event: 'alert_level_changed', level: { key: 'WARNING' } });
+      await waitForDeliveries(dispatcher, 1);
+
+      assert.equal(receiver.requests.length, 2);
+      assert.deepEqual(dispatcher.getStatus(), { webhooks: 1, pending: 0, delivered: 1, failed: 0 });
+
+      const { method, headers, body } = receiver.requests[1];
+      const signature = crypto.createHmac('sha256', 's3cret').update(body).digest('hex');
+      assert.equal(method, 'POST');
+      assert.equal(headers['content-type'], 'application/json; charset=utf-8');
+      assert.equal(headers['user-agent'], 'rhein-pegel-monitor');
+      assert.equal(headers['x-pegel-signature'], `sha256=${signature}`);
+      assert.deepEqual(JSON.parse(body), { event: 'alert_level_changed', level: { key: 'WARNING' } });
+      assert.equal(receiver.requests[0].body, body);
+    } finally {
+      dispatcher.stop();
+      await receiver.close();
+    }
+  });
+
+  it('gives up on a receiver that does not answer in time', async () => {
+    const receiver = await startReceiver(() => {});
+    const dispatcher = new WebhookDispatcher({ urls: [receiver.url], maxAttempts: 2, retryDelay: 10, timeout: 50 });
+
+    try {
+      dispatcher.dispatch({ event: 'alert_level_changed' });
+      await waitForDeliveries(dispatcher, 1);
+
+      assert.equal(receiver.requests.length, 2);
+      assert.deepEqual(dispatcher.getStatus(), { webhooks: 1, pending: 0, delivered: 0, failed: 1 });
+    } finally {
+      dispatcher.stop();
+      await receiver.close();
+    }
+  });
+});